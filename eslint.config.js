@@ -10,7 +10,6 @@ export default [
       "dist",
       "dev",
       "vite.config.js",
-      "netlify",
       ".netlify",
       "__mocks__",
       "**/*.test.js",
@@ -47,4 +46,10 @@ export default [
       "no-console": ["error", { allow: ["warn", "debug"] }],
     },
   },
+  {
+    files: ["netlify/**/*.js"],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ];
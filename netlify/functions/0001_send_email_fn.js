@@ -1,20 +1,58 @@
 /**
  * File : 0001_send_email_fn.js
  *
- * Netlify Function to send emails using MailerSend (no templates).
- * Handles POST requests with `to`, `subject`, `text`, and/or `html` content.
+ * Netlify Function to send emails with the configured email providers,
+ * failing over to the next provider on errors. Handles POST requests with
+ * `to`, `subject`, `text`, and/or `html` content, or with a `template` name
+ * and its `data` to render the content from the email templates. Recipients
+ * can be a single email address, an object with `email` and `name` or a list
+ * of either. Optionally accepts `cc`, `bcc`, `replyTo`, `headers`, `tags` and
+ * base64 encoded `attachments`. Emails to a single recipient carry a signed
+ * unsubscribe link for the `notificationType` of the email, or a link to the
+ * notification preferences when no type is passed in. Each email is written
+ * to the outbox first so emails that fail to send are retried. Admin requests
+ * can pass an `idempotencyKey` so a retried request never sends the same email
+ * twice. Only custom X- headers can be set.
+ *
+ * Requests with the admin key can send any email. Signed in owners can only
+ * send the templates of OWNER_TEMPLATES to the tenant of one of their leases,
+ * passing in the `template`, its `data`, the `tenantId` and the `propertyId`.
+ * The recipient and the details of the lease are filled in from the lease.
  */
+import {
+  normalizeEmailMessage,
+  validateEmailMessage,
+} from "./utils/emailMessages";
+import { OUTBOX_STATUSES, queueAndSendEmail } from "./utils/emailOutbox";
+import {
+  EMAIL_TEMPLATES,
+  renderEmailTemplate,
+  validateTemplateData,
+} from "./utils/emailTemplates";
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import { fetchActiveLease } from "./utils/firestore";
+import {
+  NOTIFICATION_TYPES,
+  addUnsubscribeLink,
+} from "./utils/notificationPreferences";
 import { populateCorsHeaders } from "./utils/utils";
-import { EmailParams, MailerSend, Recipient, Sender } from "mailersend";
 
-const sentFrom = new Sender(process.env.MAILERSEND_FROM_EMAIL);
+const isLocalDevTestEnv = process.env.DEV_ENV === "true";
+const AdminAuthorizedKey = process.env.ADMIN_KEY;
+
+// the key is used as the outbox id, firestore ids cannot contain slashes
+const IDEMPOTENCY_KEY_PATTERN = /^[\w.@+-]{1,256}$/;
 
-const mailerSend = new MailerSend({
-  apiKey: process.env.MAILERSEND_API_KEY,
-});
+// templates owners can send to their tenants, with the notification type of each
+const OWNER_TEMPLATES = {
+  [EMAIL_TEMPLATES.ONBOARDING]: null,
+  [EMAIL_TEMPLATES.RENT_REMINDER]: NOTIFICATION_TYPES.RENT_REMINDERS,
+  [EMAIL_TEMPLATES.RENT_OVERDUE]: NOTIFICATION_TYPES.RENT_REMINDERS,
+  [EMAIL_TEMPLATES.FRIENDLY_REMINDER]: NOTIFICATION_TYPES.RENT_REMINDERS,
+};
 
 export const handler = async (event) => {
-  if (("POST" || "OPTIONS") !== event.httpMethod) {
+  if (event.httpMethod !== "POST") {
     return {
       statusCode: 405,
       headers: populateCorsHeaders(),
@@ -22,52 +60,201 @@ export const handler = async (event) => {
     };
   }
 
-  if (event.httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers: populateCorsHeaders(),
-      body: "OK",
-    };
-  }
-
   try {
-    const { to, subject, text, html } = JSON.parse(event.body);
+    const db = initializeFirebase();
+    const isAdmin =
+      isLocalDevTestEnv ||
+      (Boolean(AdminAuthorizedKey) &&
+        event.queryStringParameters?.key === AdminAuthorizedKey);
+    const user = isAdmin ? null : await verifyUserToken(event);
+
+    if (!isAdmin && !user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const request = JSON.parse(event.body);
+    const ownerEmail = isAdmin
+      ? null
+      : await buildOwnerEmail(db, user, request);
+    if (ownerEmail?.error) {
+      return {
+        statusCode: ownerEmail.statusCode,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: ownerEmail.error }),
+      };
+    }
+
+    const {
+      template,
+      data,
+      source,
+      reference,
+      idempotencyKey = null,
+      notificationType = null,
+      ...message
+    } = ownerEmail || request;
+
+    if (idempotencyKey && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error:
+            "'idempotencyKey' must be 1 to 256 letters, digits or the characters _ . @ + -",
+        }),
+      };
+    }
 
-    if (!to || !subject || !text) {
+    if (
+      notificationType &&
+      !Object.values(NOTIFICATION_TYPES).includes(notificationType)
+    ) {
       return {
         statusCode: 400,
         headers: populateCorsHeaders(),
         body: JSON.stringify({
-          error: "Missing required fields: 'to', 'subject', and either 'text'",
+          error: `'notificationType' must be one of ${Object.values(NOTIFICATION_TYPES).join(", ")}`,
         }),
       };
     }
 
-    const recipients = [new Recipient(to)];
+    if (template) {
+      const validationError = validateTemplateData(template, data);
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers: populateCorsHeaders(),
+          body: JSON.stringify({ error: validationError }),
+        };
+      }
+    }
+
+    // the subject and content passed in override the ones of the template
+    const draftMessage = template
+      ? { ...renderEmailTemplate(template, data), ...message }
+      : message;
 
-    const emailParams = new EmailParams()
-      .setFrom(sentFrom)
-      .setTo(recipients)
-      .setSubject(subject);
+    const validationError = validateEmailMessage(draftMessage);
+    if (validationError) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: validationError }),
+      };
+    }
 
-    if (text) emailParams.setText(text);
-    if (html) emailParams.setHtml(html);
+    const email = addUnsubscribeLink(
+      normalizeEmailMessage(draftMessage),
+      notificationType,
+    );
+    const outboxEmail = await queueAndSendEmail(
+      db,
+      { ...email, template, data },
+      { source: source || "api", reference, idempotencyKey },
+    );
 
-    await mailerSend.email.send(emailParams);
+    // failed emails are accepted, the outbox worker retries them
+    if (outboxEmail.status !== OUTBOX_STATUSES.SENT) {
+      return {
+        statusCode: 202,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          message: "Email queued for retry.",
+          outboxId: outboxEmail.id,
+          providerResponse: {
+            outboxId: outboxEmail.id,
+            status: outboxEmail.status,
+            nextAttemptOn: outboxEmail.nextAttemptOn,
+            error: outboxEmail.lastError,
+          },
+        }),
+      };
+    }
 
     return {
       statusCode: 200,
       headers: populateCorsHeaders(),
-      body: JSON.stringify({ message: "Email sent successfully!" }),
+      body: JSON.stringify({
+        message: "Email sent successfully!",
+        outboxId: outboxEmail.id,
+        providerResponse: {
+          outboxId: outboxEmail.id,
+          ...outboxEmail.providerResponse,
+        },
+      }),
     };
   } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error sending email:", error);
     return {
       statusCode: 500,
       headers: populateCorsHeaders(),
       body: JSON.stringify({
         error: "Failed to send email.",
-        errorDetails: error,
+        errorDetails: error.message,
       }),
     };
   }
 };
+
+/**
+ * buildOwnerEmail ...
+ *
+ * used to build the email a signed in owner sends to the tenant of one of
+ * their leases. Only the template, its data and the lease can be passed in,
+ * the recipient, the notification type and the details of the lease are
+ * filled in from the lease so owners cannot send email to anyone else.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} user - the decoded token of the owner
+ * @param {Object} request - the template, data, tenantId and propertyId of the email
+ * @returns {Object} - the email to send, or the status code and error of an invalid request
+ */
+const buildOwnerEmail = async (db, user, request) => {
+  const { template, data, tenantId, propertyId, ...fields } = request;
+
+  const adminFields = Object.keys(fields);
+  if (adminFields.length > 0) {
+    return {
+      statusCode: 403,
+      error: `${adminFields.map((field) => `'${field}'`).join(", ")} can only be set with the admin key`,
+    };
+  }
+
+  if (!Object.hasOwn(OWNER_TEMPLATES, template || "")) {
+    return {
+      statusCode: 403,
+      error: `'template' must be one of ${Object.keys(OWNER_TEMPLATES).join(", ")}`,
+    };
+  }
+
+  if (!tenantId || !propertyId) {
+    return {
+      statusCode: 400,
+      error: "Missing required fields: 'tenantId' and 'propertyId'",
+    };
+  }
+
+  const lease = await fetchActiveLease(db, tenantId, propertyId);
+  if (!lease || lease.property.createdBy !== user.uid) {
+    return { statusCode: 403, error: "Forbidden" };
+  }
+
+  return {
+    to: lease.tenant.email,
+    template,
+    data: {
+      ...data,
+      recipientName: lease.tenant.name || null,
+      propertyAddress: lease.property.address || lease.property.name || null,
+      actionUrl: process.env.SITE_URL || null,
+    },
+    source: "owner",
+    reference: user.uid,
+    notificationType: OWNER_TEMPLATES[template],
+  };
+};
@@ -6,17 +6,289 @@
  *
  * Must have feature flags enabled for this feature.
  */
+import dayjs from "dayjs";
+
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import { fetchOwnerDetails, fetchPropertyById } from "./utils/firestore";
+import {
+  describePaymentMethod,
+  formatRentMonth,
+  populateCorsHeaders,
+} from "./utils/utils";
 import Stripe from "stripe";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: process.env.STRIPE_API_VERSION,
 });
 
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
 /**
  * handler fn
  *
- * handler fn to retrieve recent transaction details from stripe
+ * handler fn to retrieve recent transaction details from stripe. Owners can
+ * view all payments for their properties while tenants can only view the
+ * payments they have made. Checkout and autopay payments are both returned.
+ * Results are paginated with the `nextCursor` value.
  *
  * @param {Object} event - The event payload passed
  */
-export const handler = async (event) => {};
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const {
+      propertyId,
+      tenantId,
+      rentMonth,
+      startDate,
+      endDate,
+      limit,
+      startingAfter,
+    } = JSON.parse(event.body || "{}");
+
+    if (rentMonth && !dayjs(rentMonth).isValid()) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "'rentMonth' must be a valid month" }),
+      };
+    }
+
+    let isOwner = true;
+    let propertyOwnerId = user.uid;
+
+    if (propertyId) {
+      const property = await fetchPropertyById(db, propertyId);
+      if (!property) {
+        return {
+          statusCode: 404,
+          headers: populateCorsHeaders(),
+          body: JSON.stringify({ error: "Property not found" }),
+        };
+      }
+
+      isOwner = property.createdBy === user.uid;
+      if (!isOwner && !property.rentees?.includes(user.email)) {
+        return {
+          statusCode: 403,
+          headers: populateCorsHeaders(),
+          body: JSON.stringify({ error: "Forbidden" }),
+        };
+      }
+      propertyOwnerId = property.createdBy;
+    }
+
+    const owner = await fetchOwnerDetails(db, propertyOwnerId);
+    if (!owner?.stripeAccountId) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "Property owner does not have a linked stripe account",
+        }),
+      };
+    }
+
+    const filters = {
+      propertyOwnerId,
+      propertyId,
+      tenantId,
+      rentMonth: rentMonth && formatRentMonth(rentMonth),
+      // tenants can only view payments made with their own email
+      tenantEmail: isOwner ? undefined : user.email,
+    };
+
+    const pageSize = Math.min(
+      Number(limit) || DEFAULT_PAGE_SIZE,
+      MAX_PAGE_SIZE,
+    );
+
+    const result = await fetchTransactions(
+      db,
+      owner.stripeAccountId,
+      filters,
+      { startDate, endDate },
+      pageSize,
+      startingAfter,
+    );
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify(result),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error fetching recent transactions:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
+
+/**
+ * fetchTransactions ...
+ *
+ * used to return a page of the rent payments that match the selected
+ * filters, newest first. Checkout and autopay payments are both recorded in
+ * the rents collection, so only the requested page is read and each payment
+ * intent is retrieved from stripe for its latest status and receipt. The
+ * stored rent record is returned for payment intents that cannot be
+ * retrieved, so one failed stripe call does not fail the whole page.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} stripeAccountId - the connected account of the property owner
+ * @param {Object} filters - the rent record values that must match
+ * @param {Object} dateRange - the optional startDate and endDate of the payment
+ * @param {number} pageSize - the number of transactions to return
+ * @param {string} startingAfter - the cursor returned from the previous page
+ * @returns {Object} - the normalized transactions with the next cursor
+ */
+const fetchTransactions = async (
+  db,
+  stripeAccountId,
+  filters,
+  dateRange,
+  pageSize,
+  startingAfter,
+) => {
+  let query = db.collection("rents");
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) query = query.where(key, "==", value);
+  }
+  if (dateRange.startDate) {
+    query = query.where(
+      "createdOn",
+      ">=",
+      dayjs(dateRange.startDate).startOf("day").toISOString(),
+    );
+  }
+  if (dateRange.endDate) {
+    query = query.where(
+      "createdOn",
+      "<=",
+      dayjs(dateRange.endDate).endOf("day").toISOString(),
+    );
+  }
+
+  // one extra record is read to know if there is a next page
+  query = query.orderBy("createdOn", "desc").limit(pageSize + 1);
+
+  if (startingAfter) {
+    const cursorDoc = await db.collection("rents").doc(startingAfter).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const rentSnapshot = await query.get();
+  const rents = rentSnapshot.docs.slice(0, pageSize).map((doc) => doc.data());
+  const hasMore = rentSnapshot.docs.length > pageSize;
+
+  const paymentIntents = await Promise.allSettled(
+    rents.map((rent) =>
+      stripe.paymentIntents.retrieve(
+        rent.stripePaymentIntentID,
+        { expand: ["latest_charge", "payment_method"] },
+        { stripeAccount: stripeAccountId },
+      ),
+    ),
+  );
+
+  const transactions = paymentIntents.map((result, index) => {
+    if (result.status === "fulfilled") {
+      return normalizeTransaction(rents[index], result.value);
+    }
+
+    // eslint-disable-next-line no-console
+    console.error(
+      `unable to retrieve payment intent ${rents[index].stripePaymentIntentID}.`,
+      result.reason,
+    );
+    return normalizeRentRecord(rents[index]);
+  });
+
+  return {
+    transactions,
+    hasMore,
+    nextCursor: hasMore ? rents[rents.length - 1].stripePaymentIntentID : null,
+  };
+};
+
+/**
+ * normalizeTransaction ...
+ *
+ * used to build the transaction response shape from the rent record and its
+ * payment intent.
+ *
+ * @param {Object} rent - the rent record of the payment
+ * @param {Object} paymentIntent - the stripe payment intent with the latest charge and payment method
+ * @returns {Object} - the normalized transaction
+ */
+const normalizeTransaction = (rent, paymentIntent) => ({
+  id: paymentIntent.id,
+  checkoutSessionId: rent.checkoutSessionId || null,
+  source: rent.source || "checkout",
+  tenantId: rent.tenantId,
+  tenantEmail: rent.tenantEmail,
+  propertyId: rent.propertyId,
+  rentMonth: rent.rentMonth,
+  amount: paymentIntent.amount,
+  amountReceived: paymentIntent.amount_received,
+  currency: paymentIntent.currency,
+  status: paymentIntent.status,
+  paymentMethod:
+    typeof paymentIntent.payment_method === "object" &&
+    paymentIntent.payment_method
+      ? describePaymentMethod(paymentIntent.payment_method)
+      : null,
+  receiptURL: paymentIntent.latest_charge?.receipt_url || null,
+  createdOn: dayjs.unix(paymentIntent.created).toISOString(),
+});
+
+/**
+ * normalizeRentRecord ...
+ *
+ * used to build the transaction response shape from the rent record alone,
+ * when its payment intent cannot be retrieved from stripe.
+ *
+ * @param {Object} rent - the rent record of the payment
+ * @returns {Object} - the normalized transaction
+ */
+const normalizeRentRecord = (rent) => ({
+  id: rent.stripePaymentIntentID,
+  checkoutSessionId: rent.checkoutSessionId || null,
+  source: rent.source || "checkout",
+  tenantId: rent.tenantId,
+  tenantEmail: rent.tenantEmail,
+  propertyId: rent.propertyId,
+  rentMonth: rent.rentMonth,
+  amount: Number(rent.amount || 0),
+  amountReceived: null,
+  currency: rent.currency || null,
+  status: rent.status || null,
+  paymentMethod: rent.paymentMethodType
+    ? rent.paymentMethodType.toUpperCase()
+    : null,
+  receiptURL: rent.recieptURL || null,
+  createdOn: rent.createdOn,
+});
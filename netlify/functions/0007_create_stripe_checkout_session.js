@@ -5,17 +5,54 @@
  *
  * Must have feature flags enabled for this feature.
  */
-import { populateCorsHeaders } from "./utils/utils";
+import dayjs from "dayjs";
+
+import {
+  computeApplicationFee,
+  fetchApplicationFeeRule,
+} from "./utils/applicationFees";
+import {
+  buildCheckoutFingerprint,
+  buildCheckoutKey,
+  fetchCheckoutSessionRecord,
+  isRentPaymentProcessing,
+  saveCheckoutSessionRecord,
+} from "./utils/checkoutSessions";
+import { DEPOSIT_STATUSES, PAYMENT_TYPES } from "./utils/deposits";
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import {
+  fetchActiveLease,
+  fetchOwnerDetails,
+  fetchTenantDoc,
+} from "./utils/firestore";
+import { isRentMonthInLease } from "./utils/leaseSchedule";
+import { fetchLedgerBalance, postMonthlyCharges } from "./utils/ledger";
+import { computeRentCharges } from "./utils/rentCalculator";
+import { computeCardSurcharge } from "./utils/surcharges";
+import { populateCorsHeaders, toCents } from "./utils/utils";
 import Stripe from "stripe";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: process.env.STRIPE_API_VERSION,
 });
 
+const PAYMENT_METHOD_TYPES = ["card", "us_bank_account"];
+
 /**
  * handler fn
  *
- * handler fn to create a checkout session
+ * handler fn to create a checkout session. Only identifiers are accepted
+ * from the tenant, the amounts are computed from the lease terms. The charges
+ * of the rent month are posted to the ledger and the tenant pays either the
+ * full outstanding balance or the partial `amount` in cents. Security
+ * deposits are paid with the `deposit` payment type. The platform fee of the
+ * owner plan is collected as the application fee of the payment, tenants can
+ * select the `paymentMethodType` up front when the fee depends on it. Owners
+ * with a card surcharge require the tenant to select the payment method so
+ * the convenience fee is only added to card payments. An open session for
+ * the same lease is reused while the balance and amounts it charges are
+ * current, and no rent session is created while another rent payment of the
+ * lease is processing.
  *
  * @param {Object} event - The event payload passed
  */
@@ -29,76 +66,238 @@ export const handler = async (event) => {
   }
 
   try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
     const {
-      rentAmount,
-      additionalCharges,
-      initialLateFee,
-      dailyLateFee,
-      stripeOwnerAccountId,
-      propertyId,
-      propertyOwnerId,
       tenantId,
+      propertyId,
       rentMonth,
-      tenantEmail,
+      amount,
+      paymentType = PAYMENT_TYPES.RENT,
+      paymentMethodType,
     } = JSON.parse(event.body);
 
+    if (!Object.values(PAYMENT_TYPES).includes(paymentType)) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: `'paymentType' must be one of ${Object.values(PAYMENT_TYPES).join(", ")}`,
+        }),
+      };
+    }
+
+    if (
+      paymentMethodType &&
+      !PAYMENT_METHOD_TYPES.includes(paymentMethodType)
+    ) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: `'paymentMethodType' must be one of ${PAYMENT_METHOD_TYPES.join(", ")}`,
+        }),
+      };
+    }
+
+    if (
+      !tenantId ||
+      !propertyId ||
+      (paymentType === PAYMENT_TYPES.RENT && !rentMonth)
+    ) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error:
+            "Missing required fields: 'tenantId', 'propertyId' and 'rentMonth'",
+        }),
+      };
+    }
+
+    const lease = await fetchActiveLease(db, tenantId, propertyId);
+
+    // tenant is the only one who can pay
+    if (!lease || lease.tenant.email !== user.email) {
+      return {
+        statusCode: 403,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "Tenant is not an active rentee of the selected property",
+        }),
+      };
+    }
+
+    const { tenant, property } = lease;
+    const propertyOwnerId = property.createdBy;
+    const owner = await fetchOwnerDetails(db, propertyOwnerId);
+
+    if (!owner?.stripeAccountId) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "Property owner does not have a linked stripe account",
+        }),
+      };
+    }
+
+    if (owner.cardSurcharge?.enabled && !paymentMethodType) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error:
+            "Missing required field: 'paymentMethodType'. Card payments include a convenience fee",
+        }),
+      };
+    }
+
+    const draftLease = { tenantId, propertyId, propertyOwnerId };
+
+    if (
+      paymentType === PAYMENT_TYPES.RENT &&
+      !isRentMonthInLease(tenant, property, rentMonth)
+    ) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "'rentMonth' must be within the lease term",
+        }),
+      };
+    }
+
+    if (
+      paymentType === PAYMENT_TYPES.RENT &&
+      (await isRentPaymentProcessing(db, draftLease))
+    ) {
+      return {
+        statusCode: 409,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "A rent payment for the selected lease is still processing",
+        }),
+      };
+    }
+
+    const draftSession =
+      paymentType === PAYMENT_TYPES.DEPOSIT
+        ? buildDepositSession(tenant)
+        : await buildRentSession(
+            db,
+            tenant,
+            property,
+            draftLease,
+            rentMonth,
+            amount,
+          );
+
+    if (draftSession.error) {
+      return {
+        statusCode: draftSession.statusCode,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: draftSession.error }),
+      };
+    }
+
+    const { planId, rule } = await fetchApplicationFeeRule(db, owner);
+    const applicationFeeAmount = computeApplicationFee(
+      rule,
+      draftSession.metadata.paymentAmount,
+      paymentMethodType,
+    );
+
+    const convenienceFee = computeCardSurcharge(
+      owner.cardSurcharge,
+      draftSession.metadata.paymentAmount,
+      paymentMethodType,
+    );
+    const lineItems =
+      convenienceFee > 0
+        ? [
+            ...draftSession.lineItems,
+            { name: "Card convenience fee", amount: convenienceFee },
+          ]
+        : draftSession.lineItems;
+
+    const checkoutKey = buildCheckoutKey(draftLease, paymentType);
+    const fingerprint = buildCheckoutFingerprint({
+      paymentType,
+      balance: draftSession.metadata.balance ?? null,
+      paymentMethodType: paymentMethodType || null,
+      lineItems,
+      applicationFeeAmount,
+    });
+
+    const checkoutRecord = await fetchCheckoutSessionRecord(db, checkoutKey);
+    const existingSession = await resolveExistingSession(
+      db,
+      checkoutRecord,
+      fingerprint,
+    );
+
+    if (existingSession?.error) {
+      return {
+        statusCode: existingSession.statusCode,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: existingSession.error }),
+      };
+    }
+
+    if (existingSession) {
+      return {
+        statusCode: 200,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          id: existingSession.id,
+          url: existingSession.url,
+        }),
+      };
+    }
+
+    // retries of the same attempt return the same session from stripe
+    const attempt = (checkoutRecord?.attempt || 0) + 1;
+
     const session = await stripe.checkout.sessions.create(
       {
-        payment_method_types: ["card", "us_bank_account"],
-        line_items: [
-          {
-            price_data: {
-              currency: "usd",
-              product_data: {
-                name: "Monthly Rent",
-              },
-              unit_amount: rentAmount,
-            },
-            quantity: 1,
-          },
-          {
-            price_data: {
-              currency: "usd",
-              product_data: {
-                name: "Additional Charges",
-              },
-              unit_amount: additionalCharges,
+        payment_method_types: paymentMethodType
+          ? [paymentMethodType]
+          : PAYMENT_METHOD_TYPES,
+        line_items: lineItems.map((lineItem) => ({
+          price_data: {
+            currency: "usd",
+            product_data: {
+              name: lineItem.name,
             },
-            quantity: 1,
+            unit_amount: lineItem.amount,
           },
-          {
-            price_data: {
-              currency: "usd",
-              product_data: {
-                name: "Initial late fee",
-              },
-              unit_amount: initialLateFee,
-            },
-            quantity: 1,
-          },
-          {
-            price_data: {
-              currency: "usd",
-              product_data: {
-                name: "Daily late fee",
-              },
-              unit_amount: dailyLateFee,
-            },
-            quantity: 1,
-          },
-        ],
+          quantity: 1,
+        })),
         mode: "payment",
-        customer_email: tenantEmail,
+        customer_email: tenant.email,
+        ...(applicationFeeAmount > 0 && {
+          payment_intent_data: {
+            application_fee_amount: applicationFeeAmount,
+          },
+        }),
         metadata: {
-          tenantId,
-          propertyId,
-          propertyOwnerId,
-          rentMonth,
-          rentAmount,
-          additionalCharges,
-          initialLateFee,
-          dailyLateFee,
-          customer_email: tenantEmail,
+          ...draftLease,
+          ...draftSession.metadata,
+          paymentType,
+          convenienceFee,
+          applicationFeeAmount,
+          planId: planId || "",
+          customer_email: tenant.email,
         },
         success_url:
           process.env.STRIPE_PAYMENT_SUCCESS_URL +
@@ -106,16 +305,44 @@ export const handler = async (event) => {
         cancel_url: process.env.STRIPE_PAYMENT_FAILURE_URL,
       },
       {
-        stripeAccount: stripeOwnerAccountId, // session is created on behalf of the property owner
+        stripeAccount: owner.stripeAccountId, // session is created on behalf of the property owner
+        idempotencyKey: `checkout_${checkoutKey}_${fingerprint}_${attempt}`,
       },
     );
 
+    await saveCheckoutSessionRecord(db, checkoutKey, {
+      ...draftLease,
+      paymentType,
+      rentMonth: rentMonth || null,
+      sessionId: session.id,
+      url: session.url,
+      fingerprint,
+      attempt,
+      stripeAccountId: owner.stripeAccountId,
+    });
+
+    if (paymentType === PAYMENT_TYPES.DEPOSIT) {
+      const tenantDoc = await fetchTenantDoc(db, tenantId);
+      await tenantDoc.ref.set(
+        {
+          deposit: {
+            status: DEPOSIT_STATUSES.PENDING,
+            amount: draftSession.metadata.depositAmount,
+            checkoutSessionId: session.id,
+            updatedOn: dayjs().toISOString(),
+          },
+        },
+        { merge: true },
+      );
+    }
+
     return {
       statusCode: 200,
       headers: populateCorsHeaders(),
       body: JSON.stringify({ id: session.id, url: session.url }),
     };
   } catch (err) {
+    // eslint-disable-next-line no-console
     console.error("Stripe Checkout Error:", err.message);
     return {
       statusCode: 400,
@@ -124,3 +351,186 @@ export const handler = async (event) => {
     };
   }
 };
+
+/**
+ * resolveExistingSession ...
+ *
+ * used to find out if the last checkout session of the lease can be reused.
+ * Open sessions with out of date amounts are expired. Tenants cannot start a
+ * new session while a completed one is not collected yet.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} checkoutRecord - the last checkout session record, if any
+ * @param {string} fingerprint - the fingerprint of the new session parameters
+ * @returns {Object} session - the open session to reuse, the error with status code or null
+ */
+const resolveExistingSession = async (db, checkoutRecord, fingerprint) => {
+  if (!checkoutRecord) return null;
+
+  const stripeAccount = checkoutRecord.stripeAccountId;
+  const session = await stripe.checkout.sessions.retrieve(
+    checkoutRecord.sessionId,
+    {},
+    { stripeAccount },
+  );
+
+  if (session.status === "open") {
+    if (checkoutRecord.fingerprint === fingerprint) return session;
+
+    try {
+      await stripe.checkout.sessions.expire(session.id, {}, { stripeAccount });
+    } catch (error) {
+      // session may have been expired by a concurrent request
+      // eslint-disable-next-line no-console
+      console.error("unable to expire stale checkout session.", error.message);
+    }
+    return null;
+  }
+
+  if (session.status === "complete") {
+    const rentDoc = await db
+      .collection("rents")
+      .doc(session.payment_intent)
+      .get();
+    const rent = rentDoc.exists ? rentDoc.data() : null;
+
+    const isSettled =
+      rent?.paymentStatus === "paid" ||
+      rent?.stripeEventType === "checkout.session.async_payment_failed";
+    if (!isSettled) {
+      return {
+        statusCode: 409,
+        error: "A payment for the selected lease is still processing",
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * buildRentSession ...
+ *
+ * used to build the line items and metadata of a rent payment. The charges
+ * of the rent month are posted to the ledger before the balance is read.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} tenant - the tenant record
+ * @param {Object} property - the property record
+ * @param {Object} draftLease - the tenantId, propertyId and propertyOwnerId of the lease
+ * @param {string} rentMonth - the rent month being paid
+ * @param {number} amount - the optional partial amount in cents
+ * @returns {Object} draftSession - the line items and metadata, or the error with status code
+ */
+const buildRentSession = async (
+  db,
+  tenant,
+  property,
+  draftLease,
+  rentMonth,
+  amount,
+) => {
+  const charges = computeRentCharges(tenant, property, rentMonth);
+  await postMonthlyCharges(db, draftLease, rentMonth, charges);
+
+  const balance = await fetchLedgerBalance(
+    db,
+    draftLease.tenantId,
+    draftLease.propertyId,
+  );
+
+  if (balance <= 0) {
+    return { statusCode: 409, error: "There is no outstanding balance" };
+  }
+
+  // pays the full outstanding balance unless a partial amount is selected
+  const paymentAmount = amount === undefined ? balance : Number(amount);
+
+  if (
+    !Number.isInteger(paymentAmount) ||
+    paymentAmount <= 0 ||
+    paymentAmount > balance
+  ) {
+    return {
+      statusCode: 400,
+      error: `'amount' must be a whole number of cents between 1 and ${balance}`,
+    };
+  }
+
+  return {
+    lineItems: buildLineItems(charges, balance, paymentAmount),
+    metadata: {
+      rentMonth,
+      rentAmount: charges.rentAmount,
+      additionalCharges: charges.additionalCharges,
+      initialLateFee: charges.initialLateFee,
+      dailyLateFee: charges.dailyLateFee,
+      lateFeeDaysLate: charges.daysLate,
+      balance,
+      paymentAmount,
+    },
+  };
+};
+
+/**
+ * buildDepositSession ...
+ *
+ * used to build the line items and metadata of a security deposit payment.
+ * The deposit is only posted to the ledger once it is paid, so an unpaid
+ * deposit is never collected as part of the rent balance.
+ *
+ * @param {Object} tenant - the tenant record
+ * @returns {Object} draftSession - the line items and metadata, or the error with status code
+ */
+const buildDepositSession = (tenant) => {
+  const depositAmount = toCents(tenant.security_deposit);
+
+  if (depositAmount <= 0) {
+    return {
+      statusCode: 400,
+      error: "No security deposit is required for the selected lease",
+    };
+  }
+
+  if (tenant.deposit && tenant.deposit.status !== DEPOSIT_STATUSES.PENDING) {
+    return {
+      statusCode: 409,
+      error: "Security deposit has already been paid",
+    };
+  }
+
+  return {
+    lineItems: [{ name: "Security deposit", amount: depositAmount }],
+    metadata: { depositAmount, paymentAmount: depositAmount },
+  };
+};
+
+/**
+ * buildLineItems ...
+ *
+ * used to build the line items of the checkout session. The charges of the
+ * rent month are itemized when the full balance is paid, otherwise a single
+ * line item is used for the amount being paid.
+ *
+ * @param {Object} charges - the charges computed for the rent month
+ * @param {number} balance - the outstanding balance in cents
+ * @param {number} paymentAmount - the amount being paid in cents
+ * @returns {Array} lineItems - the list of line items with name and amount
+ */
+const buildLineItems = (charges, balance, paymentAmount) => {
+  if (paymentAmount < balance) {
+    return [{ name: "Partial payment", amount: paymentAmount }];
+  }
+
+  if (balance < charges.total) {
+    return [{ name: "Remaining balance", amount: balance }];
+  }
+
+  const previousBalance = balance - charges.total;
+  return previousBalance > 0
+    ? [
+        ...charges.lineItems,
+        { name: "Previous balance", amount: previousBalance },
+      ]
+    : charges.lineItems;
+};
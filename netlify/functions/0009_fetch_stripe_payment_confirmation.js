@@ -5,7 +5,7 @@
  *
  * Must have feature flags enabled for this feature.
  */
-import { populateCorsHeaders } from "./utils/utils";
+import { describePaymentMethod, populateCorsHeaders } from "./utils/utils";
 import Stripe from "stripe";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
@@ -41,7 +41,7 @@ export const handler = async (event) => {
 
     const session = await stripe.checkout.sessions.retrieve(
       sessionId,
-      { expand: ["payment_intent"] },
+      { expand: ["payment_intent", "line_items"] },
       { stripeAccount: stripeAccountId },
     );
 
@@ -60,14 +60,14 @@ export const handler = async (event) => {
       { stripeAccount: stripeAccountId },
     );
 
-    let paymentMethodDescription;
-    if (paymentMethod.type === "card") {
-      paymentMethodDescription = `${paymentMethod.card.brand.toUpperCase()} ${paymentMethod.card.funding.toUpperCase()} CARD`;
-    } else if (paymentMethod.type === "us_bank_account") {
-      paymentMethodDescription = `US BANK ACCOUNT (${paymentMethod.us_bank_account.bank_name || "Unknown Bank"})`;
-    } else {
-      paymentMethodDescription = paymentMethod.type.toUpperCase();
-    }
+    const paymentMethodDescription = describePaymentMethod(paymentMethod);
+
+    // card convenience fee is shown as its own line item
+    const lineItems = session.line_items.data.map((lineItem) => ({
+      name: lineItem.description,
+      amount: lineItem.amount_total,
+    }));
+    const convenienceFee = Number(session.metadata?.convenienceFee || 0);
 
     if (
       session?.payment_status === "paid" ||
@@ -79,6 +79,8 @@ export const handler = async (event) => {
         body: JSON.stringify({
           session: session,
           paymentMethod: paymentMethodDescription,
+          lineItems,
+          convenienceFee,
         }),
       };
     }
@@ -91,6 +93,8 @@ export const handler = async (event) => {
           status: paymentIntent?.status || "unknown",
           message: "Payment not yet completed",
           session: session,
+          lineItems,
+          convenienceFee,
         }),
       };
     }
@@ -105,6 +109,7 @@ export const handler = async (event) => {
       }),
     };
   } catch (error) {
+    // eslint-disable-next-line no-console
     console.error("Error confirming payment:", error);
     return {
       statusCode: 500,
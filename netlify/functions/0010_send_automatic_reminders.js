@@ -10,24 +10,69 @@
  */
 import dayjs from "dayjs";
 
-import { populateCorsHeaders } from "./utils/utils";
-import admin from "firebase-admin";
-import fs from "fs";
-import path from "path";
+import { EMAIL_TEMPLATES, renderEmailTemplate } from "./utils/emailTemplates";
+import {
+  REQUIRED_ESCALATION_STAGES,
+  buildEscalationNotice,
+  findEscalationStage,
+  recordEscalationNotice,
+  resolveEscalationPolicy,
+} from "./utils/escalations";
+import { initializeFirebase } from "./utils/firebase";
+import { fetchOwnerDetails, fetchTenantDoc } from "./utils/firestore";
+import {
+  fetchJobCheckpoint,
+  fetchJobCheckpointResults,
+  saveJobCheckpoint,
+} from "./utils/jobCheckpoints";
+import { LEASE_STATUSES, computeLeaseSchedule } from "./utils/leaseSchedule";
+import { fetchLedgerBalance, fetchUnpostedCharges } from "./utils/ledger";
+import {
+  NOTIFICATION_TYPES,
+  filterRecipientsByPreferences,
+} from "./utils/notificationPreferences";
+import {
+  REMINDER_LOG_STATUSES,
+  buildReminderLogId,
+  claimReminderLog,
+  fetchReminderLog,
+  filterUnsentRecipients,
+  recordReminderLog,
+} from "./utils/reminderLogs";
+import {
+  REMINDER_KINDS,
+  findReminder,
+  resolveReminderSettings,
+} from "./utils/reminderSettings";
+import { computeRentCharges } from "./utils/rentCalculator";
+import { mapWithConcurrency, populateCorsHeaders } from "./utils/utils";
 
 let db;
+const JOB_NAME = "send_automatic_reminders";
+const PAGE_SIZE = 50;
+const CONCURRENCY = 5;
+const TIME_BUDGET_MS = 8000;
 const isLocalDevTestEnv = process.env.DEV_ENV === "true";
 const AdminAuthorizedKey = process.env.ADMIN_KEY;
 
-const standardReminderSettings = {
-  GENERAL: [7, 3, 1, 0],
-};
-
 /**
  * handler fn ...
  *
  * used to send ARPS (Automatic Payment Reminder System) alert messages if
- * tenant has not paid the upcomming month's rent. Follows default reminder settings.
+ * tenant has not paid the upcomming month's rent. Follows the reminder settings
+ * of the lease or property, otherwise the default reminder settings. Overdue
+ * rent is escalated through the stages of the escalation policy. Recipients
+ * who opted out of rent reminders are skipped, apart from legally required
+ * notices. Use `dryRun` to return the reminders without sending them, `asOf`
+ * to run for another date and `propertyId` or `tenantId` to select a single
+ * lease.
+ *
+ * Tenants are processed in pages of PAGE_SIZE with no more than CONCURRENCY
+ * tenants in flight at once. Full runs save a checkpoint after each page and
+ * no tenant is started once TIME_BUDGET_MS has passed, so calling the
+ * function again for the same date picks up where the previous call stopped.
+ * Once every tenant is processed, each call retries the tenants that failed
+ * and the run is only reported complete after they have been retried.
  *
  * @param {Object} event - the event payload to be processed.
  */
@@ -36,96 +81,178 @@ export const handler = async (event) => {
     !isLocalDevTestEnv &&
     event.queryStringParameters?.key !== AdminAuthorizedKey
   ) {
+    // eslint-disable-next-line no-console
     console.error("problem fetching required token");
     return { statusCode: 401, body: "Unauthorized" };
   }
 
   try {
-    const today = dayjs();
-    const emailPromises = [];
-    const reminders = standardReminderSettings.GENERAL;
+    const startedAt = Date.now();
+    const { dryRun, asOf, propertyId, tenantId } =
+      event.queryStringParameters || {};
+    const isDryRun = dryRun === "true";
+    const today = asOf ? dayjs(asOf) : dayjs();
 
-    initializeFirebase();
+    if (!today.isValid()) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: "Error: 'asOf' must be a valid date",
+      };
+    }
 
-    // Fetch all active tenants
-    const tenantSnapshots = await db
-      .collection("tenants")
-      .where("isActive", "==", true)
-      .get();
+    db = initializeFirebase();
 
-    for (const tenantDocs of tenantSnapshots.docs) {
-      const tenant = tenantDocs.data();
-      const { id, propertyId, start_date, email } = tenant;
+    // debug runs always start over, only full runs keep a checkpoint
+    const runDate = today.format("YYYY-MM-DD");
+    const checkpointId =
+      isDryRun || propertyId || tenantId ? null : `${JOB_NAME}_${runDate}`;
+    const checkpoint = checkpointId
+      ? await fetchJobCheckpoint(db, checkpointId)
+      : null;
 
-      if (!propertyId) continue;
+    const totals = {
+      processed: 0,
+      sent: 0,
+      failed: 0,
+      skipped: 0,
+      ...checkpoint?.totals,
+    };
+    const report = [];
+    let complete = Boolean(checkpoint?.complete);
 
-      const upcommingDueDate = dayjs().date(dayjs(start_date).date());
-      const diffDays = upcommingDueDate.diff(today, "day");
+    // Fetch active tenants, or a single lease when debugging
+    let tenantQuery = db.collection("tenants").where("isActive", "==", true);
+    if (propertyId) {
+      tenantQuery = tenantQuery.where("propertyId", "==", propertyId);
+    }
+    if (tenantId) {
+      tenantQuery = tenantQuery.where("id", "==", tenantId);
+    }
 
-      // doubles down as validation
-      fetchPropertyDetails(propertyId, email);
+    // pages follow the default document id order of the query
+    let cursor = checkpoint?.lastTenantDocId
+      ? await db.collection("tenants").doc(checkpoint.lastTenantDocId).get()
+      : null;
 
-      // ignores manually paid rent by default
-      const upcomingMonthRentData = fetchUpcomingRentDetails(
-        propertyId,
-        id,
-        upcommingDueDate.toISOString(),
+    const isWithinBudget = () => Date.now() - startedAt < TIME_BUDGET_MS;
+    const buildCheckpoint = () => ({
+      jobName: JOB_NAME,
+      runDate,
+      lastTenantDocId: cursor?.id || null,
+      totals,
+      complete,
+      startedOn: checkpoint?.startedOn || dayjs(startedAt).toISOString(),
+    });
+
+    while (!complete && isWithinBudget()) {
+      let pageQuery = tenantQuery.limit(PAGE_SIZE);
+      if (cursor?.exists) pageQuery = pageQuery.startAfter(cursor);
+      const tenantSnapshots = await pageQuery.get();
+
+      const results = await processWithinBudget(
+        tenantSnapshots.docs.map((tenantDoc) => tenantDoc.data()),
+        today,
+        isDryRun,
+        isWithinBudget,
       );
 
-      const rentAmount = upcomingMonthRentData
-        ? (Number(upcomingMonthRentData.rentAmount || 0) +
-            Number(upcomingMonthRentData.additionalCharges || 0) +
-            Number(upcomingMonthRentData.initialLateFee || 0) +
-            Number(upcomingMonthRentData.dailyLateFee || 0)) /
-          100
-        : Number(tenant.rent) + Number(tenant.additional_rent || 0);
-
-      let subject, text;
-      if (reminders.includes(diffDays)) {
-        // rent is due; send payment reminder emails
-        subject = `Rent Reminder: Due in ${diffDays} day(s)`;
-        text = `Hi ${email}, your rent of $${rentAmount.toFixed(2)} is due on ${upcommingDueDate.format("MMMM D, YYYY")}.`;
-      } else if (diffDays > 0) {
-        // rent is overdue; send overdue reminder emails
-        subject = `Rent Reminder: Overdue by ${Math.abs(diffDays)} day(s)`;
-        text = `Hi ${email}, your rent of $${rentAmount.toFixed(2)} was due on ${upcommingDueDate.format("MMMM D, YYYY")}. Please pay as soon as possible.`;
-      }
+      results.forEach((result) => {
+        totals.processed += 1;
+        totals[result.status] = (totals[result.status] || 0) + 1;
+      });
+      report.push(...results);
 
-      if (subject && text) {
-        emailPromises.push(
-          fetch(
-            `${process.env.SITE_URL}/.netlify/functions/0001_send_email_fn`,
-            {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({
-                to: email,
-                subject,
-                text,
-              }),
-            },
-          ),
+      // tenants left over once the time is up are picked up by the next call
+      complete =
+        tenantSnapshots.size < PAGE_SIZE &&
+        results.length === tenantSnapshots.size;
+      cursor = tenantSnapshots.docs[results.length - 1] || cursor;
+
+      if (checkpointId) {
+        await saveJobCheckpoint(
+          db,
+          checkpointId,
+          buildCheckpoint(),
+          results.map(buildCheckpointResult),
         );
       }
     }
 
-    // Wait for all emails to be sent
-    const results = await Promise.allSettled(emailPromises);
+    // tenants that failed are retried on every call once all tenants are processed
+    let hasRetriedFailures = !checkpointId;
+    let lastResultId = null;
+    while (complete && !hasRetriedFailures && isWithinBudget()) {
+      const failedResults = await fetchJobCheckpointResults(
+        db,
+        checkpointId,
+        "failed",
+        PAGE_SIZE,
+        lastResultId,
+      );
+
+      const tenantDocs = await Promise.all(
+        failedResults.map((failedResult) =>
+          fetchTenantDoc(db, failedResult.id),
+        ),
+      );
+      const results = await processWithinBudget(
+        tenantDocs.map(
+          (tenantDoc, index) =>
+            tenantDoc?.data() || {
+              id: failedResults[index].id,
+              isActive: false,
+            },
+        ),
+        today,
+        isDryRun,
+        isWithinBudget,
+      );
+
+      results.forEach((result) => {
+        totals.failed -= 1;
+        totals[result.status] = (totals[result.status] || 0) + 1;
+      });
+      report.push(...results);
 
-    results.forEach((result, index) => {
-      if (result.status === "fulfilled") {
-        console.log(`Email ${index} sent successfully`, result.value);
-      } else {
-        console.error(`Email ${index} failed`, result.reason);
-      }
-    });
+      hasRetriedFailures =
+        failedResults.length < PAGE_SIZE &&
+        results.length === failedResults.length;
+      lastResultId = failedResults[results.length - 1]?.id || lastResultId;
+
+      await saveJobCheckpoint(
+        db,
+        checkpointId,
+        buildCheckpoint(),
+        results.map(buildCheckpointResult),
+      );
+    }
+    complete = complete && hasRetriedFailures;
+
+    if (complete) {
+      // eslint-disable-next-line no-console
+      console.log(
+        `Processed ${totals.processed} tenants, sent ${totals.sent} reminders, ${totals.failed} failed.`,
+      );
+    }
 
     return {
       statusCode: 200,
-      headers: populateCorsHeaders(),
-      body: `Processed ${tenantSnapshots.size} tenants, sent ${emailPromises.length} reminders.\n`,
+      headers: {
+        ...populateCorsHeaders(),
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        dryRun: isDryRun,
+        asOf: today.toISOString(),
+        checkpointId,
+        complete,
+        totals,
+        results: report,
+      }),
     };
   } catch (error) {
+    // eslint-disable-next-line no-console
     console.error("Error sending reminders:", error);
     return {
       statusCode: 500,
@@ -136,38 +263,429 @@ export const handler = async (event) => {
 };
 
 /**
- * initializeFirebase ...
+ * processWithinBudget ...
+ *
+ * used to process the tenants with no more than CONCURRENCY in flight at
+ * once. Tenants are not started once the time budget has passed, so only
+ * the results of the tenants that were processed, in order, are returned.
+ *
+ * @param {Array} tenants - the tenant records to process
+ * @param {Object} today - the dayjs date the reminders are sent for
+ * @param {boolean} isDryRun - true to return the reminders without sending them
+ * @param {Function} isWithinBudget - returns false once the time budget has passed
+ * @returns {Array} results - the result of each tenant that was processed
+ */
+const processWithinBudget = async (
+  tenants,
+  today,
+  isDryRun,
+  isWithinBudget,
+) => {
+  const results = await mapWithConcurrency(tenants, CONCURRENCY, (tenant) =>
+    isWithinBudget() ? processTenant(tenant, today, isDryRun) : null,
+  );
+
+  // tenants are started in order, so the processed tenants come first
+  const processedCount = results.indexOf(null);
+  return processedCount === -1 ? results : results.slice(0, processedCount);
+};
+
+/**
+ * buildCheckpointResult ...
+ *
+ * used to select the details of the tenant result stored with the checkpoint.
+ *
+ * @param {Object} result - the result of the tenant
+ * @returns {Object} - the id, status, reason and logId of the result
+ */
+const buildCheckpointResult = ({ tenantId, status, reason, logId }) => ({
+  id: tenantId,
+  status,
+  reason: reason || null,
+  logId: logId || null,
+});
+
+/**
+ * processTenant ...
+ *
+ * used to build the reminder of a single tenant and send it to the
+ * recipients that have not received it yet. Errors are returned as a failed
+ * result so one tenant does not stop the run.
  *
- * utility function used to init the db based on the user
- * feature flags. Uses service account in conjunction.
+ * @param {Object} tenant - the active tenant record
+ * @param {Object} today - the dayjs date the reminders are sent for
+ * @param {boolean} isDryRun - true to return the reminder without sending it
+ * @returns {Object} result - the tenantId, email, status and reason of the tenant
  */
-const initializeFirebase = () => {
-  if (!admin.apps.length) {
-    if (isLocalDevTestEnv) {
-      console.log("Running in DEV_ENV");
-      const serviceAccountPath = path.resolve("./dev/account.json");
-      const serviceAccount = JSON.parse(
-        fs.readFileSync(serviceAccountPath, "utf8"),
+const processTenant = async (tenant, today, isDryRun) => {
+  const result = { tenantId: tenant.id, email: tenant.email };
+
+  // failed tenants are retried later and may no longer be active
+  if (!tenant.isActive) {
+    return { ...result, status: "skipped", reason: "tenant is not active" };
+  }
+
+  try {
+    const reminder = await buildReminder(tenant, today);
+    if (!reminder.send) {
+      return { ...result, status: "skipped", reason: reminder.reason };
+    }
+
+    // legally required notices are sent regardless of the preferences
+    reminder.recipients = await filterRecipientsByPreferences(
+      db,
+      reminder.recipients,
+      reminder.notificationType,
+    );
+    if (reminder.recipients.length === 0) {
+      return {
+        ...result,
+        status: "skipped",
+        reason: "recipients opted out of rent reminders",
+        logId: reminder.logId,
+      };
+    }
+
+    // nothing is sent in dry run, the reminder is returned instead
+    if (isDryRun) {
+      const reminderLog = await fetchReminderLog(db, reminder.logId);
+      reminder.recipients = filterUnsentRecipients(
+        reminderLog,
+        reminder.recipients,
       );
+      if (reminder.recipients.length === 0) {
+        return {
+          ...result,
+          status: "skipped",
+          reason: "reminder was already sent",
+          logId: reminder.logId,
+        };
+      }
+      return { ...result, status: "due", ...reminder };
+    }
 
-      admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount),
-      });
-    } else {
-      admin.initializeApp({
-        credential: admin.credential.cert({
-          projectId: process.env["FIREBASE_ADMIN_PROJECT_ID"],
-          clientEmail: process.env["FIREBASE_ADMIN_CLIENT_EMAIL"],
-          privateKey: process.env.FIREBASE_ADMIN_PRIVATE_KEY.replace(
-            /\\n/gm,
-            "\n",
-          ).replace(/\\\\n/gm, "\n"),
-        }),
+    // the log is claimed before sending so overlapping runs never send the
+    // same reminder, failed recipients are retried
+    const claim = await claimReminderLog(
+      db,
+      reminder.logId,
+      reminder.recipients,
+    );
+    if (!claim) {
+      return {
+        ...result,
+        status: "skipped",
+        reason: "reminder was already sent or is being sent",
+        logId: reminder.logId,
+      };
+    }
+    reminder.recipients = claim.recipients;
+
+    const updatedLog = await sendReminder(reminder, claim.reminderLog);
+    if (updatedLog.status !== REMINDER_LOG_STATUSES.SENT) {
+      // eslint-disable-next-line no-console
+      console.error(`Reminder ${reminder.logId} failed`, updatedLog.deliveries);
+      return {
+        ...result,
+        status: "failed",
+        reason: "unable to send reminder to every recipient",
+        logId: reminder.logId,
+      };
+    }
+    return { ...result, status: "sent", logId: reminder.logId };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`unable to send reminder for ${tenant.id}`, error);
+    return { ...result, status: "failed", reason: error.message };
+  }
+};
+
+/**
+ * buildReminder ...
+ *
+ * used to work out if a reminder is due for the tenant on the selected date.
+ * Upcoming reminders count down to the next due date and overdue reminders
+ * count up from the last one, both in the time zone of the property. Once
+ * overdue rent reaches the next stage of the escalation policy, the notice
+ * of the stage is sent instead of the overdue reminder. Selects the
+ * reminder, computes the amount owed and builds the email without sending it.
+ *
+ * @param {Object} tenant - the active tenant record
+ * @param {Object} today - the dayjs date the reminders are sent for
+ * @returns {Object} reminder - the send flag with the reason, or the template, subject, text, amount and recipients
+ */
+const buildReminder = async (tenant, today) => {
+  const { id, propertyId, email } = tenant;
+
+  if (!propertyId) return { send: false, reason: "tenant has no property" };
+
+  // doubles down as validation
+  const property = await fetchPropertyDetails(propertyId, email);
+
+  const schedule = computeLeaseSchedule(tenant, property, today);
+  if (schedule.status !== LEASE_STATUSES.ACTIVE) {
+    return { send: false, reason: `lease is ${schedule.status}` };
+  }
+
+  const settings = resolveReminderSettings(property, tenant);
+  const policy = resolveEscalationPolicy(property, tenant);
+  let reason = "no reminder is due";
+
+  for (const dueDate of [schedule.currentDueDate, schedule.nextDueDate]) {
+    if (!dueDate) continue;
+
+    const diffDays = dueDate.diff(schedule.today, "day");
+    const rentMonth = dueDate.format("YYYY-MM");
+    const reminder = findReminder(settings, diffDays);
+    const stage = findEscalationStage(
+      policy,
+      -diffDays,
+      tenant.escalation,
+      rentMonth,
+    );
+    if (!reminder && !stage) continue;
+
+    // quotes the balance owed today, including any late fees. roommates are
+    // charged their own share on their own ledger
+    const charges = computeRentCharges(tenant, property, rentMonth, today);
+    const amountDue = await fetchAmountOwed(
+      tenant,
+      property,
+      rentMonth,
+      charges,
+    );
+    if (amountDue === 0) {
+      reason = "rent is already paid";
+      continue;
+    }
+    const amountPaid = Math.max(charges.total - amountDue, 0);
+
+    // escalation stages replace the overdue reminder of the same day
+    if (stage) {
+      const owner = await fetchOwnerDetails(db, property.createdBy);
+      const noticeDate = schedule.today.format("YYYY-MM-DD");
+      const notice = buildEscalationNotice(stage, {
+        tenant,
+        owner,
+        property,
+        dueDate,
+        daysLate: -diffDays,
+        noticeDate,
+        charges,
+        amountPaid,
+        amountDue,
       });
+      if (notice.recipients.length === 0) {
+        reason = "owner does not have an email";
+        continue;
+      }
+
+      const { subject, text } = renderEmailTemplate(
+        notice.template,
+        notice.templateData,
+      );
+
+      return {
+        send: true,
+        logId: buildReminderLogId(
+          id,
+          rentMonth,
+          stage.stage,
+          stage.afterDueDays,
+        ),
+        tenantId: id,
+        propertyId,
+        propertyOwnerId: property.createdBy,
+        rentMonth,
+        kind: REMINDER_KINDS.ESCALATION,
+        notificationType: REQUIRED_ESCALATION_STAGES.includes(stage.stage)
+          ? null
+          : NOTIFICATION_TYPES.RENT_REMINDERS,
+        offset: stage.afterDueDays,
+        stage: stage.stage,
+        stageIndex: stage.index,
+        daysLate: -diffDays,
+        noticeDate,
+        dueDate: dueDate.format("YYYY-MM-DD"),
+        lineItems: charges.lineItems,
+        amountPaid,
+        amount: amountDue,
+        ...notice,
+        subject,
+        text,
+      };
+    }
+
+    const template =
+      reminder.kind === REMINDER_KINDS.UPCOMING
+        ? EMAIL_TEMPLATES.RENT_REMINDER
+        : EMAIL_TEMPLATES.RENT_OVERDUE;
+    const templateData = {
+      recipientName: tenant.name,
+      propertyAddress: property.address || property.name,
+      amount: amountDue,
+      dueDate: dueDate.format("YYYY-MM-DD"),
+      daysUntilDue: Math.max(diffDays, 0),
+      daysLate: Math.max(-diffDays, 0),
+      isSharedLease: charges.isSharedLease,
+    };
+    const { subject, text } = renderEmailTemplate(template, templateData);
+
+    const recipients = [email];
+    if (reminder.copyOwner) {
+      const owner = await fetchOwnerDetails(db, property.createdBy);
+      if (owner?.email) recipients.push(owner.email);
     }
+
+    return {
+      send: true,
+      logId: buildReminderLogId(id, rentMonth, reminder.kind, reminder.offset),
+      tenantId: id,
+      propertyId,
+      rentMonth,
+      kind: reminder.kind,
+      notificationType: NOTIFICATION_TYPES.RENT_REMINDERS,
+      offset: reminder.offset,
+      dueDate: dueDate.format("YYYY-MM-DD"),
+      amount: amountDue,
+      template,
+      templateData,
+      subject,
+      text,
+      recipients,
+    };
   }
 
-  db = admin.firestore();
+  return { send: false, reason };
+};
+
+/**
+ * sendReminder ...
+ *
+ * used to send the reminder to each of its recipients and record the
+ * response of the email provider in the reminder log.
+ *
+ * @param {Object} reminder - the reminder built for the tenant
+ * @param {Object} reminderLog - the reminder log of previous attempts, if any
+ * @returns {Object} reminderLog - the updated reminder log
+ */
+const sendReminder = async (reminder, reminderLog) => {
+  const deliveries = [];
+
+  for (const to of reminder.recipients) {
+    let delivery;
+    try {
+      const response = await fetch(
+        `${process.env.SITE_URL}/.netlify/functions/0001_send_email_fn?key=${process.env.ADMIN_KEY}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            to,
+            notificationType: reminder.notificationType,
+            // a reminder retried after a timeout is not sent twice
+            idempotencyKey: `reminder_${reminder.logId}_${to}`,
+            ...(reminder.template
+              ? { template: reminder.template, data: reminder.templateData }
+              : { subject: reminder.subject, text: reminder.text }),
+          }),
+        },
+      );
+      const body = await response.json().catch(() => ({}));
+      delivery = {
+        status: response.ok
+          ? REMINDER_LOG_STATUSES.SENT
+          : REMINDER_LOG_STATUSES.FAILED,
+        providerResponse: {
+          statusCode: response.status,
+          ...(body.providerResponse || { error: body.error || null }),
+        },
+      };
+    } catch (error) {
+      delivery = {
+        status: REMINDER_LOG_STATUSES.FAILED,
+        providerResponse: { error: error.message },
+      };
+    }
+    deliveries.push({ to, ...delivery, attemptedOn: dayjs().toISOString() });
+  }
+
+  const updatedLog = await recordReminderLog(
+    db,
+    reminder.logId,
+    {
+      tenantId: reminder.tenantId,
+      propertyId: reminder.propertyId,
+      rentMonth: reminder.rentMonth,
+      kind: reminder.kind,
+      offset: reminder.offset,
+      stage: reminder.stage || null,
+      dueDate: reminder.dueDate,
+      amount: reminder.amount,
+      subject: reminder.subject,
+    },
+    deliveries,
+    reminderLog,
+  );
+
+  // the tenant only moves to the stage once every recipient has the notice
+  if (
+    reminder.kind === REMINDER_KINDS.ESCALATION &&
+    updatedLog.status === REMINDER_LOG_STATUSES.SENT
+  ) {
+    const tenantDoc = await fetchTenantDoc(db, reminder.tenantId);
+    await recordEscalationNotice(db, tenantDoc, {
+      tenantId: reminder.tenantId,
+      propertyId: reminder.propertyId,
+      propertyOwnerId: reminder.propertyOwnerId,
+      rentMonth: reminder.rentMonth,
+      stage: reminder.stage,
+      stageIndex: reminder.stageIndex,
+      noticeDate: reminder.noticeDate,
+      dueDate: reminder.dueDate,
+      daysLate: reminder.daysLate,
+      lineItems: reminder.lineItems,
+      amountPaid: reminder.amountPaid,
+      amountDue: reminder.amount,
+      subject: reminder.subject,
+      text: reminder.text,
+      recipients: updatedLog.deliveries.map((delivery) => delivery.to),
+      reminderLogId: reminder.logId,
+    });
+  }
+
+  return updatedLog;
+};
+
+/**
+ * fetchAmountOwed ...
+ *
+ * used to return the balance the tenant owes for the rent month. Checkout,
+ * autopay and manual payments are all posted to the ledger, so the ledger
+ * balance is used together with the charges of the rent month that are not
+ * posted yet. The job only reads the ledger and never posts charges.
+ *
+ * @param {Object} tenant - the active tenant record
+ * @param {Object} property - the property of the tenant
+ * @param {string} rentMonth - the rent month of the reminder. Eg, 2025-08
+ * @param {Object} charges - the charges computed for the rent month
+ * @returns {number} amount - the balance owed in cents, zero if nothing is owed
+ */
+const fetchAmountOwed = async (tenant, property, rentMonth, charges) => {
+  const [balance, unpostedCharges] = await Promise.all([
+    fetchLedgerBalance(db, tenant.id, property.id),
+    fetchUnpostedCharges(
+      db,
+      {
+        tenantId: tenant.id,
+        propertyId: property.id,
+        propertyOwnerId: property.createdBy,
+      },
+      rentMonth,
+      charges,
+    ),
+  ]);
+  return Math.max(balance + unpostedCharges, 0);
 };
 
 /**
@@ -193,6 +711,7 @@ const fetchPropertyDetails = async (propertyId, activeTenantEmail) => {
 
   const propertyDoc = propertySnapshot.docs[0];
   if (!propertyDoc) {
+    // eslint-disable-next-line no-console
     console.error(
       "problem retrieving selected property. unable to send automatic emails with required property details",
     );
@@ -200,31 +719,3 @@ const fetchPropertyDetails = async (propertyId, activeTenantEmail) => {
   }
   return propertyDoc.data();
 };
-
-/**
- * fetchUpcomingRentDetails ...
- *
- * used to return rent details for matching properties
- * and where tenants are still active. re-enforce validation.
- * Tenant must be a rentee within the selected property &&
- * rentMonth must be due of next month. Also ignores rent paid
- * "manually" or with the stamp of "paid" or "manual".
- *
- * @param {string} propertyId - the unique id of the property
- * @returns {object} rentData - the data matching the selected params
- *
- */
-const fetchUpcomingRentDetails = async (propertyId, id, nextMonthStr) => {
-  const rentSnapshot = await db
-    .collection("rents")
-    .where("propertyId", "==", propertyId)
-    .where("tenantId", "==", id)
-    .where("rentMonth", "==", nextMonthStr)
-    .get();
-
-  let rentData = rentSnapshot.empty ? null : rentSnapshot.docs[0].data();
-  if (rentData && ["paid", "manual"].includes(rentData.status)) {
-    return null;
-  }
-  return rentData;
-};
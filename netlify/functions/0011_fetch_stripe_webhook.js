@@ -11,7 +11,7 @@
  */
 import dayjs from "dayjs";
 
-import { populateCorsHeaders } from "./utils/utils";
+import { describePaymentMethod, populateCorsHeaders } from "./utils/utils";
 import Stripe from "stripe";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
@@ -34,6 +34,7 @@ export const handler = async (event) => {
       process.env.STRIPE_WEBHOOK_SECRET,
     );
   } catch (err) {
+    // eslint-disable-next-line no-console
     console.error("Webhook signature verification failed:", err.message);
     return {
       statusCode: 400,
@@ -42,8 +43,22 @@ export const handler = async (event) => {
     };
   }
 
-  // handle charge code associations
-  updateStripePaymentHandler(stripeEvent?.type, stripeEvent?.data?.object);
+  // handle charge code associations, failures are retried by stripe
+  try {
+    await updateStripePaymentHandler(
+      stripeEvent?.type,
+      stripeEvent?.data?.object,
+      stripeEvent?.account,
+    );
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error("Webhook processing failed:", err);
+    return {
+      statusCode: 500,
+      headers: populateCorsHeaders(),
+      body: `Webhook Error: ${err.message}`,
+    };
+  }
 
   return {
     statusCode: 200,
@@ -56,71 +71,105 @@ export const handler = async (event) => {
  * updateStripePaymentHandler ...
  *
  * function used to update stripe payment services based on various associations
- * made by stripe payment services.
+ * made by stripe payment services. Throws if the db could not be updated so
+ * the event is retried.
  *
  * @param {string} stripeEventType - the type of event that we need to process.
  * @param {Object} eventDetails - the event details object
+ * @param {string} stripeAccountId - the connected account the event belongs to
  */
-const updateStripePaymentHandler = (stripeEventType, eventDetails) => {
+const updateStripePaymentHandler = async (
+  stripeEventType,
+  eventDetails,
+  stripeAccountId,
+) => {
   switch (stripeEventType) {
     // Payment Intents
     case "payment_intent.created":
+      // eslint-disable-next-line no-console
       console.info(
         "Submitted stripe payment services for payment intent with created stamp.",
       );
-      updateDb(stripeEventType, {
+      await updateDb(stripeEventType, {
         id: eventDetails?.id,
         amount: eventDetails?.amount,
         status: eventDetails?.status,
       });
       break;
     case "payment_intent.processing":
+      // eslint-disable-next-line no-console
       console.info(
         "Submitted stripe payment services for payment intent with processing stamp.",
       );
-      updateDb(stripeEventType, {
+      await updateDb(stripeEventType, {
         id: eventDetails?.id,
         amount: eventDetails?.amount,
         status: eventDetails?.status,
       });
       break;
     case "payment_intent.succeeded":
+      // eslint-disable-next-line no-console
       console.info(
         "Submitted stripe payment services for payment intent with success stamp.",
       );
-      updateDb(stripeEventType, {
+      await updateDb(stripeEventType, {
         id: eventDetails?.id,
         amount: eventDetails?.amount,
         status: eventDetails?.status,
       });
       break;
+    case "payment_intent.payment_failed":
+      // eslint-disable-next-line no-console
+      console.info(
+        "Submitted stripe payment services for payment intent with failed stamp.",
+      );
+      await updateDb(stripeEventType, {
+        id: eventDetails?.id,
+        amount: eventDetails?.amount,
+        status: eventDetails?.status,
+        failureMessage: eventDetails?.last_payment_error?.message,
+      });
+      break;
 
     // Checkout Session events
     case "checkout.session.completed":
+      // eslint-disable-next-line no-console
       console.info(
         "Submitted stripe payment services for checkout session intent with completed stamp.",
       );
-      updateDb(stripeEventType, eventDetails);
+      // setup sessions save the autopay payment method and carry no payment
+      if (eventDetails?.mode === "setup") {
+        await updateAutopaySetup(
+          stripeEventType,
+          eventDetails,
+          stripeAccountId,
+        );
+        break;
+      }
+      await updateDb(stripeEventType, eventDetails);
       break;
     case "checkout.session.async_payment_succeeded":
+      // eslint-disable-next-line no-console
       console.info(
         "Submitted async stripe payment services for payment intent with success stamp.",
       );
-      updateDb(stripeEventType, eventDetails);
+      await updateDb(stripeEventType, eventDetails);
       break;
     case "checkout.session.async_payment_failed":
+      // eslint-disable-next-line no-console
       console.info(
         "Submitted async stripe payment services for payment intent with failure stamp.",
       );
-      updateDb(stripeEventType, eventDetails);
+      await updateDb(stripeEventType, eventDetails);
       break;
 
     // Charge events
     case "charge.failed":
+      // eslint-disable-next-line no-console
       console.info(
         "Submitted stripe payment services for charge intent with failed stamp.",
       );
-      updateDb(stripeEventType, {
+      await updateDb(stripeEventType, {
         id: eventDetails?.payment_intent, // payment_intent is unique accessor
         amount: eventDetails?.amount,
         status: eventDetails?.status,
@@ -129,10 +178,11 @@ const updateStripePaymentHandler = (stripeEventType, eventDetails) => {
       });
       break;
     case "charge.pending":
+      // eslint-disable-next-line no-console
       console.info(
         "Submitted stripe payment services for charge intent with pending stamp.",
       );
-      updateDb(stripeEventType, {
+      await updateDb(stripeEventType, {
         id: eventDetails?.payment_intent, // payment_intent is unique accessor
         amount: eventDetails?.amount,
         status: eventDetails?.status,
@@ -141,10 +191,11 @@ const updateStripePaymentHandler = (stripeEventType, eventDetails) => {
       });
       break;
     case "charge.succeeded":
+      // eslint-disable-next-line no-console
       console.info(
         "Submitted stripe payment services for charge intent with success stamp.",
       );
-      updateDb(stripeEventType, {
+      await updateDb(stripeEventType, {
         id: eventDetails?.payment_intent, // payment_intent is unique accessor
         amount: eventDetails?.amount,
         status: eventDetails?.status,
@@ -154,10 +205,11 @@ const updateStripePaymentHandler = (stripeEventType, eventDetails) => {
       });
       break;
     case "charge.updated":
+      // eslint-disable-next-line no-console
       console.info(
         "Submitted stripe payment services for charge intent with updated stamp.",
       );
-      updateDb(stripeEventType, {
+      await updateDb(stripeEventType, {
         id: eventDetails?.payment_intent, // payment_intent is unique accessor
         amount: eventDetails?.amount,
         status: eventDetails?.status,
@@ -165,18 +217,158 @@ const updateStripePaymentHandler = (stripeEventType, eventDetails) => {
         paymentMethodDetails: eventDetails?.payment_method_details,
       });
       break;
+
+    // Refund events
+    case "charge.refunded":
+      // eslint-disable-next-line no-console
+      console.info(
+        "Submitted stripe payment services for charge intent with refunded stamp.",
+      );
+      await updateRefunds(
+        stripeEventType,
+        eventDetails?.payment_intent,
+        stripeAccountId,
+      );
+      break;
+    case "refund.updated":
+      // eslint-disable-next-line no-console
+      console.info(
+        "Submitted stripe payment services for refund intent with updated stamp.",
+      );
+      await updateDb(stripeEventType, {
+        id: eventDetails?.payment_intent, // payment_intent is unique accessor
+        refund: pickRefundDetails(eventDetails),
+      });
+      break;
+
     // Default
     default:
-      /* eslint-disable no-console */
+      // eslint-disable-next-line no-console
       console.log("No matching case for event type:", stripeEventType);
       break;
   }
 };
 
+/**
+ * updateRefunds ...
+ *
+ * used to update the db with every refund of the payment intent. The charge
+ * refunded event does not include the refund that was created, so the
+ * refunds are retrieved from the connected account.
+ *
+ * @param {string} stripeEventType - the type of event that we need to process.
+ * @param {string} paymentIntentId - the payment intent that was refunded
+ * @param {string} stripeAccountId - the connected account of the payment
+ */
+const updateRefunds = async (
+  stripeEventType,
+  paymentIntentId,
+  stripeAccountId,
+) => {
+  const refunds = await stripe.refunds.list(
+    { payment_intent: paymentIntentId, limit: 100 },
+    { stripeAccount: stripeAccountId },
+  );
+
+  for (const refund of refunds.data) {
+    await updateDb(stripeEventType, {
+      id: paymentIntentId,
+      refund: pickRefundDetails(refund),
+    });
+  }
+};
+
+/**
+ * updateAutopaySetup ...
+ *
+ * used to save the payment method of a completed autopay setup session with
+ * the tenant. Bank accounts that are not verified yet are saved by the event
+ * of a later session. Throws if the db could not be updated so the event is
+ * retried.
+ *
+ * @param {string} stripeEventType - the type of event that we need to process.
+ * @param {Object} session - the setup mode checkout session
+ * @param {string} stripeAccountId - the connected account of the session
+ */
+const updateAutopaySetup = async (
+  stripeEventType,
+  session,
+  stripeAccountId,
+) => {
+  if (session.metadata?.purpose !== "autopay_setup" || !session.setup_intent) {
+    // eslint-disable-next-line no-console
+    console.log("No autopay setup for checkout session:", session.id);
+    return null;
+  }
+
+  const setupIntent = await stripe.setupIntents.retrieve(
+    session.setup_intent,
+    { expand: ["payment_method"] },
+    { stripeAccount: stripeAccountId },
+  );
+  if (setupIntent.status !== "succeeded") {
+    // eslint-disable-next-line no-console
+    console.info(
+      `Autopay setup ${setupIntent.id} is ${setupIntent.status}, payment method not saved.`,
+    );
+    return null;
+  }
+
+  const paymentMethod = setupIntent.payment_method;
+  const draftData = {
+    stripeEventType,
+    autopaySetup: {
+      tenantId: session.metadata.tenantId,
+      propertyId: session.metadata.propertyId,
+      checkoutSessionId: session.id,
+      stripeCustomerId: session.customer,
+      stripePaymentMethodId: paymentMethod.id,
+      paymentMethodType: paymentMethod.type,
+      paymentMethod: describePaymentMethod(paymentMethod),
+    },
+    updatedOn: dayjs().toISOString(),
+  };
+  const response = await fetch(
+    `${process.env.VITE_SITE_URL}/.netlify/functions/0012_update_stripe_payments?key=${process.env.VITE_SITE_ADMIN_AUTHORIZED_KEY}`,
+    {
+      method: "POST",
+      headers: {
+        ...populateCorsHeaders(),
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(draftData),
+    },
+  );
+
+  if (!response.ok) {
+    // eslint-disable-next-line no-console
+    console.error("failed to update db.");
+    throw new Error(`Failed to update DB: ${response.statusText}`);
+  }
+
+  return true;
+};
+
+/**
+ * pickRefundDetails ...
+ *
+ * used to select the refund details that are stored in the db.
+ *
+ * @param {Object} refund - the stripe refund object
+ * @returns {Object} - the refund details
+ */
+const pickRefundDetails = (refund) => ({
+  id: refund?.id,
+  amount: refund?.amount,
+  status: refund?.status,
+  reason: refund?.reason || null,
+});
+
 /**
  * updateDb ...
  *
- * used to update the db for rent payment webhook handler.
+ * used to update the db for rent payment webhook handler. Throws if the db
+ * could not be updated.
  *
  * @param {Object} data - the data to post into the db.
  * @param {string} stripeEventType - the type of event that we need to process.
@@ -189,96 +381,111 @@ const updateDb = async (stripeEventType, data) => {
     typeof data !== "object" ||
     Object.keys(data).length === 0
   ) {
+    // eslint-disable-next-line no-console
     console.error("unable to update data. missing required fields.");
     return null;
   }
 
-  try {
-    // handle events with session metadata differently
-    if (data?.metadata) {
-      const {
-        propertyId,
-        propertyOwnerId,
-        customer_email: tenantEmail,
-        rentAmount,
-        additionalCharges,
-        initialLateFee,
-        dailyLateFee,
-        rentMonth,
-        tenantId,
-      } = data?.metadata;
+  // handle events with session metadata differently
+  if (data?.metadata) {
+    const {
+      propertyId,
+      propertyOwnerId,
+      customer_email: tenantEmail,
+      rentAmount,
+      additionalCharges,
+      initialLateFee,
+      dailyLateFee,
+      lateFeeDaysLate,
+      rentMonth,
+      tenantId,
+      paymentType,
+      depositAmount,
+      convenienceFee,
+      applicationFeeAmount,
+      planId,
+    } = data.metadata;
 
-      const stripePaymentIntentID = data?.payment_intent;
+    const stripePaymentIntentID = data?.payment_intent;
 
-      const draftData = {
-        tenantId,
-        tenantEmail,
-        propertyId,
-        propertyOwnerId,
-        rentMonth,
-        rentAmount,
-        additionalCharges,
-        initialLateFee,
-        dailyLateFee,
-        stripePaymentIntentID,
-        method: "stripe",
-        status: data.status,
-        stripeEventType,
-        paymentMethodType: Object.keys(data.payment_method_options)[0],
-        createdBy: tenantId, // tenant is the only one who can pay
-        createdOn: dayjs().toISOString(),
-        updatedBy: tenantId,
-        updatedOn: dayjs().toISOString(),
-      };
-      const response = await fetch(
-        `${process.env.VITE_SITE_URL}/.netlify/functions/0012_update_stripe_payments`,
-        {
-          method: "POST",
-          headers: {
-            ...populateCorsHeaders(),
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(draftData),
+    const draftData = {
+      tenantId,
+      tenantEmail,
+      propertyId,
+      propertyOwnerId,
+      rentMonth,
+      rentAmount,
+      additionalCharges,
+      initialLateFee,
+      dailyLateFee,
+      lateFeeDaysLate,
+      paymentType,
+      depositAmount,
+      convenienceFee: Number(convenienceFee || 0),
+      applicationFeeAmount: Number(applicationFeeAmount || 0),
+      planId: planId || null,
+      stripePaymentIntentID,
+      checkoutSessionId: data.id,
+      method: "stripe",
+      status: data.status,
+      paymentStatus: data.payment_status,
+      amount: data.amount_total,
+      stripeEventType,
+      paymentMethodType: Object.keys(data.payment_method_options)[0],
+      createdBy: tenantId, // tenant is the only one who can pay
+      createdOn: dayjs().toISOString(),
+      updatedBy: tenantId,
+      updatedOn: dayjs().toISOString(),
+    };
+    const response = await fetch(
+      `${process.env.VITE_SITE_URL}/.netlify/functions/0012_update_stripe_payments?key=${process.env.VITE_SITE_ADMIN_AUTHORIZED_KEY}`,
+      {
+        method: "POST",
+        headers: {
+          ...populateCorsHeaders(),
+          "Content-Type": "application/json",
         },
-      );
+        body: JSON.stringify(draftData),
+      },
+    );
 
-      if (!response.ok) {
-        console.error("failed to update db.");
-        throw new Error(`Failed to update DB: ${response.statusText}`);
-      }
+    if (!response.ok) {
+      // eslint-disable-next-line no-console
+      console.error("failed to update db.");
+      throw new Error(`Failed to update DB: ${response.statusText}`);
+    }
 
-      return true;
-    } else {
-      const draftData = {
-        stripePaymentIntentID: data.id,
-        method: "stripe",
-        status: data.status,
-        amount: data.amount,
-        stripeEventType,
-        createdOn: dayjs().toISOString(),
-        updatedOn: dayjs().toISOString(),
-      };
-      const response = await fetch(
-        `${process.env.VITE_SITE_URL}/.netlify/functions/0012_update_stripe_payments`,
-        {
-          method: "POST",
-          headers: {
-            ...populateCorsHeaders(),
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(draftData),
+    return true;
+  } else {
+    const draftData = {
+      stripePaymentIntentID: data.id,
+      method: "stripe",
+      status: data.status,
+      amount: data.amount,
+      failureMessage: data.failureMessage,
+      refund: data.refund,
+      stripeEventType,
+      createdOn: dayjs().toISOString(),
+      updatedOn: dayjs().toISOString(),
+    };
+    const response = await fetch(
+      `${process.env.VITE_SITE_URL}/.netlify/functions/0012_update_stripe_payments?key=${process.env.VITE_SITE_ADMIN_AUTHORIZED_KEY}`,
+      {
+        method: "POST",
+        headers: {
+          ...populateCorsHeaders(),
+          "Content-Type": "application/json",
         },
-      );
-
-      if (!response.ok) {
-        console.error("failed to update db.");
-        throw new Error(`Failed to update DB: ${response.statusText}`);
-      }
+        body: JSON.stringify(draftData),
+      },
+    );
 
-      return false;
+    if (!response.ok) {
+      // eslint-disable-next-line no-console
+      console.error("failed to update db.");
+      throw new Error(`Failed to update DB: ${response.statusText}`);
     }
-  } catch (err) {
-    console.error("updateDb error:", err);
+
     return false;
   }
 };
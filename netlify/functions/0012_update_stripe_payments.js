@@ -5,6 +5,27 @@
  *
  * Must have feature flags enabled for this feature.
  */
+import {
+  AUTOPAY_SOURCE,
+  notifyAutopayFailure,
+  postAutopayCredit,
+  sendAutopayReceipt,
+} from "./utils/autopay";
+import { DEPOSIT_STATUSES, PAYMENT_TYPES } from "./utils/deposits";
+import { EMAIL_TEMPLATES } from "./utils/emailTemplates";
+import { fetchTenantDoc } from "./utils/firestore";
+import {
+  LEDGER_CATEGORIES,
+  buildLedgerId,
+  postLedgerEntry,
+} from "./utils/ledger";
+import {
+  createReceipt,
+  fetchLeaseDetails,
+  sendPaymentNotification,
+} from "./utils/paymentNotifications";
+import { postRefundToLedger, recordRefund } from "./utils/refunds";
+import { recordSharePayment } from "./utils/rentShares";
 import { populateCorsHeaders } from "./utils/utils";
 import admin from "firebase-admin";
 import fs from "fs";
@@ -45,7 +66,8 @@ const AdminAuthorizedKey = process.env.VITE_SITE_ADMIN_AUTHORIZED_KEY;
  * if the "createdBy" column exists, we assume that the webhook request
  * contained metadata which needs to be stored and processed differently.
  * this allows us to have idempotency over rental payments that are marked
- * as complete vs payments that are not fully completed.
+ * as complete vs payments that are not fully completed. Autopay setup
+ * sessions carry no payment and only save the payment method of the tenant.
  *
  * @param {Object} event - the event payload to be processed.
  */
@@ -54,6 +76,7 @@ export const handler = async (event) => {
     !isLocalDevTestEnv &&
     event.queryStringParameters?.key !== AdminAuthorizedKey
   ) {
+    // eslint-disable-next-line no-console
     console.error("problem fetching required token");
     return {
       statusCode: 401,
@@ -67,6 +90,23 @@ export const handler = async (event) => {
 
   try {
     const data = JSON.parse(event.body);
+
+    // autopay setup sessions only save the payment method of the tenant
+    if (data.autopaySetup) {
+      await saveAutopayPaymentMethod(data.autopaySetup, data.updatedOn);
+      return {
+        statusCode: 200,
+        headers: {
+          ...populateCorsHeaders(),
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          success: true,
+          id: data.autopaySetup.checkoutSessionId,
+        }),
+      };
+    }
+
     const containsMetadata = Boolean(data?.createdBy);
 
     let draftCollection = "rentalPayments";
@@ -76,53 +116,90 @@ export const handler = async (event) => {
     const docRef = db
       .collection(draftCollection)
       .doc(data.stripePaymentIntentID);
-    await docRef.set(data, { merge: true });
+    // every webhook event is sent as new, the record keeps its first date
+    await db.runTransaction(async (transaction) => {
+      const existingDoc = await transaction.get(docRef);
+      transaction.set(
+        docRef,
+        { ...data, createdOn: existingDoc.data()?.createdOn || data.createdOn },
+        { merge: true },
+      );
+    });
 
-    // send email for payment notification from clients
-    if (containsMetadata) {
-      const subject = "Notification of payment attached.";
-      const text = `
-      Hi there,
-      
-      Attached is your notification of payment.
+    // security deposits are held until the tenant moves out
+    if (
+      data.paymentType === PAYMENT_TYPES.DEPOSIT &&
+      isPaymentCollected(data)
+    ) {
+      await markDepositHeld(data);
+    }
 
-      Rent Month: ${data?.rentMonth}
-      Rent Amount: $${data?.rentAmount}
-      Additional Charges: $${data?.additionalCharges}
-      Initial Late Fee: $${data?.initialLateFee}
-      Daily Late Fee: $${data?.dailyLateFee}
+    // post the payment to the tenant ledger once the funds are collected
+    // the card convenience fee is kept by the owner and never credited
+    if (containsMetadata && isPaymentCollected(data)) {
+      await markPaymentPaid(docRef, data.updatedOn);
 
+      const paidAmount = data.amount - Number(data.convenienceFee || 0);
+      await postLedgerEntry(
+        db,
+        {
+          tenantId: data.tenantId,
+          propertyId: data.propertyId,
+          propertyOwnerId: data.propertyOwnerId,
+          category: LEDGER_CATEGORIES.STRIPE_PAYMENT,
+          amount: paidAmount,
+          description: "Stripe payment",
+          rentMonth: data.rentMonth,
+          reference: data.stripePaymentIntentID,
+          createdBy: data.tenantId,
+        },
+        `stripe_${data.stripePaymentIntentID}`,
+      );
+      await recordSharePayment(db, { ...data, amount: paidAmount });
+    }
 
-      Current payment status: ${data?.status}
+    // autopay payments are created without a checkout session
+    if (!containsMetadata) {
+      await syncAutopayPayment(data);
+    }
 
-      Thank you,
+    if (data.refund) {
+      await syncRefund(data);
+    }
 
-      This is an auto-generated email. Please do not reply to this email.
-      `;
+    // collected payments get a pdf receipt, failed bank payments are reported
+    if (containsMetadata && isPaymentCollected(data)) {
+      const lease = await fetchLeaseDetails(db, data);
+      const lineItems = buildPaymentLineItems(data);
+      const receipt = await createReceipt(db, data, lease, lineItems);
 
-      const response = await fetch(
-        `${process.env.VITE_SITE_URL}/.netlify/functions/0001_send_email_fn`,
+      await sendPaymentNotification(
+        db,
+        data,
+        lease,
+        EMAIL_TEMPLATES.PAYMENT_RECEIPT,
         {
-          method: "POST",
-          headers: {
-            ...populateCorsHeaders(),
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            to: data?.customer_email,
-            subject,
-            text,
-          }),
+          paymentStatus: data.status,
+          receiptNumber: receipt?.receipt.receiptNumber || null,
+          lineItems,
+        },
+        { receipt },
+      );
+    } else if (
+      containsMetadata &&
+      data.stripeEventType === "checkout.session.async_payment_failed"
+    ) {
+      const lease = await fetchLeaseDetails(db, data);
+      await sendPaymentNotification(
+        db,
+        data,
+        lease,
+        EMAIL_TEMPLATES.PAYMENT_FAILED,
+        {
+          failedOn: data.updatedOn,
+          reason: "The bank payment could not be collected.",
         },
       );
-
-      if (!response.ok) {
-        console.error(
-          "unable to send email notification from stripe webhook handler.",
-        );
-        // eat the exception
-        return;
-      }
     }
     return {
       statusCode: 200,
@@ -133,6 +210,7 @@ export const handler = async (event) => {
       body: JSON.stringify({ success: true, id: docRef.id }),
     };
   } catch (err) {
+    // eslint-disable-next-line no-console
     console.error(
       "error updating the database with rent details from webhook handler. ",
       err,
@@ -140,3 +218,208 @@ export const handler = async (event) => {
     throw err;
   }
 };
+
+/**
+ * isPaymentCollected ...
+ *
+ * used to determine if the checkout session event confirms that the funds
+ * have been collected. Bank payments are confirmed asynchronously.
+ *
+ * @param {Object} data - the rent details from the webhook handler
+ * @returns {Boolean} - true if the payment has been collected
+ */
+const isPaymentCollected = (data) =>
+  data.stripeEventType === "checkout.session.async_payment_succeeded" ||
+  (data.stripeEventType === "checkout.session.completed" &&
+    data.paymentStatus === "paid");
+
+/**
+ * markPaymentPaid ...
+ *
+ * used to record when the funds of the rent payment were collected. The
+ * webhook rewrites the rent record on every event, so the paid date is only
+ * set the first time and the fee report can rely on it.
+ *
+ * @param {Object} rentRef - the firestore reference of the rent record
+ * @param {string} paidOn - the date the payment was collected
+ */
+const markPaymentPaid = (rentRef, paidOn) =>
+  db.runTransaction(async (transaction) => {
+    const rentDoc = await transaction.get(rentRef);
+    if (rentDoc.data()?.paidOn) return;
+
+    transaction.set(rentRef, { paidOn }, { merge: true });
+  });
+
+/**
+ * buildPaymentLineItems ...
+ *
+ * used to build the line items of the payment from the checkout session
+ * metadata. Line items without an amount are left out.
+ *
+ * @param {Object} data - the rent details from the webhook handler
+ * @returns {Array} lineItems - the name and amount of each line item in cents
+ */
+const buildPaymentLineItems = (data) =>
+  [
+    ...(data?.paymentType === PAYMENT_TYPES.DEPOSIT
+      ? [{ name: "Security Deposit", amount: data?.depositAmount }]
+      : [
+          { name: "Rent Amount", amount: data?.rentAmount },
+          { name: "Additional Charges", amount: data?.additionalCharges },
+          { name: "Initial Late Fee", amount: data?.initialLateFee },
+          { name: "Daily Late Fee", amount: data?.dailyLateFee },
+        ]),
+    { name: "Card Convenience Fee", amount: data?.convenienceFee },
+  ]
+    .map((lineItem) => ({ ...lineItem, amount: Number(lineItem.amount) }))
+    .filter((lineItem) => lineItem.amount > 0);
+
+/**
+ * saveAutopayPaymentMethod ...
+ *
+ * used to save the payment method of the completed autopay setup session
+ * with the tenant. Autopay is still enabled by the tenant, so the enabled
+ * flag is left as is. Sessions of another stripe customer are ignored.
+ *
+ * @param {Object} autopaySetup - the tenant and payment method of the setup session
+ * @param {string} updatedOn - the date of the webhook event
+ */
+const saveAutopayPaymentMethod = async (autopaySetup, updatedOn) => {
+  const tenantDoc = await fetchTenantDoc(db, autopaySetup.tenantId);
+  const autopay = tenantDoc?.data().autopay;
+
+  if (
+    !autopay?.stripeCustomerId ||
+    autopay.stripeCustomerId !== autopaySetup.stripeCustomerId
+  ) {
+    // eslint-disable-next-line no-console
+    console.error(
+      `autopay setup session ${autopaySetup.checkoutSessionId} does not match the tenant. payment method not saved.`,
+    );
+    return;
+  }
+
+  await tenantDoc.ref.set(
+    {
+      autopay: {
+        stripePaymentMethodId: autopaySetup.stripePaymentMethodId,
+        paymentMethodType: autopaySetup.paymentMethodType,
+        paymentMethod: autopaySetup.paymentMethod,
+        updatedBy: "system",
+        updatedOn,
+      },
+    },
+    { merge: true },
+  );
+};
+
+/**
+ * syncAutopayPayment ...
+ *
+ * used to update the autopay rent record once the payment intent succeeds
+ * or fails. Bank payments are confirmed days after the payment is created
+ * and can be returned, so the outcome is only known from the webhook.
+ * Succeeded payments get a pdf receipt emailed to the tenant.
+ *
+ * @param {Object} data - the payment intent details from the webhook handler
+ */
+const syncAutopayPayment = async (data) => {
+  const rentRef = db.collection("rents").doc(data.stripePaymentIntentID);
+  const rentDoc = await rentRef.get();
+
+  if (!rentDoc.exists || rentDoc.data().source !== AUTOPAY_SOURCE) return;
+
+  const rent = rentDoc.data();
+  if (data.stripeEventType === "payment_intent.succeeded") {
+    await rentRef.set(
+      { status: data.status, updatedOn: data.updatedOn },
+      { merge: true },
+    );
+    await markPaymentPaid(rentRef, data.updatedOn);
+    await postAutopayCredit(db, rent);
+
+    await sendAutopayReceipt(db, {
+      ...rent,
+      status: data.status,
+      updatedOn: data.updatedOn,
+    });
+  } else if (
+    data.stripeEventType === "payment_intent.payment_failed" &&
+    rent.status !== "failed"
+  ) {
+    await rentRef.set(
+      {
+        status: "failed",
+        failureMessage: data.failureMessage || null,
+        updatedOn: data.updatedOn,
+      },
+      { merge: true },
+    );
+    await notifyAutopayFailure(db, rent, data.failureMessage);
+  }
+};
+
+/**
+ * syncRefund ...
+ *
+ * used to keep the refunds of the rent record and the tenant ledger in sync
+ * with the refund events from stripe.
+ *
+ * @param {Object} data - the refund details from the webhook handler
+ */
+const syncRefund = async (data) => {
+  const rent = await recordRefund(
+    db,
+    data.stripePaymentIntentID,
+    data.refund,
+    "system",
+  );
+
+  if (rent) {
+    await postRefundToLedger(db, rent, data.refund);
+  }
+};
+
+/**
+ * markDepositHeld ...
+ *
+ * used to mark the security deposit of the tenant as held once the deposit
+ * payment has been collected. The deposit is charged to the ledger only now,
+ * together with the payment that settles it, so it never adds to the rent
+ * balance of the tenant.
+ *
+ * @param {Object} data - the deposit details from the webhook handler
+ */
+const markDepositHeld = async (data) => {
+  const tenantDoc = await fetchTenantDoc(db, data.tenantId);
+  if (!tenantDoc) return;
+
+  await postLedgerEntry(
+    db,
+    {
+      tenantId: data.tenantId,
+      propertyId: data.propertyId,
+      propertyOwnerId: data.propertyOwnerId,
+      category: LEDGER_CATEGORIES.DEPOSIT,
+      amount: Number(data.depositAmount),
+      description: "Security deposit",
+      reference: data.stripePaymentIntentID,
+      createdBy: "system",
+    },
+    `${buildLedgerId(data.tenantId, data.propertyId)}_deposit`,
+  );
+
+  await tenantDoc.ref.set(
+    {
+      deposit: {
+        status: DEPOSIT_STATUSES.HELD,
+        amount: Number(data.depositAmount),
+        stripePaymentIntentID: data.stripePaymentIntentID,
+        paidOn: data.updatedOn,
+        updatedOn: data.updatedOn,
+      },
+    },
+    { merge: true },
+  );
+};
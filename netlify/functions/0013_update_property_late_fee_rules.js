@@ -0,0 +1,100 @@
+/**
+ * File : 0013_update_property_late_fee_rules.js
+ *
+ * This file is used to allow property owners to configure the late fee rules
+ * of their properties. Rules are used by checkout and the reminder emails.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import { fetchPropertyDoc } from "./utils/firestore";
+import { validateLateFeeRules } from "./utils/lateFees";
+import { populateCorsHeaders } from "./utils/utils";
+
+/**
+ * handler fn
+ *
+ * handler fn to update the late fee rules of the selected property. Amounts
+ * are in dollars and the maximum late fee is either a flat amount or a
+ * percentage of the monthly rent.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const { propertyId, lateFeeRules } = JSON.parse(event.body);
+
+    const validationError = validateLateFeeRules(lateFeeRules);
+    if (!propertyId || validationError) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: validationError || "Missing required field: 'propertyId'",
+        }),
+      };
+    }
+
+    const propertyDoc = await fetchPropertyDoc(db, propertyId);
+    if (!propertyDoc || propertyDoc.data().createdBy !== user.uid) {
+      return {
+        statusCode: 403,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Forbidden" }),
+      };
+    }
+
+    const draftRules = {
+      gracePeriodDays: Number(lateFeeRules.gracePeriodDays),
+      initialLateFee: Number(lateFeeRules.initialLateFee),
+      dailyLateFee: Number(lateFeeRules.dailyLateFee),
+      maxLateFee: lateFeeRules.maxLateFee
+        ? {
+            type: lateFeeRules.maxLateFee.type,
+            value: Number(lateFeeRules.maxLateFee.value),
+          }
+        : null,
+    };
+
+    await propertyDoc.ref.update({
+      lateFeeRules: draftRules,
+      updatedBy: user.uid,
+      updatedOn: dayjs().toISOString(),
+    });
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ lateFeeRules: draftRules }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error updating late fee rules:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * File : 0014_create_ledger_entry.js
+ *
+ * This file is used to allow property owners to record charges and manual
+ * payments against the ledger of a tenant. Stripe payments and refunds are
+ * posted automatically and cannot be recorded with this function.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import { fetchActiveLease } from "./utils/firestore";
+import { LEDGER_CATEGORIES, postLedgerEntry } from "./utils/ledger";
+import { populateCorsHeaders } from "./utils/utils";
+
+const allowedCategories = [
+  LEDGER_CATEGORIES.RENT,
+  LEDGER_CATEGORIES.ADDITIONAL_CHARGES,
+  LEDGER_CATEGORIES.LATE_FEE,
+  LEDGER_CATEGORIES.DEPOSIT,
+  LEDGER_CATEGORIES.MANUAL_PAYMENT,
+];
+
+/**
+ * handler fn
+ *
+ * handler fn to post a charge or manual payment to the ledger of the
+ * selected tenant. Amount is in cents.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const { tenantId, propertyId, category, amount, description, rentMonth } =
+      JSON.parse(event.body);
+
+    if (!tenantId || !propertyId || !allowedCategories.includes(category)) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: `Missing required fields: 'tenantId', 'propertyId' and 'category' of ${allowedCategories.join(", ")}`,
+        }),
+      };
+    }
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "'amount' must be a whole number of cents",
+        }),
+      };
+    }
+
+    const lease = await fetchActiveLease(db, tenantId, propertyId);
+    if (!lease || lease.property.createdBy !== user.uid) {
+      return {
+        statusCode: 403,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Forbidden" }),
+      };
+    }
+
+    const ledgerEntry = await postLedgerEntry(db, {
+      tenantId,
+      propertyId,
+      propertyOwnerId: user.uid,
+      category,
+      amount,
+      description,
+      rentMonth,
+      createdBy: user.uid,
+    });
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ ledgerEntry }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error creating ledger entry:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
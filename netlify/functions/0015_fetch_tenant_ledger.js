@@ -0,0 +1,108 @@
+/**
+ * File : 0015_fetch_tenant_ledger.js
+ *
+ * This file is used to allow property owners and tenants to view the ledger
+ * of a lease along with the running balance.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import { fetchPropertyById, fetchTenantById } from "./utils/firestore";
+import { fetchLedgerBalance, fetchLedgerEntries } from "./utils/ledger";
+import { populateCorsHeaders } from "./utils/utils";
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * handler fn
+ *
+ * handler fn to retrieve the balance and ledger entries of the selected
+ * tenant. Owners can view the ledger of any tenant in their properties while
+ * tenants can only view their own ledger.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const { tenantId, propertyId, limit, startAfter } = JSON.parse(event.body);
+
+    if (!tenantId || !propertyId) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "Missing required fields: 'tenantId' and 'propertyId'",
+        }),
+      };
+    }
+
+    const [tenant, property] = await Promise.all([
+      fetchTenantById(db, tenantId),
+      fetchPropertyById(db, propertyId),
+    ]);
+
+    const isOwner = property?.createdBy === user.uid;
+    const isTenant = tenant?.email === user.email;
+
+    if (
+      tenant?.propertyId !== propertyId ||
+      !property ||
+      (!isOwner && !isTenant)
+    ) {
+      return {
+        statusCode: 403,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Forbidden" }),
+      };
+    }
+
+    const pageSize = Math.min(
+      Number(limit) || DEFAULT_PAGE_SIZE,
+      MAX_PAGE_SIZE,
+    );
+
+    const [balance, entries] = await Promise.all([
+      fetchLedgerBalance(db, tenantId, propertyId),
+      fetchLedgerEntries(db, tenantId, propertyId, pageSize, startAfter),
+    ]);
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({
+        balance,
+        entries,
+        nextCursor:
+          entries.length === pageSize ? entries[entries.length - 1].id : null,
+      }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error fetching tenant ledger:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,140 @@
+/**
+ * File : 0016_create_stripe_autopay_setup_session.js
+ *
+ * This file is used to allow tenants to save a card or US bank account on the
+ * connected account of the property owner so rent can be paid automatically.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import {
+  fetchActiveLease,
+  fetchOwnerDetails,
+  fetchTenantDoc,
+} from "./utils/firestore";
+import { populateCorsHeaders } from "./utils/utils";
+import Stripe from "stripe";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  apiVersion: process.env.STRIPE_API_VERSION,
+});
+
+/**
+ * handler fn
+ *
+ * handler fn to create a checkout session in setup mode. The stripe customer
+ * of the tenant is created on the connected account the first time autopay
+ * is set up and reused afterwards.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const { tenantId, propertyId } = JSON.parse(event.body);
+
+    const lease = await fetchActiveLease(db, tenantId, propertyId);
+    if (!lease || lease.tenant.email !== user.email) {
+      return {
+        statusCode: 403,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "Tenant is not an active rentee of the selected property",
+        }),
+      };
+    }
+
+    const { tenant, property } = lease;
+    const owner = await fetchOwnerDetails(db, property.createdBy);
+
+    if (!owner?.stripeAccountId) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "Property owner does not have a linked stripe account",
+        }),
+      };
+    }
+
+    let stripeCustomerId = tenant.autopay?.stripeCustomerId;
+
+    if (!stripeCustomerId) {
+      const customer = await stripe.customers.create(
+        {
+          email: tenant.email,
+          metadata: { tenantId, propertyId },
+        },
+        { stripeAccount: owner.stripeAccountId },
+      );
+      stripeCustomerId = customer.id;
+
+      const tenantDoc = await fetchTenantDoc(db, tenantId);
+      await tenantDoc.ref.set(
+        {
+          autopay: {
+            enabled: false,
+            stripeCustomerId,
+            updatedOn: dayjs().toISOString(),
+          },
+        },
+        { merge: true },
+      );
+    }
+
+    const session = await stripe.checkout.sessions.create(
+      {
+        mode: "setup",
+        payment_method_types: ["card", "us_bank_account"],
+        customer: stripeCustomerId,
+        metadata: {
+          tenantId,
+          propertyId,
+          propertyOwnerId: property.createdBy,
+          purpose: "autopay_setup",
+        },
+        success_url:
+          process.env.STRIPE_AUTOPAY_SUCCESS_URL +
+          "&session_id={CHECKOUT_SESSION_ID}",
+        cancel_url: process.env.STRIPE_PAYMENT_FAILURE_URL,
+      },
+      {
+        stripeAccount: owner.stripeAccountId, // payment method is saved on the property owner account
+      },
+    );
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ id: session.id, url: session.url }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Stripe Autopay Setup Error:", error.message);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,146 @@
+/**
+ * File : 0017_update_autopay_settings.js
+ *
+ * This file is used to enable or disable autopay for a lease. Tenants enable
+ * autopay after completing the setup session. Both the tenant and the owner
+ * of the property can disable autopay.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import {
+  fetchActiveLease,
+  fetchOwnerDetails,
+  fetchTenantDoc,
+} from "./utils/firestore";
+import { describePaymentMethod, populateCorsHeaders } from "./utils/utils";
+import Stripe from "stripe";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  apiVersion: process.env.STRIPE_API_VERSION,
+});
+
+/**
+ * handler fn
+ *
+ * handler fn to update the autopay settings of the lease. When the completed
+ * `setupSessionId` is passed in, the saved payment method is stored with the
+ * tenant before autopay is enabled.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const { tenantId, propertyId, enabled, setupSessionId } = JSON.parse(
+      event.body,
+    );
+
+    if (typeof enabled !== "boolean") {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "'enabled' must be true or false" }),
+      };
+    }
+
+    const lease = await fetchActiveLease(db, tenantId, propertyId);
+    const isTenant = lease?.tenant.email === user.email;
+    const isOwner = lease?.property.createdBy === user.uid;
+
+    // only the tenant can turn on payments from their own account
+    if (!lease || !(isTenant || (isOwner && !enabled))) {
+      return {
+        statusCode: 403,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Forbidden" }),
+      };
+    }
+
+    const autopay = { ...lease.tenant.autopay };
+
+    if (setupSessionId) {
+      const owner = await fetchOwnerDetails(db, lease.property.createdBy);
+      const session = await stripe.checkout.sessions.retrieve(
+        setupSessionId,
+        { expand: ["setup_intent.payment_method"] },
+        { stripeAccount: owner?.stripeAccountId },
+      );
+
+      if (
+        session.status !== "complete" ||
+        session.metadata?.tenantId !== tenantId ||
+        session.customer !== autopay.stripeCustomerId
+      ) {
+        return {
+          statusCode: 400,
+          headers: populateCorsHeaders(),
+          body: JSON.stringify({
+            error: "Autopay setup session is not complete",
+          }),
+        };
+      }
+
+      const paymentMethod = session.setup_intent.payment_method;
+      autopay.stripePaymentMethodId = paymentMethod.id;
+      autopay.paymentMethodType = paymentMethod.type;
+      autopay.paymentMethod = describePaymentMethod(paymentMethod);
+    }
+
+    if (enabled && !autopay.stripePaymentMethodId) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "A saved payment method is required to enable autopay",
+        }),
+      };
+    }
+
+    autopay.enabled = enabled;
+    autopay.updatedBy = user.uid;
+    autopay.updatedOn = dayjs().toISOString();
+
+    const tenantDoc = await fetchTenantDoc(db, tenantId);
+    await tenantDoc.ref.set({ autopay }, { merge: true });
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({
+        autopay: {
+          enabled: autopay.enabled,
+          paymentMethod: autopay.paymentMethod || null,
+        },
+      }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error updating autopay settings:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,246 @@
+/**
+ * File : 0018_process_autopay_payments.js
+ *
+ * This file is used to collect rent automatically for tenants that have
+ * enabled autopay. Payments are created off session on the due date with the
+ * payment method saved on the connected account of the property owner. Uses
+ * admin rights and privilidges.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import {
+  computeApplicationFee,
+  fetchApplicationFeeRule,
+} from "./utils/applicationFees";
+import {
+  AUTOPAY_SOURCE,
+  notifyAutopayFailure,
+  postAutopayCredit,
+  sendAutopayReceipt,
+} from "./utils/autopay";
+import { initializeFirebase } from "./utils/firebase";
+import { fetchActiveLease, fetchOwnerDetails } from "./utils/firestore";
+import { LEASE_STATUSES, computeLeaseSchedule } from "./utils/leaseSchedule";
+import { fetchLedgerBalance, postMonthlyCharges } from "./utils/ledger";
+import { computeRentCharges } from "./utils/rentCalculator";
+import { computeCardSurcharge } from "./utils/surcharges";
+import { populateCorsHeaders } from "./utils/utils";
+import Stripe from "stripe";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  apiVersion: process.env.STRIPE_API_VERSION,
+});
+
+const isLocalDevTestEnv = process.env.DEV_ENV === "true";
+const AdminAuthorizedKey = process.env.ADMIN_KEY;
+
+/**
+ * handler fn ...
+ *
+ * used to create the autopay payments for every active tenant whose rent is
+ * due today. Failed payments are marked as failed and both the tenant and
+ * the owner are notified.
+ *
+ * @param {Object} event - the event payload to be processed.
+ */
+export const handler = async (event) => {
+  if (
+    !isLocalDevTestEnv &&
+    event.queryStringParameters?.key !== AdminAuthorizedKey
+  ) {
+    // eslint-disable-next-line no-console
+    console.error("problem fetching required token");
+    return { statusCode: 401, body: "Unauthorized" };
+  }
+
+  try {
+    const today = dayjs();
+    const db = initializeFirebase();
+
+    const tenantSnapshots = await db
+      .collection("tenants")
+      .where("isActive", "==", true)
+      .where("autopay.enabled", "==", true)
+      .get();
+
+    const results = [];
+    for (const tenantDoc of tenantSnapshots.docs) {
+      const tenant = tenantDoc.data();
+      try {
+        const result = await processAutopayPayment(db, tenant, today);
+        results.push({ tenantId: tenant.id, ...result });
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error(`unable to process autopay for ${tenant.id}`, error);
+        results.push({
+          tenantId: tenant.id,
+          status: "error",
+          error: error.message,
+        });
+      }
+    }
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ processed: results.length, results }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error processing autopay payments:", error);
+    return {
+      statusCode: 500,
+      headers: populateCorsHeaders(),
+      body: `Error: ${error.message}`,
+    };
+  }
+};
+
+/**
+ * processAutopayPayment ...
+ *
+ * used to charge the outstanding balance of the tenant if rent is due today.
+ * Card payments add the convenience fee of the owner, the same as checkout.
+ * The idempotency key is unique per lease, rent month and amount so a
+ * retried job never charges the tenant twice for the same balance, while a
+ * balance that changed is charged with a new key.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} tenant - the tenant record with autopay enabled
+ * @param {Object} today - the dayjs date of the run
+ * @returns {Object} result - the status of the autopay payment
+ */
+const processAutopayPayment = async (db, tenant, today) => {
+  const { id: tenantId, propertyId, autopay } = tenant;
+
+  const lease = await fetchActiveLease(db, tenantId, propertyId);
+  if (!lease) {
+    return { status: "skipped", reason: "lease is not active" };
+  }
+
+  // rent is due in the time zone of the property, not of the job
+  const schedule = computeLeaseSchedule(tenant, lease.property, today);
+  if (
+    schedule.status !== LEASE_STATUSES.ACTIVE ||
+    !schedule.currentDueDate?.isSame(schedule.today, "day")
+  ) {
+    return { status: "skipped", reason: "rent is not due today" };
+  }
+
+  const propertyOwnerId = lease.property.createdBy;
+  const owner = await fetchOwnerDetails(db, propertyOwnerId);
+  if (!owner?.stripeAccountId) {
+    return {
+      status: "skipped",
+      reason: "property owner does not have a linked stripe account",
+    };
+  }
+
+  const rentMonth = schedule.currentDueDate.format("YYYY-MM");
+
+  const charges = computeRentCharges(tenant, lease.property, rentMonth, today);
+  await postMonthlyCharges(
+    db,
+    { tenantId, propertyId, propertyOwnerId },
+    rentMonth,
+    charges,
+  );
+
+  const balance = await fetchLedgerBalance(db, tenantId, propertyId);
+  if (balance <= 0) {
+    return { status: "skipped", reason: "there is no outstanding balance" };
+  }
+
+  const { planId, rule } = await fetchApplicationFeeRule(db, owner);
+  const applicationFeeAmount = computeApplicationFee(
+    rule,
+    balance,
+    autopay.paymentMethodType,
+  );
+  const convenienceFee = computeCardSurcharge(
+    owner.cardSurcharge,
+    balance,
+    autopay.paymentMethodType,
+  );
+
+  const metadata = {
+    tenantId,
+    propertyId,
+    propertyOwnerId,
+    rentMonth,
+    rentAmount: charges.rentAmount,
+    additionalCharges: charges.additionalCharges,
+    initialLateFee: charges.initialLateFee,
+    dailyLateFee: charges.dailyLateFee,
+    lateFeeDaysLate: charges.daysLate,
+    paymentAmount: balance,
+    convenienceFee,
+    applicationFeeAmount,
+    planId: planId || "",
+    customer_email: tenant.email,
+    source: AUTOPAY_SOURCE,
+  };
+
+  let paymentIntent;
+  let failureMessage;
+  try {
+    paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount: balance + convenienceFee,
+        currency: "usd",
+        customer: autopay.stripeCustomerId,
+        payment_method: autopay.stripePaymentMethodId,
+        payment_method_types: [autopay.paymentMethodType],
+        off_session: true,
+        confirm: true,
+        ...(applicationFeeAmount > 0 && {
+          application_fee_amount: applicationFeeAmount,
+        }),
+        metadata,
+      },
+      {
+        stripeAccount: owner.stripeAccountId, // payment is created on behalf of the property owner
+        idempotencyKey: `autopay_${tenantId}_${propertyId}_${rentMonth}_${balance + convenienceFee}`,
+      },
+    );
+  } catch (error) {
+    // declined payments return the failed payment intent with the error
+    if (!error.payment_intent) throw error;
+    paymentIntent = error.payment_intent;
+    failureMessage = error.message;
+  }
+
+  const isFailed = ["requires_payment_method", "canceled"].includes(
+    paymentIntent.status,
+  );
+
+  const rent = {
+    ...metadata,
+    tenantEmail: tenant.email,
+    stripePaymentIntentID: paymentIntent.id,
+    method: "stripe",
+    status: isFailed ? "failed" : paymentIntent.status,
+    amount: balance + convenienceFee,
+    paymentMethodType: autopay.paymentMethodType,
+    failureMessage: failureMessage || null,
+    createdBy: "system",
+    createdOn: dayjs().toISOString(),
+    updatedBy: "system",
+    updatedOn: dayjs().toISOString(),
+  };
+
+  await db.collection("rents").doc(paymentIntent.id).set(rent, { merge: true });
+
+  // the webhook can arrive before the rent record is written, so the
+  // receipt of a payment that succeeds right away is sent from here
+  if (paymentIntent.status === "succeeded") {
+    await postAutopayCredit(db, rent);
+    await sendAutopayReceipt(db, rent);
+  } else if (isFailed) {
+    await notifyAutopayFailure(db, rent, failureMessage);
+  }
+
+  return { status: rent.status, stripePaymentIntentID: paymentIntent.id };
+};
@@ -0,0 +1,171 @@
+/**
+ * File : 0019_create_stripe_refund.js
+ *
+ * This file is used to allow property owners to refund all or part of a
+ * payment made by a tenant on their connected account.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import { PAYMENT_TYPES } from "./utils/deposits";
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import { fetchOwnerDetails } from "./utils/firestore";
+import { postRefundToLedger, recordRefund } from "./utils/refunds";
+import { populateCorsHeaders } from "./utils/utils";
+import Stripe from "stripe";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  apiVersion: process.env.STRIPE_API_VERSION,
+});
+
+const refundReasons = ["duplicate", "fraudulent", "requested_by_customer"];
+
+/**
+ * handler fn
+ *
+ * handler fn to refund the selected payment. Refunds the remaining amount of
+ * the payment unless a partial `amount` in cents is passed in. Rent is
+ * refunded before the card convenience fee and only the rent is posted to
+ * the tenant ledger. The application fee of the platform is refunded in the
+ * same proportion so the owner does not pay it on refunded payments.
+ * Security deposits are not refunded here, they are returned with the
+ * deposit statement of the move-out, see 0020_process_deposit_move_out.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const { stripePaymentIntentID, amount, reason } = JSON.parse(event.body);
+
+    if (!stripePaymentIntentID) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "Missing required field: 'stripePaymentIntentID'",
+        }),
+      };
+    }
+
+    if (reason && !refundReasons.includes(reason)) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: `'reason' must be one of ${refundReasons.join(", ")}`,
+        }),
+      };
+    }
+
+    const rentDoc = await db
+      .collection("rents")
+      .doc(stripePaymentIntentID)
+      .get();
+
+    if (!rentDoc.exists || rentDoc.data().propertyOwnerId !== user.uid) {
+      return {
+        statusCode: 403,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Forbidden" }),
+      };
+    }
+
+    const rent = rentDoc.data();
+    if (rent.paymentType === PAYMENT_TYPES.DEPOSIT) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error:
+            "Security deposits are returned when the tenant moves out, use the move-out deposit statement instead",
+        }),
+      };
+    }
+
+    const refundableAmount =
+      Number(rent.amount || 0) - Number(rent.refundedAmount || 0);
+    const refundAmount = amount === undefined ? refundableAmount : amount;
+
+    if (
+      !Number.isInteger(refundAmount) ||
+      refundAmount <= 0 ||
+      refundAmount > refundableAmount
+    ) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: `'amount' must be a whole number of cents between 1 and ${refundableAmount}`,
+        }),
+      };
+    }
+
+    const owner = await fetchOwnerDetails(db, user.uid);
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: stripePaymentIntentID,
+        amount: refundAmount,
+        // platform fees of direct charges are only returned when requested
+        refund_application_fee: true,
+        ...(reason && { reason }),
+        metadata: {
+          tenantId: rent.tenantId,
+          propertyId: rent.propertyId,
+          rentMonth: rent.rentMonth,
+          refundedBy: user.uid,
+        },
+      },
+      {
+        stripeAccount: owner?.stripeAccountId, // payment was made on the property owner account
+      },
+    );
+
+    const updatedRent = await recordRefund(
+      db,
+      stripePaymentIntentID,
+      refund,
+      user.uid,
+    );
+    await postRefundToLedger(db, updatedRent, refund);
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({
+        refundId: refund.id,
+        status: refund.status,
+        amount: refund.amount,
+        rentAmount: updatedRent.refunds[refund.id].rentAmount,
+        feeAmount: updatedRent.refunds[refund.id].feeAmount,
+        refundedAmount: updatedRent.refundedAmount,
+        refundStatus: updatedRent.refundStatus,
+      }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Stripe Refund Error:", error.message);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
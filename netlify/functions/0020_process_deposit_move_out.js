@@ -0,0 +1,214 @@
+/**
+ * File : 0020_process_deposit_move_out.js
+ *
+ * This file is used to allow property owners to return the security deposit
+ * of a tenant at move-out. Owners itemize deductions and the remainder is
+ * refunded to the tenant with an itemized deposit statement.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import {
+  DEPOSIT_STATUSES,
+  assignDeductionIds,
+  buildDepositStatement,
+  validateDeductions,
+} from "./utils/deposits";
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import {
+  fetchOwnerDetails,
+  fetchPropertyById,
+  fetchTenantDoc,
+} from "./utils/firestore";
+import {
+  LEDGER_CATEGORIES,
+  buildLedgerId,
+  postLedgerEntry,
+} from "./utils/ledger";
+import { postRefundToLedger, recordRefund } from "./utils/refunds";
+import { populateCorsHeaders, sendEmail } from "./utils/utils";
+import Stripe from "stripe";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  apiVersion: process.env.STRIPE_API_VERSION,
+});
+
+/**
+ * handler fn
+ *
+ * handler fn to process the security deposit at move-out. The held deposit
+ * is released from the ledger, each deduction is posted as a charge and the
+ * remainder is refunded on the original deposit payment.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const {
+      tenantId,
+      propertyId,
+      deductions: draftDeductions = [],
+    } = JSON.parse(event.body);
+
+    const [tenantDoc, property] = await Promise.all([
+      fetchTenantDoc(db, tenantId),
+      fetchPropertyById(db, propertyId),
+    ]);
+
+    // tenants may already be inactive when they move out
+    const tenant = tenantDoc?.data();
+    if (tenant?.propertyId !== propertyId || property?.createdBy !== user.uid) {
+      return {
+        statusCode: 403,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Forbidden" }),
+      };
+    }
+
+    const deposit = tenant.deposit;
+    if (deposit?.status !== DEPOSIT_STATUSES.HELD) {
+      return {
+        statusCode: 409,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "There is no security deposit held for the selected tenant",
+        }),
+      };
+    }
+
+    const validationError = validateDeductions(draftDeductions, deposit.amount);
+    if (validationError) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: validationError }),
+      };
+    }
+
+    const deductions = assignDeductionIds(draftDeductions);
+
+    const totalDeductions = deductions.reduce(
+      (sum, deduction) => sum + deduction.amount,
+      0,
+    );
+    const refundAmount = deposit.amount - totalDeductions;
+    const draftLease = { tenantId, propertyId, propertyOwnerId: user.uid };
+    const ledgerId = buildLedgerId(tenantId, propertyId);
+
+    await postLedgerEntry(
+      db,
+      {
+        ...draftLease,
+        category: LEDGER_CATEGORIES.DEPOSIT_RELEASE,
+        amount: deposit.amount,
+        description: "Security deposit released at move-out",
+        createdBy: user.uid,
+      },
+      `${ledgerId}_deposit_release`,
+    );
+
+    for (const deduction of deductions) {
+      await postLedgerEntry(
+        db,
+        {
+          ...draftLease,
+          category: LEDGER_CATEGORIES.DEPOSIT_DEDUCTION,
+          amount: deduction.amount,
+          description: deduction.description,
+          createdBy: user.uid,
+        },
+        `${ledgerId}_deposit_deduction_${deduction.id}`,
+      );
+    }
+
+    let refund = null;
+    if (refundAmount > 0) {
+      const owner = await fetchOwnerDetails(db, user.uid);
+      refund = await stripe.refunds.create(
+        {
+          payment_intent: deposit.stripePaymentIntentID,
+          amount: refundAmount,
+          refund_application_fee: true, // platform fee is returned with the deposit
+          metadata: { tenantId, propertyId, purpose: "deposit_return" },
+        },
+        {
+          stripeAccount: owner?.stripeAccountId, // deposit was paid on the property owner account
+          idempotencyKey: `deposit_return_${tenantId}_${propertyId}`,
+        },
+      );
+
+      const rent = await recordRefund(
+        db,
+        deposit.stripePaymentIntentID,
+        refund,
+        user.uid,
+      );
+      await postRefundToLedger(
+        db,
+        rent || { ...draftLease, rentMonth: null },
+        refund,
+      );
+    }
+
+    let status = DEPOSIT_STATUSES.PARTIALLY_RETURNED;
+    if (totalDeductions === 0) status = DEPOSIT_STATUSES.RETURNED;
+    if (refundAmount === 0) status = DEPOSIT_STATUSES.FORFEITED;
+
+    const updatedDeposit = {
+      ...deposit,
+      status,
+      deductions,
+      refundedAmount: refundAmount,
+      stripeRefundId: refund?.id || null,
+      returnedBy: user.uid,
+      returnedOn: dayjs().toISOString(),
+      updatedOn: dayjs().toISOString(),
+    };
+
+    await tenantDoc.ref.set({ deposit: updatedDeposit }, { merge: true });
+
+    try {
+      await sendEmail({
+        to: tenant.email,
+        ...buildDepositStatement(tenant, property, updatedDeposit),
+      });
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error("unable to send deposit statement.", error);
+    }
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ deposit: updatedDeposit }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error processing deposit move-out:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
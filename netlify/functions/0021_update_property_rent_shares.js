@@ -0,0 +1,113 @@
+/**
+ * File : 0021_update_property_rent_shares.js
+ *
+ * This file is used to allow property owners to split the rent of a shared
+ * lease between roommates. Each roommate pays their own share at checkout.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import { fetchActiveLease, fetchPropertyDoc } from "./utils/firestore";
+import { validateRentShares } from "./utils/rentShares";
+import { populateCorsHeaders } from "./utils/utils";
+
+/**
+ * handler fn
+ *
+ * handler fn to update the shares of the selected property. Fixed shares are
+ * in dollars and percentage shares are a percent of the `totalRent`. Passing
+ * in empty `shares` turns the shared lease off.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const { propertyId, totalRent, shares = [] } = JSON.parse(event.body);
+
+    const propertyDoc = propertyId && (await fetchPropertyDoc(db, propertyId));
+    if (!propertyDoc || propertyDoc.data().createdBy !== user.uid) {
+      return {
+        statusCode: 403,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Forbidden" }),
+      };
+    }
+
+    let sharedLease = null;
+
+    if (shares.length > 0) {
+      const validationError = validateRentShares(totalRent, shares);
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers: populateCorsHeaders(),
+          body: JSON.stringify({ error: validationError }),
+        };
+      }
+
+      for (const share of shares) {
+        const lease = await fetchActiveLease(db, share.tenantId, propertyId);
+        if (!lease) {
+          return {
+            statusCode: 400,
+            headers: populateCorsHeaders(),
+            body: JSON.stringify({
+              error: `Tenant ${share.tenantId} is not an active rentee of the selected property`,
+            }),
+          };
+        }
+      }
+
+      sharedLease = {
+        totalRent: Number(totalRent),
+        shares: Object.fromEntries(
+          shares.map((share) => [
+            share.tenantId,
+            { type: share.type, value: Number(share.value) },
+          ]),
+        ),
+      };
+    }
+
+    await propertyDoc.ref.update({
+      sharedLease,
+      updatedBy: user.uid,
+      updatedOn: dayjs().toISOString(),
+    });
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ sharedLease }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error updating rent shares:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,111 @@
+/**
+ * File : 0022_fetch_application_fee_report.js
+ *
+ * This file is used to report the platform fees collected on the payments of
+ * each property owner. Uses admin rights and privilidges.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import { initializeFirebase } from "./utils/firebase";
+import { populateCorsHeaders } from "./utils/utils";
+
+const isLocalDevTestEnv = process.env.DEV_ENV === "true";
+const AdminAuthorizedKey = process.env.ADMIN_KEY;
+
+/**
+ * handler fn ...
+ *
+ * used to sum up the application fees of collected payments per property
+ * owner, less the fees given back with refunds. Payments are selected by the
+ * date the funds were collected. Defaults to the current month, use
+ * `startDate` and `endDate` to select another period or `propertyOwnerId` to
+ * report a single owner.
+ *
+ * @param {Object} event - the event payload to be processed.
+ */
+export const handler = async (event) => {
+  if (
+    !isLocalDevTestEnv &&
+    event.queryStringParameters?.key !== AdminAuthorizedKey
+  ) {
+    // eslint-disable-next-line no-console
+    console.error("problem fetching required token");
+    return { statusCode: 401, body: "Unauthorized" };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const { startDate, endDate, propertyOwnerId } =
+      event.queryStringParameters || {};
+
+    const start = startDate ? dayjs(startDate) : dayjs().startOf("month");
+    const end = endDate ? dayjs(endDate) : dayjs().endOf("month");
+
+    if (!start.isValid() || !end.isValid() || end.isBefore(start)) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "'startDate' and 'endDate' must be a valid date range",
+        }),
+      };
+    }
+
+    let query = db
+      .collection("rents")
+      .where("paidOn", ">=", start.toISOString())
+      .where("paidOn", "<=", end.toISOString());
+
+    if (propertyOwnerId) {
+      query = query.where("propertyOwnerId", "==", propertyOwnerId);
+    }
+
+    const rentSnapshots = await query.get();
+
+    const owners = {};
+    for (const rentDoc of rentSnapshots.docs) {
+      const rent = rentDoc.data();
+      const refundedApplicationFees = Number(rent.refundedApplicationFees || 0);
+
+      const owner = owners[rent.propertyOwnerId] || {
+        propertyOwnerId: rent.propertyOwnerId,
+        planId: rent.planId || null,
+        payments: 0,
+        totalAmount: 0,
+        refundedApplicationFees: 0,
+        totalApplicationFees: 0,
+      };
+      owner.payments += 1;
+      owner.totalAmount += Number(rent.amount || 0);
+      owner.refundedApplicationFees += refundedApplicationFees;
+      owner.totalApplicationFees +=
+        Number(rent.applicationFeeAmount || 0) - refundedApplicationFees;
+      owners[rent.propertyOwnerId] = owner;
+    }
+
+    const report = Object.values(owners);
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({
+        startDate: start.toISOString(),
+        endDate: end.toISOString(),
+        totalApplicationFees: report.reduce(
+          (sum, owner) => sum + owner.totalApplicationFees,
+          0,
+        ),
+        owners: report,
+      }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error fetching application fee report:", error);
+    return {
+      statusCode: 500,
+      headers: populateCorsHeaders(),
+      body: `Error: ${error.message}`,
+    };
+  }
+};
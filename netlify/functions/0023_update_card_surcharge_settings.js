@@ -0,0 +1,88 @@
+/**
+ * File : 0023_update_card_surcharge_settings.js
+ *
+ * This file is used to allow property owners to pass the card processing
+ * fees on to tenants. Tenants paying by bank account are never surcharged.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import { validateCardSurcharge } from "./utils/surcharges";
+import { populateCorsHeaders } from "./utils/utils";
+
+/**
+ * handler fn
+ *
+ * handler fn to update the card surcharge settings of the property owner.
+ * The surcharge is either a flat amount in dollars or a percentage of the
+ * amount being paid of at most 3 percent, and applies to every property of
+ * the owner. Card autopay payments are surcharged the same way.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const { cardSurcharge } = JSON.parse(event.body);
+
+    const validationError = validateCardSurcharge(cardSurcharge);
+    if (validationError) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: validationError }),
+      };
+    }
+
+    const draftSurcharge = cardSurcharge.enabled
+      ? {
+          enabled: true,
+          type: cardSurcharge.type,
+          value: Number(cardSurcharge.value),
+        }
+      : { enabled: false, type: null, value: 0 };
+
+    await db.collection("users").doc(user.uid).set(
+      {
+        cardSurcharge: draftSurcharge,
+        updatedBy: user.uid,
+        updatedOn: dayjs().toISOString(),
+      },
+      { merge: true },
+    );
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ cardSurcharge: draftSurcharge }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error updating card surcharge settings:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
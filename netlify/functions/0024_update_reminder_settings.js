@@ -0,0 +1,111 @@
+/**
+ * File : 0024_update_reminder_settings.js
+ *
+ * This file is used to allow property owners to configure the automatic rent
+ * reminders of a property or of a single lease within the property.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import { fetchPropertyDoc, fetchTenantDoc } from "./utils/firestore";
+import { validateReminderSettings } from "./utils/reminderSettings";
+import { populateCorsHeaders } from "./utils/utils";
+
+/**
+ * handler fn
+ *
+ * handler fn to update the reminder settings of the selected property, or of
+ * the lease when `tenantId` is passed in. Passing in null `reminderSettings`
+ * removes the settings so the property or default settings are used instead.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const { propertyId, tenantId, reminderSettings } = JSON.parse(event.body);
+
+    const validationError =
+      reminderSettings !== null && validateReminderSettings(reminderSettings);
+    if (!propertyId || validationError) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: validationError || "Missing required field: 'propertyId'",
+        }),
+      };
+    }
+
+    const propertyDoc = await fetchPropertyDoc(db, propertyId);
+    if (!propertyDoc || propertyDoc.data().createdBy !== user.uid) {
+      return {
+        statusCode: 403,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Forbidden" }),
+      };
+    }
+
+    let targetDoc = propertyDoc;
+    if (tenantId) {
+      targetDoc = await fetchTenantDoc(db, tenantId);
+      if (targetDoc?.data().propertyId !== propertyId) {
+        return {
+          statusCode: 403,
+          headers: populateCorsHeaders(),
+          body: JSON.stringify({ error: "Forbidden" }),
+        };
+      }
+    }
+
+    const draftSettings = reminderSettings && {
+      enabled: reminderSettings.enabled,
+      beforeDueDays: reminderSettings.beforeDueDays || [],
+      afterDueDays: reminderSettings.afterDueDays || [],
+      copyOwner: {
+        beforeDueDays: reminderSettings.copyOwner?.beforeDueDays || [],
+        afterDueDays: reminderSettings.copyOwner?.afterDueDays || [],
+      },
+    };
+
+    await targetDoc.ref.update({
+      reminderSettings: draftSettings,
+      updatedBy: user.uid,
+      updatedOn: dayjs().toISOString(),
+    });
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ reminderSettings: draftSettings }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error updating reminder settings:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,315 @@
+/**
+ * File : 0026_send_owner_digests.js
+ *
+ * This file is used to send each property owner a digest of rent coming due,
+ * overdue balances and payments across their properties. Runs alongside the
+ * automatic reminders. Uses admin rights and privilidges.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import { initializeFirebase } from "./utils/firebase";
+import { fetchOwnerDetails } from "./utils/firestore";
+import { LEASE_STATUSES, computeLeaseSchedule } from "./utils/leaseSchedule";
+import {
+  LEDGER_CATEGORIES,
+  fetchLedgerBalance,
+  fetchUnpostedCharges,
+} from "./utils/ledger";
+import {
+  DIGEST_FREQUENCIES,
+  buildOwnerDigest,
+  isDigestDue,
+  resolveDigestSettings,
+} from "./utils/ownerDigests";
+import { computeRentCharges } from "./utils/rentCalculator";
+import { populateCorsHeaders, sendEmail } from "./utils/utils";
+
+const isLocalDevTestEnv = process.env.DEV_ENV === "true";
+const AdminAuthorizedKey = process.env.ADMIN_KEY;
+
+/**
+ * handler fn ...
+ *
+ * used to send the digest email to every owner whose daily or weekly digest
+ * is due. The last sent date is only saved once the email is sent, so a
+ * retried run only sends the digests that failed.
+ *
+ * @param {Object} event - the event payload to be processed.
+ */
+export const handler = async (event) => {
+  if (
+    !isLocalDevTestEnv &&
+    event.queryStringParameters?.key !== AdminAuthorizedKey
+  ) {
+    // eslint-disable-next-line no-console
+    console.error("problem fetching required token");
+    return { statusCode: 401, body: "Unauthorized" };
+  }
+
+  try {
+    const today = dayjs();
+    const db = initializeFirebase();
+
+    const propertySnapshots = await db
+      .collection("properties")
+      .where("isDeleted", "==", false)
+      .get();
+
+    const propertiesByOwner = {};
+    for (const propertyDoc of propertySnapshots.docs) {
+      const property = propertyDoc.data();
+      if (!property.createdBy) continue;
+      propertiesByOwner[property.createdBy] = [
+        ...(propertiesByOwner[property.createdBy] || []),
+        property,
+      ];
+    }
+
+    const results = [];
+    for (const [ownerId, properties] of Object.entries(propertiesByOwner)) {
+      try {
+        const result = await sendOwnerDigest(db, ownerId, properties, today);
+        results.push({ ownerId, ...result });
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error(`unable to send digest to ${ownerId}`, error);
+        results.push({ ownerId, status: "error", error: error.message });
+      }
+    }
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ processed: results.length, results }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error sending owner digests:", error);
+    return {
+      statusCode: 500,
+      headers: populateCorsHeaders(),
+      body: `Error: ${error.message}`,
+    };
+  }
+};
+
+/**
+ * sendOwnerDigest ...
+ *
+ * used to collect the digest of a single owner and send it if it is due.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} ownerId - the unique id of the property owner
+ * @param {Array} properties - the properties of the owner
+ * @param {Object} today - the dayjs date of the run
+ * @returns {Object} result - the status of the digest
+ */
+const sendOwnerDigest = async (db, ownerId, properties, today) => {
+  const owner = await fetchOwnerDetails(db, ownerId);
+  const settings = resolveDigestSettings(owner);
+
+  if (!owner?.email) {
+    return { status: "skipped", reason: "owner does not have an email" };
+  }
+  if (!isDigestDue(settings, today)) {
+    return { status: "skipped", reason: "digest is not due" };
+  }
+
+  const since = settings.lastSentOn
+    ? dayjs(settings.lastSentOn)
+    : today.subtract(
+        settings.frequency === DIGEST_FREQUENCIES.DAILY ? 1 : 7,
+        "day",
+      );
+
+  const tenantEmails = {};
+  const digestProperties = [];
+  for (const property of properties) {
+    const tenants = await collectTenantDues(db, property, settings, today);
+    tenants.forEach((tenant) => (tenantEmails[tenant.id] = tenant.email));
+    digestProperties.push({
+      address: property.address || property.name || property.id,
+      tenants: tenants.filter(
+        (tenant) => tenant.upcoming || tenant.overdueBalance > 0,
+      ),
+    });
+  }
+
+  const [payments, failedPayments] = await Promise.all([
+    fetchPaymentsSince(db, ownerId, since),
+    fetchFailedPaymentsSince(db, ownerId, since),
+  ]);
+
+  const email = buildOwnerDigest(
+    owner,
+    {
+      properties: digestProperties,
+      payments: payments.map((payment) => ({
+        ...payment,
+        tenantEmail: tenantEmails[payment.tenantId] || payment.tenantId,
+      })),
+      failedPayments,
+    },
+    settings,
+  );
+
+  // a retried run sends the digest of the day only once
+  await sendEmail({
+    to: owner.email,
+    ...email,
+    idempotencyKey: `${email.template}_${ownerId}_${today.format("YYYY-MM-DD")}`,
+  });
+
+  await db
+    .collection("users")
+    .doc(ownerId)
+    .set(
+      { digestSettings: { lastSentOn: today.toISOString() } },
+      { merge: true },
+    );
+
+  return { status: "sent" };
+};
+
+/**
+ * collectTenantDues ...
+ *
+ * used to return the rent coming due and the overdue balance of each active
+ * tenant of the property. The digest only reads the ledger, charges of rent
+ * that is already due but not yet posted are added to the overdue balance.
+ * Rent coming due is only listed for the amount the ledger does not already
+ * cover, so rent paid early is left out.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} property - the property record
+ * @param {Object} settings - the digest settings of the owner
+ * @param {Object} today - the dayjs date of the run
+ * @returns {Array} tenants - the id, email, upcoming rent and overdue balance of each tenant
+ */
+const collectTenantDues = async (db, property, settings, today) => {
+  const tenantSnapshots = await db
+    .collection("tenants")
+    .where("propertyId", "==", property.id)
+    .where("isActive", "==", true)
+    .get();
+
+  const tenants = [];
+  for (const tenantDoc of tenantSnapshots.docs) {
+    const tenant = tenantDoc.data();
+    const schedule = computeLeaseSchedule(tenant, property, today);
+    if (schedule.status !== LEASE_STATUSES.ACTIVE) continue;
+
+    const draftLease = {
+      tenantId: tenant.id,
+      propertyId: property.id,
+      propertyOwnerId: property.createdBy,
+    };
+
+    const fetchUnpostedDueDateCharges = (dueDate) => {
+      const rentMonth = dueDate.format("YYYY-MM");
+      return fetchUnpostedCharges(
+        db,
+        draftLease,
+        rentMonth,
+        computeRentCharges(tenant, property, rentMonth, today),
+      );
+    };
+
+    let balance = await fetchLedgerBalance(db, tenant.id, property.id);
+    let overdueBalance = 0;
+    if (schedule.currentDueDate?.isBefore(schedule.today)) {
+      balance += await fetchUnpostedDueDateCharges(schedule.currentDueDate);
+      overdueBalance = Math.max(balance, 0);
+    }
+
+    let upcoming = null;
+    const upcomingDueDate = [schedule.currentDueDate, schedule.nextDueDate]
+      .filter(Boolean)
+      .find((dueDate) => {
+        const diffDays = dueDate.diff(schedule.today, "day");
+        return diffDays >= 0 && diffDays <= settings.upcomingDays;
+      });
+    if (upcomingDueDate) {
+      const amount =
+        Math.max(
+          balance + (await fetchUnpostedDueDateCharges(upcomingDueDate)),
+          0,
+        ) - overdueBalance;
+      upcoming =
+        amount > 0
+          ? { dueDate: upcomingDueDate.format("YYYY-MM-DD"), amount }
+          : null;
+    }
+
+    tenants.push({
+      id: tenant.id,
+      email: tenant.email,
+      upcoming,
+      overdueBalance,
+    });
+  }
+  return tenants;
+};
+
+/**
+ * fetchPaymentsSince ...
+ *
+ * used to return the payments posted to the ledgers of the owner since the
+ * selected date.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} ownerId - the unique id of the property owner
+ * @param {Object} since - the dayjs date of the last digest
+ * @returns {Array} payments - the ledger entries of the payments
+ */
+const fetchPaymentsSince = async (db, ownerId, since) => {
+  const entrySnapshot = await db
+    .collection("ledgerEntries")
+    .where("propertyOwnerId", "==", ownerId)
+    .where("createdOn", ">", since.toISOString())
+    .get();
+
+  return entrySnapshot.docs
+    .map((doc) => doc.data())
+    .filter((entry) =>
+      [
+        LEDGER_CATEGORIES.STRIPE_PAYMENT,
+        LEDGER_CATEGORIES.MANUAL_PAYMENT,
+      ].includes(entry.category),
+    );
+};
+
+/**
+ * fetchFailedPaymentsSince ...
+ *
+ * used to return the stripe payments of the owner that failed since the
+ * selected date, including bank payments that failed after checkout.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} ownerId - the unique id of the property owner
+ * @param {Object} since - the dayjs date of the last digest
+ * @returns {Array} failedPayments - the tenantEmail, amount, rentMonth and reason of each failed payment
+ */
+const fetchFailedPaymentsSince = async (db, ownerId, since) => {
+  const rentSnapshot = await db
+    .collection("rents")
+    .where("propertyOwnerId", "==", ownerId)
+    .where("updatedOn", ">", since.toISOString())
+    .get();
+
+  return rentSnapshot.docs
+    .map((doc) => doc.data())
+    .filter(
+      (rent) =>
+        rent.status === "failed" ||
+        rent.stripeEventType === "checkout.session.async_payment_failed",
+    )
+    .map((rent) => ({
+      tenantEmail: rent.tenantEmail,
+      amount: Number(rent.amount || 0),
+      rentMonth: rent.rentMonth,
+      reason: rent.failureMessage,
+    }));
+};
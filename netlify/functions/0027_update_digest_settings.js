@@ -0,0 +1,86 @@
+/**
+ * File : 0027_update_digest_settings.js
+ *
+ * This file is used to allow property owners to choose how often they receive
+ * the rent digest of their properties.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import { validateDigestSettings } from "./utils/ownerDigests";
+import { populateCorsHeaders } from "./utils/utils";
+
+/**
+ * handler fn
+ *
+ * handler fn to update the digest settings of the property owner. The digest
+ * is sent daily or weekly and lists rent coming due in the next
+ * `upcomingDays` days.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const { digestSettings } = JSON.parse(event.body);
+
+    const validationError = validateDigestSettings(digestSettings);
+    if (validationError) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: validationError }),
+      };
+    }
+
+    const draftSettings = {
+      enabled: digestSettings.enabled,
+      frequency: digestSettings.frequency,
+      upcomingDays: Number(digestSettings.upcomingDays),
+    };
+
+    // merged so the last sent date of the digest is kept
+    await db.collection("users").doc(user.uid).set(
+      {
+        digestSettings: draftSettings,
+        updatedBy: user.uid,
+        updatedOn: dayjs().toISOString(),
+      },
+      { merge: true },
+    );
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ digestSettings: draftSettings }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error updating digest settings:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,177 @@
+/**
+ * File : 0028_send_lease_renewal_notices.js
+ *
+ * This file is used to let tenants and property owners know that a lease is
+ * nearing its end date. Tenants are asked if they plan to renew or move out.
+ * Uses admin rights and privilidges.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import { initializeFirebase } from "./utils/firebase";
+import { fetchOwnerDetails, fetchPropertyById } from "./utils/firestore";
+import {
+  RENEWAL_LINK_PURPOSE,
+  buildRenewalNotices,
+  resolveRenewalNoticeDays,
+} from "./utils/leaseRenewals";
+import { computeLeaseSchedule } from "./utils/leaseSchedule";
+import { buildSignedLink } from "./utils/signedLinks";
+import { populateCorsHeaders, sendEmail } from "./utils/utils";
+
+const isLocalDevTestEnv = process.env.DEV_ENV === "true";
+const AdminAuthorizedKey = process.env.ADMIN_KEY;
+
+/**
+ * handler fn ...
+ *
+ * used to send the renewal notices of every active lease with an end date.
+ * Notices are recorded with the tenant so each one is sent once per lease
+ * end date, and a notice missed on a previous run is sent on the next one.
+ *
+ * @param {Object} event - the event payload to be processed.
+ */
+export const handler = async (event) => {
+  if (
+    !isLocalDevTestEnv &&
+    event.queryStringParameters?.key !== AdminAuthorizedKey
+  ) {
+    // eslint-disable-next-line no-console
+    console.error("problem fetching required token");
+    return { statusCode: 401, body: "Unauthorized" };
+  }
+
+  try {
+    const today = dayjs();
+    const db = initializeFirebase();
+
+    const tenantSnapshots = await db
+      .collection("tenants")
+      .where("isActive", "==", true)
+      .get();
+
+    const results = [];
+    for (const tenantDoc of tenantSnapshots.docs) {
+      const tenant = tenantDoc.data();
+      if (!tenant.end_date || !tenant.propertyId) continue;
+
+      try {
+        const result = await sendRenewalNotice(db, tenantDoc, today);
+        results.push({ tenantId: tenant.id, ...result });
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error(`unable to send renewal notice for ${tenant.id}`, error);
+        results.push({
+          tenantId: tenant.id,
+          status: "error",
+          error: error.message,
+        });
+      }
+    }
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ processed: results.length, results }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error sending lease renewal notices:", error);
+    return {
+      statusCode: 500,
+      headers: populateCorsHeaders(),
+      body: `Error: ${error.message}`,
+    };
+  }
+};
+
+/**
+ * sendRenewalNotice ...
+ *
+ * used to send the latest renewal notice that is due for the lease, if it
+ * has not been sent yet. Tenants that already responded are not asked again.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} tenantDoc - the tenant document
+ * @param {Object} today - the dayjs date of the run
+ * @returns {Object} result - the status of the renewal notice
+ */
+const sendRenewalNotice = async (db, tenantDoc, today) => {
+  const tenant = tenantDoc.data();
+  const property = await fetchPropertyById(db, tenant.propertyId);
+  if (!property) {
+    return { status: "skipped", reason: "property not found" };
+  }
+
+  const schedule = computeLeaseSchedule(tenant, property, today);
+  const daysUntilEnd = schedule.endDate.diff(schedule.today, "day");
+  const endDate = schedule.endDate.format("YYYY-MM-DD");
+
+  // notices are tracked per end date so extended leases are asked again
+  const renewal =
+    tenant.renewal?.endDate === endDate
+      ? tenant.renewal
+      : { endDate, noticesSent: {}, decision: null };
+
+  if (renewal.decision) {
+    return { status: "skipped", reason: "tenant has already responded" };
+  }
+
+  const noticeDays = resolveRenewalNoticeDays(property)
+    .filter((days) => daysUntilEnd >= 0 && daysUntilEnd <= days)
+    .sort((a, b) => a - b)[0];
+
+  if (noticeDays === undefined) {
+    return { status: "skipped", reason: "no renewal notice is due" };
+  }
+  if (renewal.noticesSent?.[noticeDays]) {
+    return { status: "skipped", reason: "renewal notice was already sent" };
+  }
+
+  const responseLink = buildSignedLink(
+    process.env.LEASE_RENEWAL_RESPONSE_URL,
+    {
+      purpose: RENEWAL_LINK_PURPOSE,
+      tenantId: tenant.id,
+      propertyId: tenant.propertyId,
+      endDate,
+    },
+    Math.max(daysUntilEnd, 1),
+  );
+
+  const owner = await fetchOwnerDetails(db, property.createdBy);
+  const [tenantNotice, ownerNotice] = buildRenewalNotices(
+    tenant,
+    owner,
+    property,
+    schedule.endDate,
+    daysUntilEnd,
+    responseLink,
+  );
+
+  await sendEmail(tenantNotice);
+  if (ownerNotice) {
+    try {
+      await sendEmail(ownerNotice);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error("unable to send renewal notice to owner.", error);
+    }
+  }
+
+  await tenantDoc.ref.set(
+    {
+      renewal: {
+        ...renewal,
+        noticesSent: {
+          ...renewal.noticesSent,
+          [noticeDays]: dayjs().toISOString(),
+        },
+      },
+    },
+    { merge: true },
+  );
+
+  return { status: "sent", noticeDays, endDate };
+};
@@ -0,0 +1,147 @@
+/**
+ * File : 0029_update_lease_renewal_response.js
+ *
+ * This file is used to save the response of the tenant to the lease renewal
+ * notice. Tenants respond with the signed link of the notice and do not need
+ * to be signed in.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import { initializeFirebase } from "./utils/firebase";
+import {
+  fetchOwnerDetails,
+  fetchPropertyById,
+  fetchTenantDoc,
+} from "./utils/firestore";
+import {
+  RENEWAL_DECISIONS,
+  RENEWAL_LINK_PURPOSE,
+  buildRenewalResponseNotice,
+} from "./utils/leaseRenewals";
+import { computeLeaseSchedule } from "./utils/leaseSchedule";
+import { verifySignedToken } from "./utils/signedLinks";
+import { populateCorsHeaders, sendEmail } from "./utils/utils";
+
+/**
+ * handler fn
+ *
+ * handler fn to save whether the tenant will renew the lease or move out.
+ * The link is only valid for the lease end date it was sent for, so links of
+ * a lease that has since been extended are rejected.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const { token, decision } = JSON.parse(event.body);
+
+    if (!token || !decision) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "Missing required fields: 'token' and 'decision'",
+        }),
+      };
+    }
+
+    if (!Object.values(RENEWAL_DECISIONS).includes(decision)) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "'decision' must be either 'renew' or 'move_out'",
+        }),
+      };
+    }
+
+    const payload = verifySignedToken(token, RENEWAL_LINK_PURPOSE);
+    if (!payload) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Link is invalid or has expired" }),
+      };
+    }
+
+    const db = initializeFirebase();
+    const tenantDoc = await fetchTenantDoc(db, payload.tenantId);
+    const tenant = tenantDoc?.data();
+    const property = await fetchPropertyById(db, payload.propertyId);
+
+    if (
+      !tenant?.isActive ||
+      !property ||
+      tenant.propertyId !== payload.propertyId
+    ) {
+      return {
+        statusCode: 404,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Lease not found" }),
+      };
+    }
+
+    const schedule = computeLeaseSchedule(tenant, property);
+    if (schedule.endDate?.format("YYYY-MM-DD") !== payload.endDate) {
+      return {
+        statusCode: 409,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: "Lease end date has changed since this link was sent",
+        }),
+      };
+    }
+
+    const renewal = {
+      noticesSent: {},
+      ...(tenant.renewal?.endDate === payload.endDate ? tenant.renewal : {}),
+      endDate: payload.endDate,
+      decision,
+      respondedOn: dayjs().toISOString(),
+    };
+
+    await tenantDoc.ref.set({ renewal }, { merge: true });
+
+    const owner = await fetchOwnerDetails(db, property.createdBy);
+    if (owner?.email) {
+      try {
+        await sendEmail(
+          buildRenewalResponseNotice(
+            tenant,
+            owner,
+            property,
+            payload.endDate,
+            decision,
+          ),
+        );
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error("unable to send renewal response to owner.", error);
+      }
+    }
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ renewal }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error updating lease renewal response:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * File : 0030_update_escalation_policy.js
+ *
+ * This file is used to allow property owners to configure how overdue rent is
+ * escalated for a property or for a single lease within the property.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import { validateEscalationPolicy } from "./utils/escalations";
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import { fetchPropertyDoc, fetchTenantDoc } from "./utils/firestore";
+import { populateCorsHeaders } from "./utils/utils";
+
+/**
+ * handler fn
+ *
+ * handler fn to update the escalation policy of the selected property, or of
+ * the lease when `tenantId` is passed in. Passing in null `escalationPolicy`
+ * removes the policy so the property or default policy is used instead.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const { propertyId, tenantId, escalationPolicy } = JSON.parse(event.body);
+
+    const validationError =
+      escalationPolicy !== null && validateEscalationPolicy(escalationPolicy);
+    if (!propertyId || validationError) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: validationError || "Missing required field: 'propertyId'",
+        }),
+      };
+    }
+
+    const propertyDoc = await fetchPropertyDoc(db, propertyId);
+    if (!propertyDoc || propertyDoc.data().createdBy !== user.uid) {
+      return {
+        statusCode: 403,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Forbidden" }),
+      };
+    }
+
+    let targetDoc = propertyDoc;
+    if (tenantId) {
+      targetDoc = await fetchTenantDoc(db, tenantId);
+      if (targetDoc?.data().propertyId !== propertyId) {
+        return {
+          statusCode: 403,
+          headers: populateCorsHeaders(),
+          body: JSON.stringify({ error: "Forbidden" }),
+        };
+      }
+    }
+
+    const draftPolicy = escalationPolicy && {
+      enabled: escalationPolicy.enabled,
+      stages: escalationPolicy.stages.map(({ stage, afterDueDays }) => ({
+        stage,
+        afterDueDays,
+      })),
+    };
+
+    await targetDoc.ref.update({
+      escalationPolicy: draftPolicy,
+      updatedBy: user.uid,
+      updatedOn: dayjs().toISOString(),
+    });
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ escalationPolicy: draftPolicy }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error updating escalation policy:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,100 @@
+/**
+ * File : 0031_fetch_email_template_preview.js
+ *
+ * This file is used to preview the email templates with sample data before
+ * they are sent. Uses admin rights and privilidges.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import {
+  EMAIL_TEMPLATES,
+  fetchTemplateSampleData,
+  renderEmailTemplate,
+  validateTemplateData,
+} from "./utils/emailTemplates";
+import { populateCorsHeaders } from "./utils/utils";
+
+const isLocalDevTestEnv = process.env.DEV_ENV === "true";
+const AdminAuthorizedKey = process.env.ADMIN_KEY;
+
+/**
+ * handler fn ...
+ *
+ * used to render the selected `template` with its sample data. Data passed
+ * in the body overrides the sample data. Use `format=html` to view the html
+ * in the browser, otherwise the subject, text and html are returned. Lists
+ * the available templates when no template is selected.
+ *
+ * @param {Object} event - the event payload to be processed.
+ */
+export const handler = async (event) => {
+  if (
+    !isLocalDevTestEnv &&
+    event.queryStringParameters?.key !== AdminAuthorizedKey
+  ) {
+    // eslint-disable-next-line no-console
+    console.error("problem fetching required token");
+    return { statusCode: 401, body: "Unauthorized" };
+  }
+
+  try {
+    const { template, format } = event.queryStringParameters || {};
+
+    if (!template) {
+      return {
+        statusCode: 200,
+        headers: {
+          ...populateCorsHeaders(),
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          templates: Object.values(EMAIL_TEMPLATES).map((templateName) => ({
+            template: templateName,
+            sampleData: fetchTemplateSampleData(templateName),
+          })),
+        }),
+      };
+    }
+
+    const data = {
+      ...fetchTemplateSampleData(template),
+      ...(event.body ? JSON.parse(event.body) : {}),
+    };
+
+    const validationError = validateTemplateData(template, data);
+    if (validationError) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: validationError }),
+      };
+    }
+
+    const email = renderEmailTemplate(template, data);
+
+    if (format === "html") {
+      return {
+        statusCode: 200,
+        headers: { ...populateCorsHeaders(), "Content-Type": "text/html" },
+        body: email.html,
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...populateCorsHeaders(),
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ template, data, ...email }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error previewing email template:", error);
+    return {
+      statusCode: 500,
+      headers: populateCorsHeaders(),
+      body: `Error: ${error.message}`,
+    };
+  }
+};
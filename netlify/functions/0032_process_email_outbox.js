@@ -0,0 +1,90 @@
+/**
+ * File : 0032_process_email_outbox.js
+ *
+ * This file is used to retry the emails of the outbox that have not been
+ * sent yet. Runs on a schedule. Uses admin rights and privilidges.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import {
+  OUTBOX_STATUSES,
+  claimOutboxEmail,
+  deliverOutboxEmail,
+  fetchDueOutboxEmails,
+} from "./utils/emailOutbox";
+import { initializeFirebase } from "./utils/firebase";
+import { mapWithConcurrency, populateCorsHeaders } from "./utils/utils";
+
+const BATCH_SIZE = 50;
+const CONCURRENCY = 5;
+const isLocalDevTestEnv = process.env.DEV_ENV === "true";
+const AdminAuthorizedKey = process.env.ADMIN_KEY;
+
+/**
+ * handler fn ...
+ *
+ * used to send the queued and failed emails that are due for another
+ * attempt. Each email is claimed before it is sent so overlapping runs do
+ * not send the same email twice.
+ *
+ * @param {Object} event - the event payload to be processed.
+ */
+export const handler = async (event) => {
+  if (
+    !isLocalDevTestEnv &&
+    event.queryStringParameters?.key !== AdminAuthorizedKey
+  ) {
+    // eslint-disable-next-line no-console
+    console.error("problem fetching required token");
+    return { statusCode: 401, body: "Unauthorized" };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const outboxIds = await fetchDueOutboxEmails(db, BATCH_SIZE);
+
+    const results = await mapWithConcurrency(
+      outboxIds,
+      CONCURRENCY,
+      async (outboxId) => {
+        try {
+          const outboxEmail = await claimOutboxEmail(db, outboxId);
+          if (!outboxEmail) return { outboxId, status: "skipped" };
+
+          const updatedEmail = await deliverOutboxEmail(db, outboxEmail);
+          return {
+            outboxId,
+            status: updatedEmail.status,
+            attempts: updatedEmail.attempts,
+          };
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.error(`unable to process outbox email ${outboxId}`, error);
+          return { outboxId, status: "error", error: error.message };
+        }
+      },
+    );
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...populateCorsHeaders(),
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        processed: results.length,
+        sent: results.filter(({ status }) => status === OUTBOX_STATUSES.SENT)
+          .length,
+        results,
+      }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error processing email outbox:", error);
+    return {
+      statusCode: 500,
+      headers: populateCorsHeaders(),
+      body: `Error: ${error.message}`,
+    };
+  }
+};
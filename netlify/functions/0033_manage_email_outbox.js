@@ -0,0 +1,151 @@
+/**
+ * File : 0033_manage_email_outbox.js
+ *
+ * This file is used to list the emails of the outbox that failed to send and
+ * to resend them. Uses admin rights and privilidges.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import dayjs from "dayjs";
+
+import {
+  OUTBOX_STATUSES,
+  claimOutboxEmail,
+  deliverOutboxEmail,
+  fetchOutboxEmails,
+} from "./utils/emailOutbox";
+import { initializeFirebase } from "./utils/firebase";
+import { populateCorsHeaders } from "./utils/utils";
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_RESEND_EMAILS = 25;
+const isLocalDevTestEnv = process.env.DEV_ENV === "true";
+const AdminAuthorizedKey = process.env.ADMIN_KEY;
+
+/**
+ * handler fn ...
+ *
+ * used to list the failed and dead emails of the outbox, newest first. Use
+ * `status` to select a single status and `limit` and `startAfter` to page
+ * through the emails. POST the `outboxIds` to resend the selected emails
+ * right away. Resent emails start over with a new set of retry attempts.
+ *
+ * @param {Object} event - the event payload to be processed.
+ */
+export const handler = async (event) => {
+  if (
+    !isLocalDevTestEnv &&
+    event.queryStringParameters?.key !== AdminAuthorizedKey
+  ) {
+    // eslint-disable-next-line no-console
+    console.error("problem fetching required token");
+    return { statusCode: 401, body: "Unauthorized" };
+  }
+
+  try {
+    const db = initializeFirebase();
+
+    if (event.httpMethod === "POST") {
+      const { outboxIds } = JSON.parse(event.body || "{}");
+
+      if (
+        !Array.isArray(outboxIds) ||
+        outboxIds.length === 0 ||
+        outboxIds.length > MAX_RESEND_EMAILS
+      ) {
+        return {
+          statusCode: 400,
+          headers: populateCorsHeaders(),
+          body: JSON.stringify({
+            error: `'outboxIds' must be a list of 1 to ${MAX_RESEND_EMAILS} outbox email ids`,
+          }),
+        };
+      }
+
+      const results = [];
+      for (const outboxId of outboxIds) {
+        const outboxEmail = await claimOutboxEmail(db, outboxId, true);
+        if (!outboxEmail) {
+          results.push({
+            outboxId,
+            status: "skipped",
+            reason: "email was not found or was already sent",
+          });
+          continue;
+        }
+
+        const updatedEmail = await deliverOutboxEmail(db, {
+          ...outboxEmail,
+          attempts: 0,
+          resentOn: dayjs().toISOString(),
+        });
+        results.push({
+          outboxId,
+          status: updatedEmail.status,
+          error: updatedEmail.lastError,
+        });
+      }
+
+      return {
+        statusCode: 200,
+        headers: {
+          ...populateCorsHeaders(),
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ results }),
+      };
+    }
+
+    const { status, limit, startAfter } = event.queryStringParameters || {};
+    const statuses = status
+      ? [status]
+      : [OUTBOX_STATUSES.FAILED, OUTBOX_STATUSES.DEAD];
+
+    if (
+      !statuses.every((value) => Object.values(OUTBOX_STATUSES).includes(value))
+    ) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: `'status' must be one of ${Object.values(OUTBOX_STATUSES).join(", ")}`,
+        }),
+      };
+    }
+
+    const pageSize = Math.min(
+      Number(limit) || DEFAULT_PAGE_SIZE,
+      MAX_PAGE_SIZE,
+    );
+    const outboxEmails = await fetchOutboxEmails(
+      db,
+      statuses,
+      pageSize,
+      startAfter,
+    );
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...populateCorsHeaders(),
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        outboxEmails,
+        nextCursor:
+          outboxEmails.length === pageSize
+            ? outboxEmails[outboxEmails.length - 1].id
+            : null,
+      }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error managing email outbox:", error);
+    return {
+      statusCode: 500,
+      headers: populateCorsHeaders(),
+      body: `Error: ${error.message}`,
+    };
+  }
+};
@@ -0,0 +1,155 @@
+/**
+ * File : 0034_fetch_payment_receipts.js
+ *
+ * This file is used to allow property owners and tenants to list the payment
+ * receipts of a lease and download the pdf of a receipt again.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import { fetchPropertyById, fetchTenantById } from "./utils/firestore";
+import { fetchReceiptDownloadUrl, fetchReceipts } from "./utils/receipts";
+import { populateCorsHeaders } from "./utils/utils";
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const DOWNLOAD_URL_MINUTES = 15;
+
+/**
+ * handler fn
+ *
+ * handler fn to return the download url of the selected receipt when a
+ * receiptId is passed in, otherwise the receipts of the selected lease.
+ * Owners can view the receipts of any tenant in their properties while
+ * tenants can only view their own receipts.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const db = initializeFirebase();
+    const user = await verifyUserToken(event);
+
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Unauthorized" }),
+      };
+    }
+
+    const { receiptId, tenantId, propertyId, limit, startAfter } = JSON.parse(
+      event.body,
+    );
+
+    if (receiptId) {
+      const receiptDoc = await db.collection("receipts").doc(receiptId).get();
+      const receipt = receiptDoc.exists ? receiptDoc.data() : null;
+
+      if (
+        !receipt ||
+        (receipt.propertyOwnerId !== user.uid &&
+          receipt.tenantEmail !== user.email)
+      ) {
+        return {
+          statusCode: 403,
+          headers: populateCorsHeaders(),
+          body: JSON.stringify({ error: "Forbidden" }),
+        };
+      }
+
+      if (!receipt.storagePath) {
+        return {
+          statusCode: 404,
+          headers: populateCorsHeaders(),
+          body: JSON.stringify({
+            error: "The pdf of this receipt is not available yet.",
+          }),
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          receipt,
+          downloadUrl: await fetchReceiptDownloadUrl(
+            receipt,
+            DOWNLOAD_URL_MINUTES,
+          ),
+        }),
+      };
+    }
+
+    if (!tenantId || !propertyId) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error:
+            "Missing required fields: either 'receiptId' or 'tenantId' and 'propertyId'",
+        }),
+      };
+    }
+
+    const [tenant, property] = await Promise.all([
+      fetchTenantById(db, tenantId),
+      fetchPropertyById(db, propertyId),
+    ]);
+
+    const isOwner = property?.createdBy === user.uid;
+    const isTenant = tenant?.email === user.email;
+
+    if (
+      tenant?.propertyId !== propertyId ||
+      !property ||
+      (!isOwner && !isTenant)
+    ) {
+      return {
+        statusCode: 403,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: "Forbidden" }),
+      };
+    }
+
+    const pageSize = Math.min(
+      Number(limit) || DEFAULT_PAGE_SIZE,
+      MAX_PAGE_SIZE,
+    );
+    const receipts = await fetchReceipts(
+      db,
+      tenantId,
+      propertyId,
+      pageSize,
+      startAfter,
+    );
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({
+        receipts,
+        nextCursor:
+          receipts.length === pageSize
+            ? receipts[receipts.length - 1].id
+            : null,
+      }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error fetching payment receipts:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,136 @@
+/**
+ * File : 0035_update_notification_preferences.js
+ *
+ * This file is used to allow users to view and update which notifications
+ * they receive and on which channels. Users can either be signed in or use
+ * the signed unsubscribe link sent with every email, which also supports one
+ * click unsubscribe from email clients.
+ *
+ * Must have feature flags enabled for this feature.
+ */
+import { initializeFirebase, verifyUserToken } from "./utils/firebase";
+import {
+  NOTIFICATION_TYPES,
+  UNSUBSCRIBE_LINK_PURPOSE,
+  fetchNotificationPreferences,
+  saveNotificationPreferences,
+  validateNotificationPreferences,
+} from "./utils/notificationPreferences";
+import { verifySignedToken } from "./utils/signedLinks";
+import { populateCorsHeaders } from "./utils/utils";
+
+/**
+ * handler fn
+ *
+ * handler fn to return the notification preferences on GET and update them
+ * on POST. Posting `notifications` saves the channels of each notification
+ * type. Posting with the signed link and without `notifications` unsubscribes
+ * from the notification type of the link, or from every notification type
+ * when the link has none. Legally required notices are always sent.
+ *
+ * @param {Object} event - The event payload passed
+ */
+export const handler = async (event) => {
+  if (!["GET", "POST"].includes(event.httpMethod)) {
+    return {
+      statusCode: 405,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: "Method Not Allowed" }),
+    };
+  }
+
+  try {
+    const body = parseRequestBody(event);
+    const token = event.queryStringParameters?.token || body.token;
+    const db = initializeFirebase();
+
+    let email;
+    let linkPayload = null;
+    if (token) {
+      linkPayload = verifySignedToken(token, UNSUBSCRIBE_LINK_PURPOSE);
+      email = linkPayload?.email;
+    } else {
+      const user = await verifyUserToken(event);
+      email = user?.email;
+    }
+
+    if (!email) {
+      return {
+        statusCode: 401,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          error: token ? "Link is invalid or has expired" : "Unauthorized",
+        }),
+      };
+    }
+
+    if (event.httpMethod === "GET") {
+      return {
+        statusCode: 200,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({
+          email,
+          notifications: await fetchNotificationPreferences(db, email),
+        }),
+      };
+    }
+
+    let { notifications } = body;
+    if (notifications === undefined && linkPayload) {
+      const types = linkPayload.notificationType
+        ? [linkPayload.notificationType]
+        : Object.values(NOTIFICATION_TYPES);
+      notifications = Object.fromEntries(types.map((type) => [type, []]));
+    }
+
+    const validationError = validateNotificationPreferences(notifications);
+    if (validationError) {
+      return {
+        statusCode: 400,
+        headers: populateCorsHeaders(),
+        body: JSON.stringify({ error: validationError }),
+      };
+    }
+
+    const updatedNotifications = await saveNotificationPreferences(
+      db,
+      email,
+      notifications,
+      linkPayload ? UNSUBSCRIBE_LINK_PURPOSE : email,
+    );
+
+    return {
+      statusCode: 200,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ email, notifications: updatedNotifications }),
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error updating notification preferences:", error);
+    return {
+      statusCode: 400,
+      headers: populateCorsHeaders(),
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
+
+/**
+ * parseRequestBody ...
+ *
+ * used to parse the json body of the request. Email clients post one click
+ * unsubscribe requests as a form, which carry no preferences.
+ *
+ * @param {Object} event - The event payload passed
+ * @returns {Object} body - the parsed body, empty for form and empty requests
+ */
+const parseRequestBody = (event) => {
+  if (!event.body) return {};
+
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body, "base64").toString("utf8")
+    : event.body;
+  if (rawBody.includes("List-Unsubscribe=One-Click")) return {};
+
+  return JSON.parse(rawBody);
+};
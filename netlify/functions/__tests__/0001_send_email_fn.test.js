@@ -0,0 +1,161 @@
+import { createFakeFirebaseAdmin } from "../utils/__mocks__/fakeFirebaseAdmin";
+import { createFakeFirestore } from "../utils/__mocks__/fakeFirestore";
+import { jest } from "@jest/globals";
+
+const db = createFakeFirestore();
+const admin = createFakeFirebaseAdmin(db);
+const sendWithFailover = jest.fn();
+
+jest.unstable_mockModule("firebase-admin", () => ({ default: admin }));
+jest.unstable_mockModule("../utils/emailProviders", () => ({
+  sendWithFailover,
+}));
+
+process.env.ADMIN_KEY = "admin-key";
+process.env.SITE_URL = "https://homehive.test";
+
+const { handler } = await import("../0001_send_email_fn");
+
+admin.users["owner-token"] = { uid: "owner-1", email: "owner@example.com" };
+admin.users["other-token"] = { uid: "owner-2", email: "other@example.com" };
+
+const seed = {
+  tenants: {
+    "tenant-1": {
+      id: "tenant-1",
+      email: "tenant@example.com",
+      name: "Tina Tenant",
+      propertyId: "property-1",
+      isActive: true,
+    },
+  },
+  properties: {
+    "property-1": {
+      id: "property-1",
+      isDeleted: false,
+      address: "1 Main St",
+      createdBy: "owner-1",
+      rentees: ["tenant@example.com"],
+    },
+  },
+};
+
+const rawEmail = {
+  to: "anyone@example.com",
+  subject: "Hello",
+  text: "Hello there",
+};
+
+const reminder = {
+  template: "rent_reminder",
+  data: { amount: 150000, dueDate: "2025-03-01", daysUntilDue: 3 },
+  tenantId: "tenant-1",
+  propertyId: "property-1",
+};
+
+const sendWithKey = (body) =>
+  handler({
+    httpMethod: "POST",
+    queryStringParameters: { key: "admin-key" },
+    body: JSON.stringify(body),
+  });
+
+const sendWithToken = (body, token = "owner-token") =>
+  handler({
+    httpMethod: "POST",
+    headers: { authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+  });
+
+const parseError = (response) => JSON.parse(response.body).error;
+
+beforeEach(() => {
+  db.reset(seed);
+  sendWithFailover.mockReset();
+  sendWithFailover.mockResolvedValue({ provider: "console" });
+});
+
+describe("send email authorization", () => {
+  test("rejects requests without the admin key or a user token", async () => {
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+
+    const response = await sendWithToken(rawEmail, "unknown-token");
+    consoleError.mockRestore();
+
+    expect(response.statusCode).toBe(401);
+    expect(sendWithFailover).not.toHaveBeenCalled();
+  });
+
+  test("sends any email with the admin key", async () => {
+    const response = await sendWithKey(rawEmail);
+
+    expect(response.statusCode).toBe(200);
+    const [email] = Object.values(db.collections.emailOutbox);
+    expect(email.to).toEqual([{ email: "anyone@example.com", name: null }]);
+    expect(email.source).toBe("api");
+  });
+
+  test("does not let users send raw emails", async () => {
+    const response = await sendWithToken(rawEmail);
+
+    expect(response.statusCode).toBe(403);
+    expect(parseError(response)).toBe(
+      "'to', 'subject', 'text' can only be set with the admin key",
+    );
+    expect(sendWithFailover).not.toHaveBeenCalled();
+  });
+
+  test("does not let users set the source, reference or notification type", async () => {
+    const response = await sendWithToken({
+      ...reminder,
+      source: "stripe_webhook",
+      reference: "pi_1",
+      notificationType: null,
+      idempotencyKey: "payment_receipt_pi_1",
+    });
+
+    expect(response.statusCode).toBe(403);
+    expect(parseError(response)).toBe(
+      "'source', 'reference', 'notificationType', 'idempotencyKey' can only be set with the admin key",
+    );
+  });
+
+  test("only lets users send the owner templates", async () => {
+    const response = await sendWithToken({
+      ...reminder,
+      template: "payment_receipt",
+      data: { amount: 150000, lineItems: [] },
+    });
+
+    expect(response.statusCode).toBe(403);
+    expect(sendWithFailover).not.toHaveBeenCalled();
+  });
+
+  test("sends the owner template to the tenant of the lease", async () => {
+    const response = await sendWithToken({
+      ...reminder,
+      data: { ...reminder.data, actionUrl: "https://phishing.test" },
+    });
+
+    expect(response.statusCode).toBe(200);
+    const [email] = Object.values(db.collections.emailOutbox);
+    expect(email.to).toEqual([{ email: "tenant@example.com", name: null }]);
+    expect(email.source).toBe("owner");
+    expect(email.reference).toBe("owner-1");
+    expect(email.data).toMatchObject({
+      recipientName: "Tina Tenant",
+      propertyAddress: "1 Main St",
+      actionUrl: "https://homehive.test",
+    });
+  });
+
+  test("does not let owners email the tenants of other owners", async () => {
+    const response = await sendWithToken(reminder, "other-token");
+
+    expect(response.statusCode).toBe(403);
+    expect(parseError(response)).toBe("Forbidden");
+    expect(sendWithFailover).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,132 @@
+import { createFakeFirebaseAdmin } from "../utils/__mocks__/fakeFirebaseAdmin";
+import { createFakeFirestore } from "../utils/__mocks__/fakeFirestore";
+import { jest } from "@jest/globals";
+
+const db = createFakeFirestore();
+const admin = createFakeFirebaseAdmin(db);
+const stripe = { paymentIntents: { retrieve: jest.fn() } };
+
+jest.unstable_mockModule("firebase-admin", () => ({ default: admin }));
+jest.unstable_mockModule("stripe", () => ({ default: jest.fn(() => stripe) }));
+
+const { handler } = await import("../0006_fetch_stripe_recent_transactions");
+
+admin.users["owner-token"] = { uid: "owner-1", email: "owner@example.com" };
+
+const rent = {
+  tenantId: "tenant-1",
+  tenantEmail: "tenant@example.com",
+  propertyId: "property-1",
+  propertyOwnerId: "owner-1",
+  status: "succeeded",
+  paymentMethodType: "card",
+};
+
+const seed = {
+  rents: {
+    pi_march: {
+      ...rent,
+      stripePaymentIntentID: "pi_march",
+      rentMonth: "2025-03",
+      amount: 151000,
+      recieptURL: "https://stripe.test/receipt",
+      createdOn: "2025-03-01T10:00:00.000Z",
+    },
+    pi_april: {
+      ...rent,
+      stripePaymentIntentID: "pi_april",
+      rentMonth: "2025-04",
+      amount: 150000,
+      source: "autopay",
+      createdOn: "2025-04-01T10:00:00.000Z",
+    },
+  },
+  properties: {
+    "property-1": {
+      id: "property-1",
+      isDeleted: false,
+      createdBy: "owner-1",
+      rentees: ["tenant@example.com"],
+    },
+  },
+  users: {
+    "owner-1": { id: "owner-1", stripeAccountId: "acct_1" },
+  },
+};
+
+const fetchTransactions = (body) =>
+  handler({
+    httpMethod: "POST",
+    headers: { authorization: "Bearer owner-token" },
+    body: JSON.stringify(body),
+  });
+
+beforeEach(() => {
+  db.reset(seed);
+  stripe.paymentIntents.retrieve.mockReset();
+  stripe.paymentIntents.retrieve.mockImplementation(async (id) => ({
+    id,
+    amount: seed.rents[id].amount,
+    amount_received: seed.rents[id].amount,
+    currency: "usd",
+    status: "succeeded",
+    payment_method: {
+      type: "card",
+      card: { brand: "visa", funding: "credit" },
+    },
+    latest_charge: { receipt_url: `https://stripe.test/${id}` },
+    created: 1740823200,
+  }));
+});
+
+describe("fetch recent transactions", () => {
+  test("matches the rent month in any date format", async () => {
+    const response = await fetchTransactions({
+      propertyId: "property-1",
+      rentMonth: "2025-03-15",
+    });
+
+    expect(response.statusCode).toBe(200);
+    const { transactions } = JSON.parse(response.body);
+    expect(transactions.map((transaction) => transaction.id)).toEqual([
+      "pi_march",
+    ]);
+    expect(transactions[0].paymentMethod).toBe("VISA CREDIT CARD");
+  });
+
+  test("rejects rent months that are not dates", async () => {
+    const response = await fetchTransactions({ rentMonth: "march" });
+
+    expect(response.statusCode).toBe(400);
+    expect(stripe.paymentIntents.retrieve).not.toHaveBeenCalled();
+  });
+
+  test("falls back to the rent record when stripe cannot be reached", async () => {
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    stripe.paymentIntents.retrieve.mockImplementationOnce(async () => {
+      throw new Error("rate limited");
+    });
+
+    const response = await fetchTransactions({ propertyId: "property-1" });
+    consoleError.mockRestore();
+
+    expect(response.statusCode).toBe(200);
+    const { transactions } = JSON.parse(response.body);
+    expect(transactions).toHaveLength(2);
+    expect(transactions[0]).toMatchObject({
+      id: "pi_april",
+      source: "autopay",
+      amount: 150000,
+      amountReceived: null,
+      status: "succeeded",
+      paymentMethod: "CARD",
+      createdOn: "2025-04-01T10:00:00.000Z",
+    });
+    expect(transactions[1]).toMatchObject({
+      id: "pi_march",
+      receiptURL: "https://stripe.test/pi_march",
+    });
+  });
+});
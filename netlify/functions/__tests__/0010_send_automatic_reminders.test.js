@@ -0,0 +1,152 @@
+import { createFakeFirebaseAdmin } from "../utils/__mocks__/fakeFirebaseAdmin";
+import { createFakeFirestore } from "../utils/__mocks__/fakeFirestore";
+import {
+  LEDGER_CATEGORIES,
+  postLedgerEntry,
+  postMonthlyCharges,
+} from "../utils/ledger";
+import { jest } from "@jest/globals";
+
+const db = createFakeFirestore();
+const admin = createFakeFirebaseAdmin(db);
+
+jest.unstable_mockModule("firebase-admin", () => ({ default: admin }));
+
+process.env.ADMIN_KEY = "admin-key";
+
+const { handler } = await import("../0010_send_automatic_reminders");
+
+const lease = {
+  tenantId: "tenant-1",
+  propertyId: "property-1",
+  propertyOwnerId: "owner-1",
+};
+
+const seed = {
+  tenants: {
+    "tenant-1": {
+      id: "tenant-1",
+      email: "tenant@example.com",
+      name: "Tina Tenant",
+      propertyId: "property-1",
+      isActive: true,
+      start_date: "2025-01-01",
+      rent: 1500,
+    },
+  },
+  properties: {
+    "property-1": {
+      id: "property-1",
+      isDeleted: false,
+      address: "1 Main St",
+      timeZone: "UTC",
+      createdBy: "owner-1",
+      rentees: ["tenant@example.com"],
+    },
+  },
+  users: {
+    "owner-1": { id: "owner-1", email: "owner@example.com", name: "Owen" },
+  },
+};
+
+const previewReminder = async (asOf) => {
+  const response = await handler({
+    queryStringParameters: { key: "admin-key", dryRun: "true", asOf },
+  });
+  const [result] = JSON.parse(response.body).results;
+  return result;
+};
+
+const postRent = (rentMonth) =>
+  postMonthlyCharges(db, lease, rentMonth, {
+    rentAmount: 150000,
+    additionalCharges: 0,
+    totalLateFee: 0,
+  });
+
+const postPayment = (category, amount, entryId, rentMonth = "2025-03") =>
+  postLedgerEntry(db, { ...lease, category, amount, rentMonth }, entryId);
+
+const postMarchRent = () => postRent("2025-03");
+
+// february is paid, so the reminders are about the rent of march
+beforeEach(async () => {
+  db.reset(seed);
+  await postRent("2025-02");
+  await postPayment(
+    LEDGER_CATEGORIES.MANUAL_PAYMENT,
+    150000,
+    "manual_feb",
+    "2025-02",
+  );
+});
+
+describe("reminders of paid rent", () => {
+  test("quotes the full rent when nothing is paid", async () => {
+    const result = await previewReminder("2025-02-26");
+
+    expect(result.status).toBe("due");
+    expect(result.kind).toBe("upcoming");
+    expect(result.amount).toBe(150000);
+  });
+
+  test("skips rent paid through checkout", async () => {
+    await postMarchRent();
+    await postPayment(LEDGER_CATEGORIES.STRIPE_PAYMENT, 150000, "stripe_pi_1");
+    db.collections.rents = {
+      pi_1: {
+        ...lease,
+        rentMonth: "2025-03",
+        status: "complete",
+        paymentStatus: "paid",
+      },
+    };
+
+    const result = await previewReminder("2025-02-26");
+
+    expect(result.status).toBe("skipped");
+    expect(result.reason).toBe("rent is already paid");
+  });
+
+  test("skips rent paid early before the charges are posted", async () => {
+    await postPayment(LEDGER_CATEGORIES.STRIPE_PAYMENT, 150000, "autopay_pi");
+
+    const result = await previewReminder("2025-02-26");
+
+    expect(result.status).toBe("skipped");
+    expect(result.reason).toBe("rent is already paid");
+  });
+
+  test("quotes the balance left after a partial manual payment", async () => {
+    await postMarchRent();
+    await postPayment(LEDGER_CATEGORIES.MANUAL_PAYMENT, 50000, "manual_1");
+
+    const result = await previewReminder("2025-02-26");
+
+    expect(result.status).toBe("due");
+    expect(result.amount).toBe(100000);
+  });
+
+  test("quotes the remaining balance in the escalation notice", async () => {
+    await postMarchRent();
+    await postPayment(LEDGER_CATEGORIES.MANUAL_PAYMENT, 50000, "manual_1");
+
+    const result = await previewReminder("2025-03-06");
+
+    expect(result.status).toBe("due");
+    expect(result.kind).toBe("escalation");
+    expect(result.stage).toBe("late_notice");
+    expect(result.amount).toBe(100000);
+    expect(result.amountPaid).toBe(50000);
+  });
+
+  test("skips the escalation notice once the balance is paid", async () => {
+    await postMarchRent();
+    await postPayment(LEDGER_CATEGORIES.MANUAL_PAYMENT, 150000, "manual_1");
+
+    const result = await previewReminder("2025-03-06");
+
+    expect(result.status).toBe("skipped");
+    expect(result.reason).toBe("rent is already paid");
+  });
+});
@@ -0,0 +1,145 @@
+import { createFakeFirebaseAdmin } from "../utils/__mocks__/fakeFirebaseAdmin";
+import { createFakeFirestore } from "../utils/__mocks__/fakeFirestore";
+import { jest } from "@jest/globals";
+
+const db = createFakeFirestore();
+const admin = createFakeFirebaseAdmin(db);
+const stripe = {
+  webhooks: { constructEvent: jest.fn((body) => JSON.parse(body)) },
+  setupIntents: { retrieve: jest.fn() },
+  refunds: { list: jest.fn() },
+};
+
+jest.unstable_mockModule("firebase-admin", () => ({ default: admin }));
+jest.unstable_mockModule("stripe", () => ({ default: jest.fn(() => stripe) }));
+jest.unstable_mockModule("../utils/emailProviders", () => ({
+  sendWithFailover: jest.fn(async () => ({ provider: "console" })),
+}));
+
+process.env.VITE_SITE_URL = "https://homehive.test";
+process.env.VITE_SITE_ADMIN_AUTHORIZED_KEY = "admin-key";
+
+const { handler } = await import("../0011_fetch_stripe_webhook");
+const { handler: updateHandler } =
+  await import("../0012_update_stripe_payments");
+
+const seed = {
+  tenants: {
+    "tenant-1": {
+      id: "tenant-1",
+      email: "tenant@example.com",
+      propertyId: "property-1",
+      isActive: true,
+      autopay: { enabled: false, stripeCustomerId: "cus_1" },
+    },
+  },
+};
+
+const setupSession = {
+  id: "cs_setup",
+  object: "checkout.session",
+  mode: "setup",
+  status: "complete",
+  customer: "cus_1",
+  setup_intent: "seti_1",
+  payment_intent: null,
+  payment_method_options: null,
+  metadata: {
+    tenantId: "tenant-1",
+    propertyId: "property-1",
+    propertyOwnerId: "owner-1",
+    purpose: "autopay_setup",
+  },
+};
+
+const postEvent = (session) =>
+  handler({
+    headers: { "stripe-signature": "signature" },
+    body: JSON.stringify({
+      type: "checkout.session.completed",
+      account: "acct_1",
+      data: { object: session },
+    }),
+  });
+
+beforeEach(() => {
+  db.reset(seed);
+  stripe.setupIntents.retrieve.mockReset();
+  stripe.setupIntents.retrieve.mockResolvedValue({
+    id: "seti_1",
+    status: "succeeded",
+    payment_method: {
+      id: "pm_1",
+      type: "card",
+      card: { brand: "visa", funding: "credit" },
+    },
+  });
+
+  // the db updates are forwarded to the update payments function
+  global.fetch = jest.fn(async (url, options) => {
+    const response = await updateHandler({
+      queryStringParameters: {
+        key: new URL(url).searchParams.get("key"),
+      },
+      body: options.body,
+    });
+    return { ok: response.statusCode === 200, statusText: response.body };
+  });
+});
+
+describe("autopay setup sessions", () => {
+  test("saves the payment method without enabling autopay", async () => {
+    const response = await postEvent(setupSession);
+
+    expect(response.statusCode).toBe(200);
+    expect(stripe.setupIntents.retrieve).toHaveBeenCalledWith(
+      "seti_1",
+      { expand: ["payment_method"] },
+      { stripeAccount: "acct_1" },
+    );
+    expect(db.collections.tenants["tenant-1"].autopay).toMatchObject({
+      enabled: false,
+      stripeCustomerId: "cus_1",
+      stripePaymentMethodId: "pm_1",
+      paymentMethodType: "card",
+      paymentMethod: "VISA CREDIT CARD",
+    });
+  });
+
+  test("does not record the session as a payment", async () => {
+    await postEvent(setupSession);
+
+    expect(db.collections.rents).toBeUndefined();
+    expect(db.collections.rentalPayments).toBeUndefined();
+  });
+
+  test("waits for bank accounts to be verified", async () => {
+    stripe.setupIntents.retrieve.mockResolvedValue({
+      id: "seti_1",
+      status: "requires_action",
+      payment_method: { id: "pm_1", type: "us_bank_account" },
+    });
+
+    const response = await postEvent(setupSession);
+
+    expect(response.statusCode).toBe(200);
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(
+      db.collections.tenants["tenant-1"].autopay.stripePaymentMethodId,
+    ).toBeUndefined();
+  });
+
+  test("ignores sessions of another stripe customer", async () => {
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+
+    const response = await postEvent({ ...setupSession, customer: "cus_2" });
+    consoleError.mockRestore();
+
+    expect(response.statusCode).toBe(200);
+    expect(
+      db.collections.tenants["tenant-1"].autopay.stripePaymentMethodId,
+    ).toBeUndefined();
+  });
+});
@@ -0,0 +1,204 @@
+import { createFakeFirebaseAdmin } from "../utils/__mocks__/fakeFirebaseAdmin";
+import { createFakeFirestore } from "../utils/__mocks__/fakeFirestore";
+import { fetchLedgerBalance } from "../utils/ledger";
+import { jest } from "@jest/globals";
+
+const db = createFakeFirestore();
+const admin = createFakeFirebaseAdmin(db);
+const sendWithFailover = jest.fn();
+
+jest.unstable_mockModule("firebase-admin", () => ({ default: admin }));
+jest.unstable_mockModule("../utils/emailProviders", () => ({
+  sendWithFailover,
+}));
+
+process.env.VITE_SITE_ADMIN_AUTHORIZED_KEY = "admin-key";
+process.env.FIREBASE_STORAGE_BUCKET = "receipts";
+
+const { handler } = await import("../0012_update_stripe_payments");
+
+const seed = {
+  tenants: {
+    "tenant-1": {
+      id: "tenant-1",
+      email: "tenant@example.com",
+      name: "Tina Tenant",
+      propertyId: "property-1",
+      isActive: true,
+    },
+  },
+  properties: {
+    "property-1": {
+      id: "property-1",
+      isDeleted: false,
+      address: "1 Main St",
+      createdBy: "owner-1",
+      rentees: ["tenant@example.com"],
+    },
+  },
+  users: {
+    "owner-1": { id: "owner-1", email: "owner@example.com", name: "Owen" },
+  },
+};
+
+const checkoutPayment = {
+  tenantId: "tenant-1",
+  tenantEmail: "tenant@example.com",
+  propertyId: "property-1",
+  propertyOwnerId: "owner-1",
+  rentMonth: "2025-03",
+  rentAmount: "150000",
+  additionalCharges: "0",
+  stripePaymentIntentID: "pi_checkout",
+  checkoutSessionId: "cs_1",
+  method: "stripe",
+  status: "complete",
+  paymentStatus: "paid",
+  amount: 150000,
+  convenienceFee: 0,
+  stripeEventType: "checkout.session.completed",
+  paymentMethodType: "us_bank_account",
+  createdBy: "tenant-1",
+  createdOn: "2025-03-01T10:00:00.000Z",
+  updatedBy: "tenant-1",
+  updatedOn: "2025-03-01T10:00:00.000Z",
+};
+
+const autopayRent = {
+  tenantId: "tenant-1",
+  tenantEmail: "tenant@example.com",
+  propertyId: "property-1",
+  propertyOwnerId: "owner-1",
+  rentMonth: "2025-03",
+  paymentAmount: 150000,
+  convenienceFee: 0,
+  stripePaymentIntentID: "pi_autopay",
+  method: "stripe",
+  status: "processing",
+  amount: 150000,
+  paymentMethodType: "us_bank_account",
+  source: "autopay",
+  createdBy: "system",
+  createdOn: "2025-03-01T10:00:00.000Z",
+};
+
+const postWebhook = (data) =>
+  handler({
+    queryStringParameters: { key: "admin-key" },
+    body: JSON.stringify(data),
+  });
+
+const fetchSentEmails = (template) =>
+  Object.values(db.collections.emailOutbox || {}).filter(
+    (email) => email.template === template,
+  );
+
+beforeEach(() => {
+  db.reset(seed);
+  sendWithFailover.mockReset();
+  sendWithFailover.mockResolvedValue({ provider: "console" });
+});
+
+describe("payment receipts", () => {
+  test("emails the receipt of a collected checkout payment", async () => {
+    const response = await postWebhook(checkoutPayment);
+
+    expect(response.statusCode).toBe(200);
+    expect(db.collections.receipts.pi_checkout.receiptNumber).toBe("R-000001");
+    expect(admin.files["receipts/owner-1/pi_checkout.pdf"]).toBeDefined();
+
+    const [email] = fetchSentEmails("payment_receipt");
+    expect(email.to).toEqual([{ email: "tenant@example.com", name: null }]);
+    expect(email.attachments[0].filename).toBe("receipt-R-000001.pdf");
+    expect(sendWithFailover).toHaveBeenCalledTimes(1);
+  });
+
+  test("sends the receipt once when stripe delivers the event again", async () => {
+    await postWebhook(checkoutPayment);
+    await postWebhook(checkoutPayment);
+    await postWebhook({
+      ...checkoutPayment,
+      stripeEventType: "checkout.session.async_payment_succeeded",
+    });
+
+    expect(Object.keys(db.collections.receipts)).toEqual(["pi_checkout"]);
+    expect(fetchSentEmails("payment_receipt")).toHaveLength(1);
+    expect(sendWithFailover).toHaveBeenCalledTimes(1);
+  });
+
+  test("does not send a receipt before the funds are collected", async () => {
+    await postWebhook({
+      ...checkoutPayment,
+      paymentStatus: "unpaid",
+    });
+
+    expect(db.collections.receipts).toBeUndefined();
+    expect(sendWithFailover).not.toHaveBeenCalled();
+  });
+
+  test("emails the receipt of a succeeded autopay payment", async () => {
+    db.collections.rents = { pi_autopay: autopayRent };
+
+    await postWebhook({
+      stripePaymentIntentID: "pi_autopay",
+      method: "stripe",
+      status: "succeeded",
+      amount: 150000,
+      stripeEventType: "payment_intent.succeeded",
+      updatedOn: "2025-03-04T10:00:00.000Z",
+    });
+
+    const [email] = fetchSentEmails("payment_receipt");
+    expect(db.collections.receipts.pi_autopay.lineItems).toEqual([
+      { name: "Autopay Payment", amount: 150000 },
+    ]);
+    expect(email.source).toBe("autopay");
+    expect(email.id).toBe("payment_receipt_pi_autopay");
+  });
+});
+
+describe("ledger posting", () => {
+  test("credits the collected payment without the convenience fee", async () => {
+    await postWebhook({
+      ...checkoutPayment,
+      amount: 151000,
+      convenienceFee: 1000,
+    });
+
+    expect(db.collections.ledgerEntries.stripe_pi_checkout).toMatchObject({
+      category: "stripe_payment",
+      amount: 150000,
+      rentMonth: "2025-03",
+      reference: "pi_checkout",
+    });
+    expect(db.collections.rents.pi_checkout.paidOn).toBe(
+      checkoutPayment.updatedOn,
+    );
+    expect(await fetchLedgerBalance(db, "tenant-1", "property-1")).toBe(
+      -150000,
+    );
+  });
+
+  test("credits the payment once when stripe delivers the event again", async () => {
+    await postWebhook(checkoutPayment);
+    await postWebhook({
+      ...checkoutPayment,
+      stripeEventType: "checkout.session.async_payment_succeeded",
+      updatedOn: "2025-03-04T10:00:00.000Z",
+    });
+
+    expect(Object.keys(db.collections.ledgerEntries)).toEqual([
+      "stripe_pi_checkout",
+    ]);
+    expect(db.collections.rents.pi_checkout.paidOn).toBe(
+      checkoutPayment.updatedOn,
+    );
+  });
+
+  test("does not credit the payment before the funds are collected", async () => {
+    await postWebhook({ ...checkoutPayment, paymentStatus: "unpaid" });
+
+    expect(db.collections.ledgerEntries).toBeUndefined();
+    expect(db.collections.rents.pi_checkout.paidOn).toBeUndefined();
+  });
+});
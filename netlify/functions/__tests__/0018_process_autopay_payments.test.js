@@ -0,0 +1,188 @@
+import { createFakeFirebaseAdmin } from "../utils/__mocks__/fakeFirebaseAdmin";
+import { createFakeFirestore } from "../utils/__mocks__/fakeFirestore";
+import { LEDGER_CATEGORIES, postLedgerEntry } from "../utils/ledger";
+import { jest } from "@jest/globals";
+
+const db = createFakeFirestore();
+const admin = createFakeFirebaseAdmin(db);
+const sendWithFailover = jest.fn();
+const stripe = { paymentIntents: { create: jest.fn() } };
+
+jest.unstable_mockModule("firebase-admin", () => ({ default: admin }));
+jest.unstable_mockModule("stripe", () => ({ default: jest.fn(() => stripe) }));
+jest.unstable_mockModule("../utils/emailProviders", () => ({
+  sendWithFailover,
+}));
+
+process.env.ADMIN_KEY = "admin-key";
+process.env.VITE_SITE_ADMIN_AUTHORIZED_KEY = "admin-key";
+process.env.FIREBASE_STORAGE_BUCKET = "receipts";
+
+const { handler } = await import("../0018_process_autopay_payments");
+const { handler: webhookHandler } =
+  await import("../0012_update_stripe_payments");
+
+const seed = {
+  tenants: {
+    "tenant-1": {
+      id: "tenant-1",
+      email: "tenant@example.com",
+      name: "Tina Tenant",
+      propertyId: "property-1",
+      isActive: true,
+      start_date: "2025-01-01",
+      rent: 1500,
+      autopay: {
+        enabled: true,
+        stripeCustomerId: "cus_1",
+        stripePaymentMethodId: "pm_1",
+        paymentMethodType: "us_bank_account",
+      },
+    },
+  },
+  properties: {
+    "property-1": {
+      id: "property-1",
+      isDeleted: false,
+      address: "1 Main St",
+      timeZone: "UTC",
+      createdBy: "owner-1",
+      rentees: ["tenant@example.com"],
+    },
+  },
+  users: {
+    "owner-1": {
+      id: "owner-1",
+      email: "owner@example.com",
+      name: "Owen",
+      stripeAccountId: "acct_1",
+    },
+  },
+};
+
+const runAutopay = async () => {
+  const response = await handler({
+    queryStringParameters: { key: "admin-key" },
+  });
+  return JSON.parse(response.body).results;
+};
+
+const fetchSentEmails = (template) =>
+  Object.values(db.collections.emailOutbox || {}).filter(
+    (email) => email.template === template,
+  );
+
+beforeEach(() => {
+  jest.useFakeTimers({
+    now: new Date("2025-03-01T12:00:00.000Z"),
+    doNotFake: ["nextTick", "setImmediate", "queueMicrotask"],
+  });
+  db.reset(seed);
+  sendWithFailover.mockReset();
+  sendWithFailover.mockResolvedValue({ provider: "console" });
+  stripe.paymentIntents.create.mockReset();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("autopay receipts", () => {
+  test("emails the receipt of a payment that succeeds right away", async () => {
+    stripe.paymentIntents.create.mockResolvedValue({
+      id: "pi_autopay",
+      status: "succeeded",
+    });
+
+    const [result] = await runAutopay();
+
+    expect(result.status).toBe("succeeded");
+    expect(db.collections.receipts.pi_autopay.amount).toBe(150000);
+    const [email] = fetchSentEmails("payment_receipt");
+    expect(email.id).toBe("payment_receipt_pi_autopay");
+    expect(email.attachments[0].filename).toBe("receipt-R-000001.pdf");
+  });
+
+  test("does not send the receipt again from the webhook", async () => {
+    stripe.paymentIntents.create.mockResolvedValue({
+      id: "pi_autopay",
+      status: "succeeded",
+    });
+
+    await runAutopay();
+    await webhookHandler({
+      queryStringParameters: { key: "admin-key" },
+      body: JSON.stringify({
+        stripePaymentIntentID: "pi_autopay",
+        method: "stripe",
+        status: "succeeded",
+        amount: 150000,
+        stripeEventType: "payment_intent.succeeded",
+        updatedOn: "2025-03-01T12:00:05.000Z",
+      }),
+    });
+
+    expect(Object.keys(db.collections.receipts)).toEqual(["pi_autopay"]);
+    expect(fetchSentEmails("payment_receipt")).toHaveLength(1);
+    expect(sendWithFailover).toHaveBeenCalledTimes(1);
+  });
+
+  test("leaves the receipt of a bank payment to the webhook", async () => {
+    stripe.paymentIntents.create.mockResolvedValue({
+      id: "pi_autopay",
+      status: "processing",
+    });
+
+    const [result] = await runAutopay();
+
+    expect(result.status).toBe("processing");
+    expect(db.collections.receipts).toBeUndefined();
+    expect(sendWithFailover).not.toHaveBeenCalled();
+  });
+});
+
+describe("autopay idempotency", () => {
+  test("keys the payment by the lease, rent month and amount", async () => {
+    stripe.paymentIntents.create.mockResolvedValue({
+      id: "pi_autopay",
+      status: "processing",
+    });
+
+    await runAutopay();
+
+    const [params, options] = stripe.paymentIntents.create.mock.calls[0];
+    expect(params.amount).toBe(150000);
+    expect(options).toEqual({
+      stripeAccount: "acct_1",
+      idempotencyKey: "autopay_tenant-1_property-1_2025-03_150000",
+    });
+  });
+
+  test("charges a balance that changed under a new key", async () => {
+    stripe.paymentIntents.create.mockResolvedValue({
+      id: "pi_autopay",
+      status: "processing",
+    });
+    await runAutopay();
+
+    await postLedgerEntry(
+      db,
+      {
+        tenantId: "tenant-1",
+        propertyId: "property-1",
+        propertyOwnerId: "owner-1",
+        category: LEDGER_CATEGORIES.MANUAL_PAYMENT,
+        amount: 50000,
+        rentMonth: "2025-03",
+      },
+      "manual_1",
+    );
+    await runAutopay();
+
+    const [params, options] = stripe.paymentIntents.create.mock.calls[1];
+    expect(params.amount).toBe(100000);
+    expect(options.idempotencyKey).toBe(
+      "autopay_tenant-1_property-1_2025-03_100000",
+    );
+  });
+});
@@ -0,0 +1,103 @@
+import { createFakeFirebaseAdmin } from "../utils/__mocks__/fakeFirebaseAdmin";
+import { createFakeFirestore } from "../utils/__mocks__/fakeFirestore";
+import { jest } from "@jest/globals";
+
+const db = createFakeFirestore();
+const admin = createFakeFirebaseAdmin(db);
+const stripe = { refunds: { create: jest.fn() } };
+
+jest.unstable_mockModule("firebase-admin", () => ({ default: admin }));
+jest.unstable_mockModule("stripe", () => ({ default: jest.fn(() => stripe) }));
+
+const { handler } = await import("../0019_create_stripe_refund");
+
+admin.users["owner-token"] = { uid: "owner-1", email: "owner@example.com" };
+admin.users["other-token"] = { uid: "owner-2", email: "other@example.com" };
+
+const rent = {
+  tenantId: "tenant-1",
+  propertyId: "property-1",
+  propertyOwnerId: "owner-1",
+  rentMonth: "2025-03",
+  amount: 151000,
+  convenienceFee: 1000,
+  paymentType: "rent",
+};
+
+const seed = {
+  rents: {
+    pi_rent: { ...rent, stripePaymentIntentID: "pi_rent" },
+    pi_deposit: {
+      ...rent,
+      stripePaymentIntentID: "pi_deposit",
+      amount: 300000,
+      convenienceFee: 0,
+      paymentType: "deposit",
+      rentMonth: null,
+    },
+  },
+  users: {
+    "owner-1": { id: "owner-1", stripeAccountId: "acct_1" },
+  },
+};
+
+const refund = (body, token = "owner-token") =>
+  handler({
+    httpMethod: "POST",
+    headers: { authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+  });
+
+beforeEach(() => {
+  db.reset(seed);
+  stripe.refunds.create.mockReset();
+  stripe.refunds.create.mockImplementation(async ({ amount }) => ({
+    id: "re_1",
+    amount,
+    status: "succeeded",
+    reason: null,
+  }));
+});
+
+describe("create stripe refund", () => {
+  test("refunds the rent and posts the refund to the ledger", async () => {
+    const response = await refund({ stripePaymentIntentID: "pi_rent" });
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toMatchObject({
+      amount: 151000,
+      rentAmount: 150000,
+      feeAmount: 1000,
+      refundStatus: "refunded",
+    });
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: "pi_rent", amount: 151000 }),
+      { stripeAccount: "acct_1" },
+    );
+    expect(db.collections.ledgerEntries.refund_re_1).toMatchObject({
+      category: "refund",
+      amount: 150000,
+      reference: "re_1",
+    });
+  });
+
+  test("does not refund security deposits", async () => {
+    const response = await refund({ stripePaymentIntentID: "pi_deposit" });
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error).toMatch(/moves out/);
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+    expect(db.collections.ledgerEntries).toBeUndefined();
+    expect(db.collections.rents.pi_deposit.refundedAmount).toBeUndefined();
+  });
+
+  test("does not refund the payments of other owners", async () => {
+    const response = await refund(
+      { stripePaymentIntentID: "pi_rent" },
+      "other-token",
+    );
+
+    expect(response.statusCode).toBe(403);
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * createFakeFirebaseAdmin ...
+ *
+ * function used to create an in memory firebase admin app for the handler
+ * tests. The app is already initialized with the fake firestore, id tokens
+ * are looked up in `users` by token and saved files are kept in `files` by
+ * path.
+ *
+ * @param {Object} db - the fake firestore instance, see createFakeFirestore
+ * @returns {Object} admin - the fake firebase admin app
+ */
+export const createFakeFirebaseAdmin = (db) => {
+  const users = {};
+  const files = {};
+
+  return {
+    apps: [{}],
+    users,
+    files,
+    initializeApp: () => {},
+    credential: { cert: (serviceAccount) => serviceAccount },
+    firestore: () => db,
+    auth: () => ({
+      verifyIdToken: async (idToken) => {
+        if (!users[idToken]) throw new Error("invalid id token");
+        return users[idToken];
+      },
+    }),
+    storage: () => ({
+      bucket: () => ({
+        file: (path) => ({
+          save: async (content) => {
+            files[path] = content;
+          },
+          getSignedUrl: async () => [`https://storage.test/${path}`],
+        }),
+      }),
+    }),
+  };
+};
@@ -0,0 +1,259 @@
+/**
+ * createFakeFirestore ...
+ *
+ * function used to create an in memory firestore for unit tests. Supports
+ * documents, subcollections, queries, batches and transactions, which run
+ * one at a time. Documents are kept in `collections` keyed by collection
+ * path and document id.
+ *
+ * @param {Object} seed - the documents of each collection keyed by id
+ * @returns {Object} db - the fake firestore instance with its collections
+ */
+export const createFakeFirestore = (seed = {}) => {
+  const collections = {};
+
+  const fetchCollection = (path) => {
+    collections[path] = collections[path] || {};
+    return collections[path];
+  };
+
+  const readDoc = (ref) => {
+    const data = fetchCollection(ref.parentPath)[ref.id];
+    return {
+      id: ref.id,
+      ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : clone(data)),
+      get: (field) => readField(data, field),
+    };
+  };
+
+  const writeDoc = (ref, data, options) => {
+    const docs = fetchCollection(ref.parentPath);
+    docs[ref.id] = options?.merge
+      ? mergeData(docs[ref.id] || {}, clone(data))
+      : clone(data);
+  };
+
+  const createDoc = (ref, data) => {
+    if (fetchCollection(ref.parentPath)[ref.id] !== undefined) {
+      throw Object.assign(new Error(`6 ALREADY_EXISTS: ${ref.path}`), {
+        code: 6,
+      });
+    }
+    writeDoc(ref, data);
+  };
+
+  const updateDoc = (ref, data) => {
+    const docs = fetchCollection(ref.parentPath);
+    if (docs[ref.id] === undefined) {
+      throw Object.assign(new Error(`5 NOT_FOUND: ${ref.path}`), { code: 5 });
+    }
+    const updated = clone(docs[ref.id]);
+    for (const [field, value] of Object.entries(data)) {
+      writeField(updated, field, clone(value));
+    }
+    docs[ref.id] = updated;
+  };
+
+  const deleteDoc = (ref) => {
+    delete fetchCollection(ref.parentPath)[ref.id];
+  };
+
+  let autoId = 0;
+  const docRef = (parentPath, id = `auto_${++autoId}`) => {
+    const path = `${parentPath}/${id}`;
+    return {
+      id,
+      path,
+      parentPath,
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => readDoc(docRef(parentPath, id)),
+      set: async (data, options) =>
+        writeDoc(docRef(parentPath, id), data, options),
+      create: async (data) => createDoc(docRef(parentPath, id), data),
+      update: async (data) => updateDoc(docRef(parentPath, id), data),
+      delete: async () => deleteDoc(docRef(parentPath, id)),
+    };
+  };
+
+  const runQuery = (path, query) => {
+    let snapshots = Object.keys(fetchCollection(path))
+      .map((id) => readDoc(docRef(path, id)))
+      .filter((snapshot) =>
+        query.filters.every(([field, op, value]) =>
+          matchesFilter(readField(snapshot.data(), field), op, value),
+        ),
+      );
+
+    if (query.orders.length > 0) {
+      snapshots.sort((a, b) => {
+        for (const [field, direction] of query.orders) {
+          const order = compareValues(
+            readField(a.data(), field),
+            readField(b.data(), field),
+          );
+          if (order !== 0) return direction === "desc" ? -order : order;
+        }
+        return 0;
+      });
+    }
+
+    if (query.cursor) {
+      const index = snapshots.findIndex(
+        (snapshot) => snapshot.id === query.cursor.id,
+      );
+      snapshots = snapshots.slice(index + 1);
+    }
+    if (query.limit !== null) snapshots = snapshots.slice(0, query.limit);
+
+    return {
+      docs: snapshots,
+      empty: snapshots.length === 0,
+      size: snapshots.length,
+      forEach: (fn) => snapshots.forEach(fn),
+    };
+  };
+
+  const queryRef = (path, query) => ({
+    where: (field, op, value) =>
+      queryRef(path, {
+        ...query,
+        filters: [...query.filters, [field, op, value]],
+      }),
+    orderBy: (field, direction = "asc") =>
+      queryRef(path, {
+        ...query,
+        orders: [...query.orders, [field, direction]],
+      }),
+    limit: (limit) => queryRef(path, { ...query, limit }),
+    startAfter: (cursor) => queryRef(path, { ...query, cursor }),
+    get: async () => runQuery(path, query),
+    isQuery: true,
+    path,
+    query,
+  });
+
+  const collectionRef = (path) => ({
+    ...queryRef(path, { filters: [], orders: [], limit: null, cursor: null }),
+    id: path.split("/").pop(),
+    doc: (id) => docRef(path, id),
+    add: async (data) => {
+      const ref = docRef(path);
+      writeDoc(ref, data);
+      return ref;
+    },
+  });
+
+  const runTransaction = async (fn) =>
+    fn({
+      get: async (ref) =>
+        ref.isQuery ? runQuery(ref.path, ref.query) : readDoc(ref),
+      getAll: async (...refs) => refs.map(readDoc),
+      set: (ref, data, options) => writeDoc(ref, data, options),
+      create: (ref, data) => createDoc(ref, data),
+      update: (ref, data) => updateDoc(ref, data),
+      delete: (ref) => deleteDoc(ref),
+    });
+
+  const batch = () => {
+    const writes = [];
+    return {
+      set: (ref, data, options) =>
+        writes.push(() => writeDoc(ref, data, options)),
+      create: (ref, data) => writes.push(() => createDoc(ref, data)),
+      update: (ref, data) => writes.push(() => updateDoc(ref, data)),
+      delete: (ref) => writes.push(() => deleteDoc(ref)),
+      commit: async () => writes.forEach((write) => write()),
+    };
+  };
+
+  const reset = (documents = {}) => {
+    Object.keys(collections).forEach((path) => delete collections[path]);
+    for (const [path, docs] of Object.entries(documents)) {
+      collections[path] = clone(docs);
+    }
+  };
+
+  reset(seed);
+  return {
+    collections,
+    collection: collectionRef,
+    runTransaction,
+    batch,
+    reset,
+  };
+};
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+// structuredClone can return objects of another realm in the test runner
+const isPlainObject = (value) =>
+  Object.prototype.toString.call(value) === "[object Object]";
+
+const mergeData = (target, source) => {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(merged[key])
+        ? mergeData(merged[key], value)
+        : value;
+  }
+  return merged;
+};
+
+const readField = (data, field) =>
+  field
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value === undefined || value === null ? undefined : value[key],
+      data,
+    );
+
+const writeField = (data, field, value) => {
+  const keys = field.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (!isPlainObject(object[key])) object[key] = {};
+    return object[key];
+  }, data);
+  parent[last] = value;
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+};
+
+const matchesFilter = (fieldValue, op, value) => {
+  switch (op) {
+    case "==":
+      return fieldValue === value;
+    case "!=":
+      return fieldValue !== undefined && fieldValue !== value;
+    case "<":
+      return fieldValue !== undefined && fieldValue < value;
+    case "<=":
+      return fieldValue !== undefined && fieldValue <= value;
+    case ">":
+      return fieldValue !== undefined && fieldValue > value;
+    case ">=":
+      return fieldValue !== undefined && fieldValue >= value;
+    case "in":
+      return value.includes(fieldValue);
+    case "not-in":
+      return fieldValue !== undefined && !value.includes(fieldValue);
+    case "array-contains":
+      return Array.isArray(fieldValue) && fieldValue.includes(value);
+    case "array-contains-any":
+      return (
+        Array.isArray(fieldValue) &&
+        value.some((item) => fieldValue.includes(item))
+      );
+    default:
+      throw new Error(`unsupported query operator ${op}`);
+  }
+};
@@ -0,0 +1,67 @@
+export const APPLICATION_FEE_TYPES = {
+  FLAT: "flat",
+  PERCENTAGE: "percentage",
+  PAYMENT_METHOD: "payment_method",
+};
+
+/**
+ * fetchApplicationFeeRule ...
+ *
+ * used to return the platform fee rule of the plan the owner is subscribed
+ * to. Plans are stored in the `plans` collection and owners without a plan
+ * fall back to the plan set in DEFAULT_PLAN_ID. Eg,
+ *
+ * { type: "flat", value: 150 }
+ * { type: "percentage", value: 1.5, maxAmount: 1000 }
+ * { type: "payment_method", rules: { card: {...}, us_bank_account: {...}, default: {...} } }
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} owner - the user profile of the property owner
+ * @returns {Object} - the plan id with the fee rule, rule is null if there is no fee
+ */
+export const fetchApplicationFeeRule = async (db, owner) => {
+  const planId = owner?.plan || process.env.DEFAULT_PLAN_ID;
+  if (!planId) return { planId: null, rule: null };
+
+  const planDoc = await db.collection("plans").doc(planId).get();
+  return {
+    planId,
+    rule: planDoc.exists ? planDoc.data().applicationFee || null : null,
+  };
+};
+
+/**
+ * computeApplicationFee ...
+ *
+ * function used to compute the platform fee of a payment in cents. Payment
+ * method rules use the `default` rule when the tenant has not selected a
+ * payment method yet. The fee never exceeds the payment amount.
+ *
+ * @param {Object} rule - the fee rule of the owner plan
+ * @param {number} amount - the payment amount in cents
+ * @param {string} paymentMethodType - the selected payment method, if any
+ * @returns {number} - the platform fee in cents
+ */
+export const computeApplicationFee = (rule, amount, paymentMethodType) => {
+  if (!rule) return 0;
+
+  if (rule.type === APPLICATION_FEE_TYPES.PAYMENT_METHOD) {
+    return computeApplicationFee(
+      rule.rules?.[paymentMethodType] || rule.rules?.default,
+      amount,
+      paymentMethodType,
+    );
+  }
+
+  let fee = 0;
+  if (rule.type === APPLICATION_FEE_TYPES.FLAT) {
+    fee = Math.round(Number(rule.value || 0));
+  } else if (rule.type === APPLICATION_FEE_TYPES.PERCENTAGE) {
+    fee = Math.round((amount * Number(rule.value || 0)) / 100);
+    if (rule.maxAmount !== undefined) {
+      fee = Math.min(fee, Math.round(Number(rule.maxAmount)));
+    }
+  }
+
+  return Math.min(Math.max(fee, 0), amount);
+};
@@ -0,0 +1,166 @@
+import dayjs from "dayjs";
+
+import { EMAIL_TEMPLATES } from "./emailTemplates";
+import {
+  fetchOwnerDetails,
+  fetchPropertyById,
+  fetchTenantById,
+} from "./firestore";
+import { LEDGER_CATEGORIES, postLedgerEntry } from "./ledger";
+import {
+  NOTIFICATION_TYPES,
+  filterRecipientsByPreferences,
+} from "./notificationPreferences";
+import {
+  createReceipt,
+  fetchLeaseDetails,
+  sendPaymentNotification,
+} from "./paymentNotifications";
+import { recordSharePayment } from "./rentShares";
+import { sendEmail } from "./utils";
+
+export const AUTOPAY_SOURCE = "autopay";
+
+/**
+ * postAutopayCredit ...
+ *
+ * used to post the collected autopay payment to the tenant ledger and the
+ * share of the roommate, if the lease is shared. The card convenience fee is
+ * kept by the owner and never credited.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} rent - the autopay rent record
+ */
+export const postAutopayCredit = async (db, rent) => {
+  const paidAmount = rent.amount - Number(rent.convenienceFee || 0);
+  await postLedgerEntry(
+    db,
+    {
+      tenantId: rent.tenantId,
+      propertyId: rent.propertyId,
+      propertyOwnerId: rent.propertyOwnerId,
+      category: LEDGER_CATEGORIES.STRIPE_PAYMENT,
+      amount: paidAmount,
+      description: "Autopay payment",
+      rentMonth: rent.rentMonth,
+      reference: rent.stripePaymentIntentID,
+      createdBy: "system",
+    },
+    `stripe_${rent.stripePaymentIntentID}`,
+  );
+  await recordSharePayment(db, { ...rent, amount: paidAmount });
+};
+
+/**
+ * sendAutopayReceipt ...
+ *
+ * used to create the pdf receipt of the collected autopay payment and email
+ * it to the tenant. Both the autopay job and the webhook call this when the
+ * payment succeeds, the receipt and the email are only created once for each
+ * payment intent.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} rent - the autopay rent record
+ */
+export const sendAutopayReceipt = async (db, rent) => {
+  const lease = await fetchLeaseDetails(db, rent);
+  const lineItems = [
+    { name: "Autopay Payment", amount: rent.paymentAmount },
+    { name: "Card Convenience Fee", amount: rent.convenienceFee },
+  ]
+    .map((lineItem) => ({ ...lineItem, amount: Number(lineItem.amount) }))
+    .filter((lineItem) => lineItem.amount > 0);
+  const receipt = await createReceipt(db, rent, lease, lineItems);
+
+  await sendPaymentNotification(
+    db,
+    rent,
+    lease,
+    EMAIL_TEMPLATES.PAYMENT_RECEIPT,
+    {
+      paymentStatus: rent.status,
+      receiptNumber: receipt?.receipt.receiptNumber || null,
+      lineItems,
+    },
+    { receipt, source: AUTOPAY_SOURCE },
+  );
+};
+
+/**
+ * notifyAutopayFailure ...
+ *
+ * used to let the tenant and the property owner know that the autopay
+ * payment could not be collected, unless they opted out of payment
+ * notifications. Each email is sent once per payment intent, as the failure
+ * is reported both when the payment is created and by the webhook. Failures
+ * to send are logged only.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} rent - the autopay rent record
+ * @param {string} reason - the reason provided by stripe
+ */
+export const notifyAutopayFailure = async (db, rent, reason) => {
+  const [owner, tenant, property] = await Promise.all([
+    fetchOwnerDetails(db, rent.propertyOwnerId),
+    fetchTenantById(db, rent.tenantId),
+    fetchPropertyById(db, rent.propertyId),
+  ]);
+  const propertyAddress = property?.address || property?.name || null;
+  const failedOn = dayjs().format("YYYY-MM-DD");
+
+  const emails = [
+    {
+      to: rent.tenantEmail,
+      subject: "Autopay Failed: Rent payment was not collected",
+      template: EMAIL_TEMPLATES.PAYMENT_FAILED,
+      data: {
+        recipientName: tenant?.name || null,
+        propertyAddress,
+        amount: Number(rent.amount || 0),
+        rentMonth: rent.rentMonth,
+        failedOn,
+        reason,
+      },
+    },
+  ];
+
+  if (owner?.email) {
+    emails.push({
+      to: owner.email,
+      template: EMAIL_TEMPLATES.OWNER_PAYMENT_FAILED,
+      data: {
+        recipientName: owner.name || null,
+        propertyAddress,
+        tenantName: tenant?.name || null,
+        tenantEmail: rent.tenantEmail,
+        amount: Number(rent.amount || 0),
+        rentMonth: rent.rentMonth,
+        failedOn,
+        reason,
+      },
+    });
+  }
+
+  const recipients = await filterRecipientsByPreferences(
+    db,
+    emails.map((email) => email.to),
+    NOTIFICATION_TYPES.PAYMENT_NOTIFICATIONS,
+  );
+  const results = await Promise.allSettled(
+    emails
+      .filter((email) => recipients.includes(email.to))
+      .map((email) =>
+        sendEmail({
+          ...email,
+          notificationType: NOTIFICATION_TYPES.PAYMENT_NOTIFICATIONS,
+          idempotencyKey: `${email.template}_${rent.stripePaymentIntentID}`,
+        }),
+      ),
+  );
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) =>
+      // eslint-disable-next-line no-console
+      console.error("unable to send autopay failure email.", result.reason),
+    );
+};
@@ -0,0 +1,104 @@
+import dayjs from "dayjs";
+
+import { PAYMENT_TYPES } from "./deposits";
+import { buildLedgerId } from "./ledger";
+import { createHash } from "crypto";
+
+/**
+ * buildCheckoutKey ...
+ *
+ * function used to build the key of the checkout session record. Rent
+ * sessions charge the outstanding balance of the lease rather than a single
+ * rent month, so there is at most one rent session per lease, and one for
+ * the security deposit of the lease.
+ *
+ * @param {Object} draftLease - the tenantId and propertyId of the lease
+ * @param {string} paymentType - the payment type, either rent or deposit
+ * @returns {string} - the key of the checkout session record
+ */
+export const buildCheckoutKey = (draftLease, paymentType) => {
+  const ledgerId = buildLedgerId(draftLease.tenantId, draftLease.propertyId);
+  return paymentType === PAYMENT_TYPES.DEPOSIT
+    ? `${ledgerId}_deposit`
+    : `${ledgerId}_rent`;
+};
+
+/**
+ * buildCheckoutFingerprint ...
+ *
+ * function used to fingerprint the parameters of a checkout session. Open
+ * sessions are only reused when the fingerprint matches, so a tenant never
+ * pays an amount that is out of date.
+ *
+ * @param {Object} params - the amounts and line items of the session
+ * @returns {string} - the fingerprint of the parameters
+ */
+export const buildCheckoutFingerprint = (params) =>
+  createHash("sha256")
+    .update(JSON.stringify(params))
+    .digest("hex")
+    .slice(0, 16);
+
+/**
+ * fetchCheckoutSessionRecord ...
+ *
+ * used to return the last checkout session created for the checkout key.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} checkoutKey - the key of the checkout session record
+ * @returns {Object} record - the checkout session record, null if not found
+ */
+export const fetchCheckoutSessionRecord = async (db, checkoutKey) => {
+  const recordDoc = await db
+    .collection("checkoutSessions")
+    .doc(checkoutKey)
+    .get();
+  return recordDoc.exists ? recordDoc.data() : null;
+};
+
+/**
+ * saveCheckoutSessionRecord ...
+ *
+ * used to save the checkout session created for the checkout key.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} checkoutKey - the key of the checkout session record
+ * @param {Object} record - the session id, url, fingerprint and attempt of the session
+ */
+export const saveCheckoutSessionRecord = async (db, checkoutKey, record) => {
+  await db
+    .collection("checkoutSessions")
+    .doc(checkoutKey)
+    .set({ ...record, updatedOn: dayjs().toISOString() }, { merge: true });
+};
+
+/**
+ * isRentPaymentProcessing ...
+ *
+ * used to determine if a rent payment of the lease has been submitted but
+ * the funds are not collected yet. Bank payments take days to settle, and
+ * every rent payment is taken from the same balance, so no other rent
+ * payment can be started until it settles.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} draftLease - the tenantId and propertyId of the lease
+ * @returns {boolean} - true if a rent payment of the lease is processing
+ */
+export const isRentPaymentProcessing = async (db, draftLease) => {
+  const rentSnapshot = await db
+    .collection("rents")
+    .where("propertyId", "==", draftLease.propertyId)
+    .where("tenantId", "==", draftLease.tenantId)
+    .get();
+
+  return rentSnapshot.docs
+    .map((doc) => doc.data())
+    .filter((rent) => rent.paymentType !== PAYMENT_TYPES.DEPOSIT)
+    .some(
+      (rent) =>
+        rent.status === "processing" ||
+        (rent.status === "complete" &&
+          rent.paymentStatus === "unpaid" &&
+          rent.stripeEventType !== "checkout.session.async_payment_failed"),
+    );
+};
@@ -0,0 +1,98 @@
+import { EMAIL_TEMPLATES } from "./emailTemplates";
+import { createHash } from "crypto";
+
+export const PAYMENT_TYPES = {
+  RENT: "rent",
+  DEPOSIT: "deposit",
+};
+
+export const DEPOSIT_STATUSES = {
+  PENDING: "pending",
+  HELD: "held",
+  RETURNED: "returned",
+  PARTIALLY_RETURNED: "partially_returned",
+  FORFEITED: "forfeited",
+};
+
+/**
+ * validateDeductions ...
+ *
+ * function used to validate the itemized deductions of the deposit.
+ *
+ * @param {Array} deductions - the list of deductions with description and amount in cents
+ * @param {number} depositAmount - the deposit held in cents
+ * @returns {string} error - the validation error, null if deductions are valid
+ */
+export const validateDeductions = (deductions, depositAmount) => {
+  if (!Array.isArray(deductions)) {
+    return "'deductions' must be a list of deductions";
+  }
+
+  for (const [index, deduction] of deductions.entries()) {
+    if (!deduction?.description?.trim()) {
+      return `'deductions[${index}].description' is required`;
+    }
+    if (!Number.isInteger(deduction.amount) || deduction.amount <= 0) {
+      return `'deductions[${index}].amount' must be a whole number of cents`;
+    }
+  }
+
+  const totalDeductions = deductions.reduce((sum, d) => sum + d.amount, 0);
+  if (totalDeductions > depositAmount) {
+    return `total deductions cannot exceed the deposit of ${depositAmount} cents`;
+  }
+  return null;
+};
+
+/**
+ * assignDeductionIds ...
+ *
+ * function used to key each deduction by its description and amount, so a
+ * retried move-out posts the same ledger entries in any order. Repeated
+ * deductions are numbered by occurrence.
+ *
+ * @param {Array} deductions - the validated list of deductions
+ * @returns {Array} deductions - the id, trimmed description and amount of each deduction
+ */
+export const assignDeductionIds = (deductions) => {
+  const occurrences = {};
+  return deductions.map((deduction) => {
+    const description = deduction.description.trim();
+    const key = createHash("sha256")
+      .update(`${description}\n${deduction.amount}`)
+      .digest("hex")
+      .slice(0, 16);
+    occurrences[key] = (occurrences[key] || 0) + 1;
+
+    return {
+      id: occurrences[key] > 1 ? `${key}_${occurrences[key]}` : key,
+      description,
+      amount: deduction.amount,
+    };
+  });
+};
+
+/**
+ * buildDepositStatement ...
+ *
+ * function used to build the itemized deposit statement that is emailed to
+ * the tenant at move-out.
+ *
+ * @param {Object} tenant - the tenant record
+ * @param {Object} property - the property record
+ * @param {Object} deposit - the returned deposit details
+ * @returns {Object} email - the template and template data of the statement
+ */
+export const buildDepositStatement = (tenant, property, deposit) => ({
+  template: EMAIL_TEMPLATES.DEPOSIT_STATEMENT,
+  data: {
+    recipientName: tenant.name,
+    propertyAddress: property.address || property.name,
+    depositAmount: deposit.amount,
+    deductions: deposit.deductions.map(({ description, amount }) => ({
+      description,
+      amount,
+    })),
+    refundedAmount: deposit.refundedAmount,
+  },
+});
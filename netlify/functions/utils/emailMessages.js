@@ -0,0 +1,235 @@
+export const EMAIL_LIMITS = {
+  MAX_RECIPIENTS: 50,
+  MAX_TAGS: 5,
+  MAX_HEADERS: 10,
+  MAX_ATTACHMENTS: 5,
+  // outbox emails are stored with their attachments, firestore documents are limited to 1 MB
+  MAX_ATTACHMENT_BYTES: 512 * 1024,
+};
+
+const ATTACHMENT_DISPOSITIONS = ["attachment", "inline"];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+// only custom headers can be set, standard and provider headers are reserved
+const CUSTOM_HEADER_PATTERN = /^X-[A-Za-z0-9-]+$/i;
+const RESERVED_HEADER_PATTERN = /^X-(SG-|SMTPAPI$|MailerSend-)/i;
+const TAG_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * normalizeRecipients ...
+ *
+ * function used to return the list of recipients from a single email
+ * address, a recipient with an email and name, or a list of either.
+ *
+ * @param {string|Object|Array} recipients - the recipients passed in
+ * @returns {Array} recipients - the email and name of each recipient
+ */
+export const normalizeRecipients = (recipients) =>
+  [recipients]
+    .flat()
+    .filter((recipient) => recipient !== undefined && recipient !== null)
+    .map((recipient) =>
+      typeof recipient === "string"
+        ? { email: recipient.trim(), name: null }
+        : {
+            email: String(recipient.email || "").trim(),
+            name: recipient.name || null,
+          },
+    );
+
+/**
+ * validateRecipients ...
+ *
+ * function used to validate the recipients of a single field.
+ *
+ * @param {string} field - the name of the field. Eg, cc
+ * @param {string|Object|Array} recipients - the recipients passed in
+ * @returns {string} error - the validation error, null if valid
+ */
+const validateRecipients = (field, recipients) => {
+  const isList = Array.isArray(recipients);
+  for (const [index, recipient] of [recipients].flat().entries()) {
+    const fieldName = isList ? `${field}[${index}]` : field;
+
+    if (typeof recipient === "string") {
+      if (!EMAIL_PATTERN.test(recipient.trim())) {
+        return `'${fieldName}' must be a valid email address`;
+      }
+      continue;
+    }
+    if (!recipient || typeof recipient !== "object") {
+      return `'${fieldName}' must be an email address or an object with 'email' and 'name'`;
+    }
+    if (!EMAIL_PATTERN.test(String(recipient.email || "").trim())) {
+      return `'${fieldName}.email' must be a valid email address`;
+    }
+    if (recipient.name !== undefined && typeof recipient.name !== "string") {
+      return `'${fieldName}.name' must be a string`;
+    }
+  }
+  return null;
+};
+
+/**
+ * validateEmailMessage ...
+ *
+ * function used to validate the email passed in to the send email function.
+ * Errors name the field that is invalid so callers can fix the request.
+ *
+ * @param {Object} message - the to, cc, bcc, replyTo, subject, text, html, headers, tags and attachments of the email
+ * @returns {string} error - the validation error, null if valid
+ */
+export const validateEmailMessage = (message) => {
+  if (!message.to || normalizeRecipients(message.to).length === 0) {
+    return "Missing required field: 'to'";
+  }
+  if (!message.subject || typeof message.subject !== "string") {
+    return "Missing required field: 'subject'";
+  }
+  if (!message.text && !message.html) {
+    return "Missing required fields: either 'text' or 'html'";
+  }
+  for (const field of ["text", "html"]) {
+    if (message[field] && typeof message[field] !== "string") {
+      return `'${field}' must be a string`;
+    }
+  }
+
+  for (const field of ["to", "cc", "bcc"]) {
+    if (message[field] === undefined) continue;
+    const validationError = validateRecipients(field, message[field]);
+    if (validationError) return validationError;
+  }
+
+  if (message.replyTo !== undefined) {
+    if (Array.isArray(message.replyTo)) {
+      return "'replyTo' must be a single email address";
+    }
+    const validationError = validateRecipients("replyTo", message.replyTo);
+    if (validationError) return validationError;
+  }
+
+  // providers reject the same address in more than one recipient field
+  const seen = new Set();
+  for (const field of ["to", "cc", "bcc"]) {
+    const recipients = normalizeRecipients(message[field]);
+    for (const [index, recipient] of recipients.entries()) {
+      const email = recipient.email.toLowerCase();
+      if (seen.has(email)) {
+        return `'${field}${Array.isArray(message[field]) ? `[${index}]` : ""}' is already a recipient`;
+      }
+      seen.add(email);
+    }
+  }
+  if (seen.size > EMAIL_LIMITS.MAX_RECIPIENTS) {
+    return `'to', 'cc' and 'bcc' must not have more than ${EMAIL_LIMITS.MAX_RECIPIENTS} recipients combined`;
+  }
+
+  if (message.headers !== undefined) {
+    if (
+      !message.headers ||
+      typeof message.headers !== "object" ||
+      Array.isArray(message.headers)
+    ) {
+      return "'headers' must be an object of header names and values";
+    }
+    const headers = Object.entries(message.headers);
+    if (headers.length > EMAIL_LIMITS.MAX_HEADERS) {
+      return `'headers' must not have more than ${EMAIL_LIMITS.MAX_HEADERS} headers`;
+    }
+    for (const [name, value] of headers) {
+      if (
+        !CUSTOM_HEADER_PATTERN.test(name) ||
+        RESERVED_HEADER_PATTERN.test(name)
+      ) {
+        return `'headers.${name}' is not allowed, only custom X- headers can be set`;
+      }
+      if (typeof value !== "string" || /[\r\n]/.test(value)) {
+        return `'headers.${name}' must be a single line string`;
+      }
+    }
+  }
+
+  if (message.tags !== undefined) {
+    if (!Array.isArray(message.tags)) {
+      return "'tags' must be a list of tags";
+    }
+    if (message.tags.length > EMAIL_LIMITS.MAX_TAGS) {
+      return `'tags' must not have more than ${EMAIL_LIMITS.MAX_TAGS} tags`;
+    }
+    for (const [index, tag] of message.tags.entries()) {
+      if (typeof tag !== "string" || !TAG_PATTERN.test(tag)) {
+        return `'tags[${index}]' must only use letters, numbers, dashes and underscores`;
+      }
+    }
+  }
+
+  if (message.attachments !== undefined) {
+    if (!Array.isArray(message.attachments)) {
+      return "'attachments' must be a list of attachments";
+    }
+    if (message.attachments.length > EMAIL_LIMITS.MAX_ATTACHMENTS) {
+      return `'attachments' must not have more than ${EMAIL_LIMITS.MAX_ATTACHMENTS} attachments`;
+    }
+
+    let totalBytes = 0;
+    for (const [index, attachment] of message.attachments.entries()) {
+      const fieldName = `attachments[${index}]`;
+      if (!attachment || typeof attachment !== "object") {
+        return `'${fieldName}' must be an object with 'filename' and 'content'`;
+      }
+      if (
+        typeof attachment.filename !== "string" ||
+        !attachment.filename.trim() ||
+        /[\\/]/.test(attachment.filename)
+      ) {
+        return `'${fieldName}.filename' must be a file name without a path`;
+      }
+      if (
+        typeof attachment.content !== "string" ||
+        !attachment.content ||
+        !BASE64_PATTERN.test(attachment.content)
+      ) {
+        return `'${fieldName}.content' must be base64 encoded`;
+      }
+      if (
+        attachment.disposition !== undefined &&
+        !ATTACHMENT_DISPOSITIONS.includes(attachment.disposition)
+      ) {
+        return `'${fieldName}.disposition' must be either 'attachment' or 'inline'`;
+      }
+      totalBytes += Buffer.from(attachment.content, "base64").length;
+    }
+    if (totalBytes > EMAIL_LIMITS.MAX_ATTACHMENT_BYTES) {
+      return `'attachments' must not be larger than ${EMAIL_LIMITS.MAX_ATTACHMENT_BYTES / 1024} KB combined`;
+    }
+  }
+  return null;
+};
+
+/**
+ * normalizeEmailMessage ...
+ *
+ * function used to return the email in the shape expected by the email
+ * providers. The email must be valid.
+ *
+ * @param {Object} message - the email passed in to the send email function
+ * @returns {Object} email - the normalized email
+ */
+export const normalizeEmailMessage = (message) => ({
+  to: normalizeRecipients(message.to),
+  cc: normalizeRecipients(message.cc),
+  bcc: normalizeRecipients(message.bcc),
+  replyTo: message.replyTo ? normalizeRecipients(message.replyTo)[0] : null,
+  subject: message.subject || null,
+  text: message.text || null,
+  html: message.html || null,
+  headers: message.headers || null,
+  tags: message.tags || [],
+  attachments: (message.attachments || []).map((attachment) => ({
+    filename: attachment.filename.trim(),
+    content: attachment.content,
+    contentType: attachment.contentType || null,
+    disposition: attachment.disposition || "attachment",
+  })),
+});
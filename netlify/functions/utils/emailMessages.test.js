@@ -0,0 +1,163 @@
+import {
+  EMAIL_LIMITS,
+  normalizeEmailMessage,
+  validateEmailMessage,
+} from "./emailMessages";
+
+const message = {
+  to: "tenant@example.com",
+  subject: "Rent reminder",
+  text: "Your rent is due soon.",
+};
+
+describe("validateEmailMessage", () => {
+  test("accepts a valid email", () => {
+    expect(
+      validateEmailMessage({
+        ...message,
+        to: [{ email: "tenant@example.com", name: "Tenant" }],
+        cc: "roommate@example.com",
+        replyTo: "owner@example.com",
+        headers: { "X-Property-Id": "property-1" },
+        tags: ["rent_reminder"],
+        attachments: [{ filename: "receipt.pdf", content: "JVBERi0=" }],
+      }),
+    ).toBeNull();
+  });
+
+  test.each([
+    [{ to: undefined }, "Missing required field: 'to'"],
+    [{ subject: "" }, "Missing required field: 'subject'"],
+    [{ text: undefined }, "Missing required fields: either 'text' or 'html'"],
+    [{ html: 42 }, "'html' must be a string"],
+    [{ to: "not-an-email" }, "'to' must be a valid email address"],
+    [
+      { to: ["tenant@example.com", { email: "bad" }] },
+      "'to[1].email' must be a valid email address",
+    ],
+    [
+      { replyTo: ["owner@example.com"] },
+      "'replyTo' must be a single email address",
+    ],
+    [{ bcc: "TENANT@example.com" }, "'bcc' is already a recipient"],
+  ])("rejects the recipients %j", (fields, error) => {
+    expect(validateEmailMessage({ ...message, ...fields })).toBe(error);
+  });
+
+  test("limits the recipients of all fields combined", () => {
+    const recipients = Array.from(
+      { length: EMAIL_LIMITS.MAX_RECIPIENTS },
+      (_, index) => `tenant${index}@example.com`,
+    );
+
+    expect(
+      validateEmailMessage({
+        ...message,
+        to: recipients,
+        cc: "owner@example.com",
+      }),
+    ).toBe(
+      `'to', 'cc' and 'bcc' must not have more than ${EMAIL_LIMITS.MAX_RECIPIENTS} recipients combined`,
+    );
+  });
+
+  test.each([
+    ["Reply-To"],
+    ["X-SMTPAPI"],
+    ["X-SG-EID"],
+    ["X-MailerSend-Template"],
+  ])("only allows custom headers, not %s", (name) => {
+    expect(
+      validateEmailMessage({ ...message, headers: { [name]: "value" } }),
+    ).toBe(
+      `'headers.${name}' is not allowed, only custom X- headers can be set`,
+    );
+  });
+
+  test("rejects headers spanning more than one line", () => {
+    expect(
+      validateEmailMessage({
+        ...message,
+        headers: { "X-Property-Id": "property-1\r\nBcc: someone@example.com" },
+      }),
+    ).toBe("'headers.X-Property-Id' must be a single line string");
+  });
+
+  test("rejects tags with other characters", () => {
+    expect(validateEmailMessage({ ...message, tags: ["rent reminder"] })).toBe(
+      "'tags[0]' must only use letters, numbers, dashes and underscores",
+    );
+  });
+
+  test.each([
+    [
+      { filename: "../receipt.pdf", content: "JVBERi0=" },
+      "'attachments[0].filename' must be a file name without a path",
+    ],
+    [
+      { filename: "receipt.pdf", content: "not base64!" },
+      "'attachments[0].content' must be base64 encoded",
+    ],
+    [
+      {
+        filename: "receipt.pdf",
+        content: "JVBERi0=",
+        disposition: "inline-ish",
+      },
+      "'attachments[0].disposition' must be either 'attachment' or 'inline'",
+    ],
+  ])("rejects the attachment %j", (attachment, error) => {
+    expect(
+      validateEmailMessage({ ...message, attachments: [attachment] }),
+    ).toBe(error);
+  });
+
+  test("limits the size of the attachments combined", () => {
+    const content = Buffer.alloc(
+      EMAIL_LIMITS.MAX_ATTACHMENT_BYTES + 1,
+    ).toString("base64");
+
+    expect(
+      validateEmailMessage({
+        ...message,
+        attachments: [{ filename: "receipt.pdf", content }],
+      }),
+    ).toBe(
+      `'attachments' must not be larger than ${EMAIL_LIMITS.MAX_ATTACHMENT_BYTES / 1024} KB combined`,
+    );
+  });
+});
+
+describe("normalizeEmailMessage", () => {
+  test("returns the recipients and attachments with their defaults", () => {
+    expect(
+      normalizeEmailMessage({
+        ...message,
+        to: [" tenant@example.com ", { email: "roommate@example.com" }],
+        replyTo: { email: "owner@example.com", name: "Owner" },
+        attachments: [{ filename: " receipt.pdf ", content: "JVBERi0=" }],
+      }),
+    ).toEqual({
+      to: [
+        { email: "tenant@example.com", name: null },
+        { email: "roommate@example.com", name: null },
+      ],
+      cc: [],
+      bcc: [],
+      replyTo: { email: "owner@example.com", name: "Owner" },
+      subject: "Rent reminder",
+      text: "Your rent is due soon.",
+      html: null,
+      headers: null,
+      tags: [],
+      attachments: [
+        {
+          filename: "receipt.pdf",
+          content: "JVBERi0=",
+          contentType: null,
+          disposition: "attachment",
+        },
+      ],
+    });
+  });
+});
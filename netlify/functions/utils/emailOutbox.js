@@ -0,0 +1,260 @@
+import { v4 as uuidv4 } from "uuid";
+
+import dayjs from "dayjs";
+
+import { normalizeEmailMessage } from "./emailMessages";
+import { sendWithFailover } from "./emailProviders";
+import { renderEmailTemplate } from "./emailTemplates";
+
+export const OUTBOX_STATUSES = {
+  QUEUED: "queued",
+  SENT: "sent",
+  FAILED: "failed",
+  DEAD: "dead",
+};
+
+export const MAX_OUTBOX_ATTEMPTS = 5;
+
+const RETRY_BASE_MINUTES = 5;
+const RETRY_MAX_MINUTES = 6 * 60;
+
+// emails being sent are not picked up by the worker until the lease expires
+const SEND_LEASE_MINUTES = 5;
+
+// firestore error code of a create() on a document that already exists
+const ALREADY_EXISTS_CODE = 6;
+
+/**
+ * computeNextAttemptOn ...
+ *
+ * function used to return when a failed email is retried. The wait doubles
+ * with each attempt, starting at five minutes and capped at six hours.
+ *
+ * @param {number} attempts - the number of attempts made so far
+ * @returns {string} - the ISO date of the next attempt
+ */
+export const computeNextAttemptOn = (attempts) => {
+  const waitMinutes = Math.min(
+    RETRY_BASE_MINUTES * 2 ** Math.max(attempts - 1, 0),
+    RETRY_MAX_MINUTES,
+  );
+  return dayjs().add(waitMinutes, "minute").toISOString();
+};
+
+/**
+ * enqueueEmail ...
+ *
+ * used to write the email to the outbox before it is sent, so emails that
+ * fail to send are retried instead of lost. The idempotency key, when passed
+ * in, is used as the outbox id and the write fails if the email was already
+ * queued, so a retried caller never queues the same email twice.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} email - the email, see normalizeEmailMessage, or the template and data of the email
+ * @param {Object} meta - the source, reference and idempotency key of the email, if any
+ * @returns {Object} outboxEmail - the queued outbox email
+ */
+export const enqueueEmail = async (db, email, meta = {}) => {
+  const outboxId = meta.idempotencyKey || uuidv4();
+  const outboxEmail = {
+    id: outboxId,
+    ...normalizeEmailMessage(email),
+    template: email.template || null,
+    data: email.data || null,
+    source: meta.source || null,
+    reference: meta.reference || null,
+    status: OUTBOX_STATUSES.QUEUED,
+    attempts: 0,
+    nextAttemptOn: dayjs().add(SEND_LEASE_MINUTES, "minute").toISOString(),
+    lastError: null,
+    providerResponse: null,
+    createdOn: dayjs().toISOString(),
+    updatedOn: dayjs().toISOString(),
+  };
+
+  await db.collection("emailOutbox").doc(outboxId).create(outboxEmail);
+  return outboxEmail;
+};
+
+/**
+ * deliverOutboxEmail ...
+ *
+ * used to send the outbox email and record the outcome. Failed emails are
+ * scheduled for another attempt until MAX_OUTBOX_ATTEMPTS is reached, after
+ * which they are marked as dead.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} outboxEmail - the outbox email to send
+ * @returns {Object} outboxEmail - the updated outbox email
+ */
+export const deliverOutboxEmail = async (db, outboxEmail) => {
+  const attempts = outboxEmail.attempts + 1;
+  let update;
+
+  try {
+    // emails queued with only a template are rendered when they are sent
+    const content =
+      outboxEmail.template && !outboxEmail.text
+        ? {
+            ...renderEmailTemplate(outboxEmail.template, outboxEmail.data),
+            ...(outboxEmail.subject && { subject: outboxEmail.subject }),
+          }
+        : outboxEmail;
+
+    // emails queued before the richer fields were added are normalized again
+    const providerResponse = await sendWithFailover(
+      normalizeEmailMessage({
+        ...outboxEmail,
+        subject: content.subject,
+        text: content.text,
+        html: content.html,
+      }),
+    );
+
+    update = {
+      status: OUTBOX_STATUSES.SENT,
+      providerResponse,
+      lastError: null,
+      nextAttemptOn: null,
+      sentOn: dayjs().toISOString(),
+    };
+  } catch (error) {
+    const isDead = attempts >= MAX_OUTBOX_ATTEMPTS;
+    update = {
+      status: isDead ? OUTBOX_STATUSES.DEAD : OUTBOX_STATUSES.FAILED,
+      lastError: error.failedAttempts?.length
+        ? error.failedAttempts
+        : error.message,
+      nextAttemptOn: isDead ? null : computeNextAttemptOn(attempts),
+    };
+  }
+
+  const updatedEmail = {
+    ...outboxEmail,
+    ...update,
+    attempts,
+    updatedOn: dayjs().toISOString(),
+  };
+
+  await db
+    .collection("emailOutbox")
+    .doc(outboxEmail.id)
+    .set(updatedEmail, { merge: true });
+  return updatedEmail;
+};
+
+/**
+ * queueAndSendEmail ...
+ *
+ * used to write the email to the outbox and attempt to send it right away.
+ * Does not throw when the email fails to send, the outbox worker retries it.
+ * Emails already queued with the same idempotency key are not sent again,
+ * the outbox email queued first is returned instead.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} email - the email, see normalizeEmailMessage, or the template and data of the email
+ * @param {Object} meta - the source, reference and idempotency key of the email, if any
+ * @returns {Object} outboxEmail - the outbox email after the first attempt
+ */
+export const queueAndSendEmail = async (db, email, meta = {}) => {
+  let outboxEmail;
+  try {
+    outboxEmail = await enqueueEmail(db, email, meta);
+  } catch (error) {
+    if (!meta.idempotencyKey || error.code !== ALREADY_EXISTS_CODE) {
+      throw error;
+    }
+
+    const outboxDoc = await db
+      .collection("emailOutbox")
+      .doc(meta.idempotencyKey)
+      .get();
+    return outboxDoc.data();
+  }
+  return deliverOutboxEmail(db, outboxEmail);
+};
+
+/**
+ * claimOutboxEmail ...
+ *
+ * used to claim the outbox email before it is sent, so two workers never
+ * send the same email. The claim expires after SEND_LEASE_MINUTES.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} outboxId - the id of the outbox email
+ * @param {boolean} force - true to claim dead emails and emails not yet due
+ * @returns {Object} outboxEmail - the claimed outbox email, null if it cannot be claimed
+ */
+export const claimOutboxEmail = async (db, outboxId, force = false) => {
+  const outboxRef = db.collection("emailOutbox").doc(outboxId);
+
+  return db.runTransaction(async (transaction) => {
+    const outboxDoc = await transaction.get(outboxRef);
+    if (!outboxDoc.exists) return null;
+
+    const outboxEmail = outboxDoc.data();
+    const claimableStatuses = force
+      ? [OUTBOX_STATUSES.QUEUED, OUTBOX_STATUSES.FAILED, OUTBOX_STATUSES.DEAD]
+      : [OUTBOX_STATUSES.QUEUED, OUTBOX_STATUSES.FAILED];
+
+    if (!claimableStatuses.includes(outboxEmail.status)) return null;
+    if (!force && dayjs(outboxEmail.nextAttemptOn).isAfter(dayjs())) {
+      return null;
+    }
+
+    const nextAttemptOn = dayjs()
+      .add(SEND_LEASE_MINUTES, "minute")
+      .toISOString();
+    transaction.update(outboxRef, { nextAttemptOn });
+    return { ...outboxEmail, nextAttemptOn };
+  });
+};
+
+/**
+ * fetchDueOutboxEmails ...
+ *
+ * used to return the ids of the queued and failed outbox emails that are due
+ * for another attempt, oldest first.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {number} limit - the max number of outbox emails to return
+ * @returns {Array} - the ids of the due outbox emails
+ */
+export const fetchDueOutboxEmails = async (db, limit) => {
+  const outboxSnapshot = await db
+    .collection("emailOutbox")
+    .where("status", "in", [OUTBOX_STATUSES.QUEUED, OUTBOX_STATUSES.FAILED])
+    .where("nextAttemptOn", "<=", dayjs().toISOString())
+    .orderBy("nextAttemptOn", "asc")
+    .limit(limit)
+    .get();
+
+  return outboxSnapshot.docs.map((doc) => doc.id);
+};
+
+/**
+ * fetchOutboxEmails ...
+ *
+ * used to return the outbox emails with the selected statuses, newest first.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Array} statuses - the statuses of the outbox emails
+ * @param {number} limit - the number of outbox emails to return
+ * @param {string} startAfter - the id of the last outbox email of the previous page
+ * @returns {Array} outboxEmails - the list of outbox emails
+ */
+export const fetchOutboxEmails = async (db, statuses, limit, startAfter) => {
+  let query = db
+    .collection("emailOutbox")
+    .where("status", "in", statuses)
+    .orderBy("updatedOn", "desc")
+    .limit(limit);
+
+  if (startAfter) {
+    const cursorDoc = await db.collection("emailOutbox").doc(startAfter).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const outboxSnapshot = await query.get();
+  return outboxSnapshot.docs.map((doc) => doc.data());
+};
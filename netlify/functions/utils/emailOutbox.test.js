@@ -0,0 +1,82 @@
+import { createFakeFirestore } from "./__mocks__/fakeFirestore";
+import { jest } from "@jest/globals";
+
+const sendWithFailover = jest.fn();
+jest.unstable_mockModule("./emailProviders", () => ({ sendWithFailover }));
+
+const { OUTBOX_STATUSES, enqueueEmail, queueAndSendEmail } =
+  await import("./emailOutbox");
+
+const email = {
+  to: "tenant@example.com",
+  subject: "Payment Received",
+  text: "Thank you for your payment.",
+};
+
+beforeEach(() => {
+  sendWithFailover.mockReset();
+  sendWithFailover.mockResolvedValue({ provider: "console" });
+});
+
+describe("enqueueEmail", () => {
+  test("uses the idempotency key as the outbox id", async () => {
+    const db = createFakeFirestore();
+
+    const outboxEmail = await enqueueEmail(db, email, {
+      idempotencyKey: "payment_receipt_pi_1",
+    });
+
+    expect(outboxEmail.id).toBe("payment_receipt_pi_1");
+    expect(db.collections.emailOutbox.payment_receipt_pi_1.status).toBe(
+      OUTBOX_STATUSES.QUEUED,
+    );
+  });
+
+  test("rejects an email queued with the same idempotency key", async () => {
+    const db = createFakeFirestore();
+    const meta = { idempotencyKey: "payment_receipt_pi_1" };
+
+    await enqueueEmail(db, email, meta);
+
+    await expect(enqueueEmail(db, email, meta)).rejects.toMatchObject({
+      code: 6,
+    });
+  });
+
+  test("queues emails without a key under a new id", async () => {
+    const db = createFakeFirestore();
+
+    const first = await enqueueEmail(db, email);
+    const second = await enqueueEmail(db, email);
+
+    expect(first.id).not.toBe(second.id);
+    expect(Object.keys(db.collections.emailOutbox)).toHaveLength(2);
+  });
+});
+
+describe("queueAndSendEmail", () => {
+  test("sends the email once for each idempotency key", async () => {
+    const db = createFakeFirestore();
+    const meta = { source: "test", idempotencyKey: "payment_receipt_pi_1" };
+
+    const first = await queueAndSendEmail(db, email, meta);
+    const second = await queueAndSendEmail(db, email, meta);
+
+    expect(sendWithFailover).toHaveBeenCalledTimes(1);
+    expect(first.status).toBe(OUTBOX_STATUSES.SENT);
+    expect(second).toEqual(first);
+  });
+
+  test("leaves a failed email to the outbox worker", async () => {
+    const db = createFakeFirestore();
+    const meta = { idempotencyKey: "payment_failed_pi_1" };
+    sendWithFailover.mockRejectedValue(new Error("provider down"));
+
+    await queueAndSendEmail(db, email, meta);
+    const retried = await queueAndSendEmail(db, email, meta);
+
+    expect(sendWithFailover).toHaveBeenCalledTimes(1);
+    expect(retried.status).toBe(OUTBOX_STATUSES.FAILED);
+    expect(retried.lastError).toBe("provider down");
+  });
+});
@@ -0,0 +1,213 @@
+import { v4 as uuidv4 } from "uuid";
+
+import sgMail from "@sendgrid/mail";
+import fs from "fs";
+import {
+  Attachment,
+  EmailParams,
+  MailerSend,
+  Recipient,
+  Sender,
+} from "mailersend";
+import path from "path";
+
+export const EMAIL_PROVIDERS = {
+  MAILERSEND: "mailersend",
+  SENDGRID: "sendgrid",
+  CONSOLE: "console",
+};
+
+/**
+ * providers ...
+ *
+ * each provider reports if it has the configuration it needs and sends the
+ * email, resolving with the message id of the provider. Errors are thrown
+ * so the next provider can be tried.
+ */
+const providers = {
+  [EMAIL_PROVIDERS.MAILERSEND]: {
+    isConfigured: () =>
+      Boolean(
+        process.env.MAILERSEND_API_KEY && process.env.MAILERSEND_FROM_EMAIL,
+      ),
+    send: async (email) => {
+      const mailerSend = new MailerSend({
+        apiKey: process.env.MAILERSEND_API_KEY,
+      });
+      const toRecipients = (recipients) =>
+        recipients.map(
+          ({ email, name }) => new Recipient(email, name || undefined),
+        );
+
+      const emailParams = new EmailParams()
+        .setFrom(new Sender(process.env.MAILERSEND_FROM_EMAIL))
+        .setTo(toRecipients(email.to))
+        .setSubject(email.subject);
+
+      if (email.text) emailParams.setText(email.text);
+      if (email.html) emailParams.setHtml(email.html);
+      if (email.cc.length) emailParams.setCc(toRecipients(email.cc));
+      if (email.bcc.length) emailParams.setBcc(toRecipients(email.bcc));
+      if (email.replyTo) {
+        emailParams.setReplyTo(toRecipients([email.replyTo])[0]);
+      }
+      if (email.tags.length) emailParams.setTags(email.tags);
+      if (email.attachments.length) {
+        emailParams.setAttachments(
+          email.attachments.map(
+            ({ content, filename, disposition }) =>
+              new Attachment(content, filename, disposition),
+          ),
+        );
+      }
+      // list unsubscribe has its own field, the one click post header is added by mailersend
+      const headers = { ...email.headers };
+      if (headers["List-Unsubscribe"]) {
+        emailParams.setListUnsubscribe(headers["List-Unsubscribe"]);
+      }
+      delete headers["List-Unsubscribe"];
+      delete headers["List-Unsubscribe-Post"];
+
+      // the sdk does not expose custom headers, the api accepts them as is
+      if (Object.keys(headers).length) {
+        emailParams.headers = Object.entries(headers).map(([name, value]) => ({
+          name,
+          value,
+        }));
+      }
+
+      const response = await mailerSend.email.send(emailParams);
+      return response?.headers?.["x-message-id"] || null;
+    },
+  },
+  [EMAIL_PROVIDERS.SENDGRID]: {
+    isConfigured: () =>
+      Boolean(
+        process.env.SENDGRID_API_KEY &&
+        (process.env.SENDGRID_FROM_EMAIL || process.env.MAILERSEND_FROM_EMAIL),
+      ),
+    send: async (email) => {
+      sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+      const toRecipients = (recipients) =>
+        recipients.map(({ email, name }) => (name ? { email, name } : email));
+
+      const [response] = await sgMail.send({
+        to: toRecipients(email.to),
+        ...(email.cc.length && { cc: toRecipients(email.cc) }),
+        ...(email.bcc.length && { bcc: toRecipients(email.bcc) }),
+        ...(email.replyTo && { replyTo: toRecipients([email.replyTo])[0] }),
+        from:
+          process.env.SENDGRID_FROM_EMAIL || process.env.MAILERSEND_FROM_EMAIL,
+        subject: email.subject,
+        ...(email.text && { text: email.text }),
+        ...(email.html && { html: email.html }),
+        ...(email.headers && { headers: email.headers }),
+        ...(email.tags.length && { categories: email.tags }),
+        ...(email.attachments.length && {
+          attachments: email.attachments.map((attachment) => ({
+            content: attachment.content,
+            filename: attachment.filename,
+            disposition: attachment.disposition,
+            ...(attachment.contentType && { type: attachment.contentType }),
+          })),
+        }),
+      });
+      return response?.headers?.["x-message-id"] || null;
+    },
+  },
+  [EMAIL_PROVIDERS.CONSOLE]: {
+    isConfigured: () => true,
+    send: async (email) => {
+      const messageId = `console_${uuidv4()}`;
+      const recipients = email.to.map(({ email }) => email).join(", ");
+      // eslint-disable-next-line no-console
+      console.log(`Email ${messageId} to ${recipients}: ${email.subject}`);
+      // eslint-disable-next-line no-console
+      console.log(email.text);
+
+      // writes the email to a file so the html can be opened locally
+      if (process.env.EMAIL_OUTPUT_DIR) {
+        const outputDir = path.resolve(process.env.EMAIL_OUTPUT_DIR);
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(
+          path.join(outputDir, `${messageId}.json`),
+          JSON.stringify({ messageId, ...email }, null, 2),
+        );
+      }
+      return messageId;
+    },
+  },
+};
+
+/**
+ * resolveProviderOrder ...
+ *
+ * function used to return the order the email providers are tried in. Uses
+ * the comma separated EMAIL_PROVIDERS, otherwise the console provider in
+ * development and MailerSend followed by SendGrid everywhere else.
+ *
+ * @returns {Array} - the names of the email providers
+ */
+export const resolveProviderOrder = () => {
+  if (process.env.EMAIL_PROVIDERS) {
+    return process.env.EMAIL_PROVIDERS.split(",")
+      .map((provider) => provider.trim().toLowerCase())
+      .filter((provider) => providers[provider]);
+  }
+  return process.env.DEV_ENV === "true"
+    ? [EMAIL_PROVIDERS.CONSOLE]
+    : [EMAIL_PROVIDERS.MAILERSEND, EMAIL_PROVIDERS.SENDGRID];
+};
+
+/**
+ * sendWithFailover ...
+ *
+ * function used to send the email with the first email provider that
+ * succeeds. Providers that are not configured are skipped and providers
+ * that fail are recorded before the next one is tried.
+ *
+ * @param {Object} email - the normalized email, see normalizeEmailMessage
+ * @returns {Object} result - the provider, messageId and failed attempts of the send
+ */
+export const sendWithFailover = async (email) => {
+  const failedAttempts = [];
+
+  for (const provider of resolveProviderOrder()) {
+    if (!providers[provider].isConfigured()) continue;
+
+    try {
+      const messageId = await providers[provider].send(email);
+      return { provider, messageId, failedAttempts };
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`unable to send email with ${provider}.`, error);
+      failedAttempts.push({
+        provider,
+        error: describeProviderError(error),
+      });
+    }
+  }
+
+  const error = new Error(
+    failedAttempts.length
+      ? "Failed to send email with every email provider."
+      : "No email provider is configured.",
+  );
+  error.failedAttempts = failedAttempts;
+  throw error;
+};
+
+/**
+ * describeProviderError ...
+ *
+ * function used to return a readable message from the errors thrown by the
+ * email providers. MailerSend throws the response body of the request.
+ *
+ * @param {Object} error - the error thrown by the email provider
+ * @returns {string} - the error message
+ */
+const describeProviderError = (error) =>
+  error?.message ||
+  error?.body?.message ||
+  error?.response?.body?.errors?.[0]?.message ||
+  JSON.stringify(error);
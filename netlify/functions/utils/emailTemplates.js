@@ -0,0 +1,593 @@
+import dayjs from "dayjs";
+
+export const EMAIL_TEMPLATES = {
+  RENT_REMINDER: "rent_reminder",
+  RENT_OVERDUE: "rent_overdue",
+  PAYMENT_RECEIPT: "payment_receipt",
+  PAYMENT_FAILED: "payment_failed",
+  ONBOARDING: "onboarding",
+  FRIENDLY_REMINDER: "friendly_reminder",
+  LATE_NOTICE: "late_notice",
+  OWNER_ALERT: "owner_alert",
+  OWNER_PAYMENT_FAILED: "owner_payment_failed",
+  DEPOSIT_STATEMENT: "deposit_statement",
+  LEASE_RENEWAL: "lease_renewal",
+  OWNER_LEASE_RENEWAL: "owner_lease_renewal",
+  LEASE_RENEWAL_RESPONSE: "lease_renewal_response",
+  OWNER_DIGEST: "owner_digest",
+};
+
+export const BRANDING = {
+  name: process.env.EMAIL_BRAND_NAME || "HomeHive Solutions",
+  color: process.env.EMAIL_BRAND_COLOR || "#2f6f4f",
+  footer: "This is an auto-generated email. Please do not reply to this email.",
+};
+
+const formatAmount = (amount) => `$${(Number(amount || 0) / 100).toFixed(2)}`;
+const formatDate = (date) => dayjs(date).format("MMMM D, YYYY");
+
+/**
+ * templates ...
+ *
+ * each template lists the data it requires, the sample data used for
+ * previews and builds the subject and content blocks of the email. Amounts
+ * are in cents.
+ */
+const templates = {
+  [EMAIL_TEMPLATES.RENT_REMINDER]: {
+    requiredFields: ["amount", "dueDate"],
+    sampleData: {
+      recipientName: "Jane",
+      propertyAddress: "123 Main St, Springfield",
+      amount: 125000,
+      dueDate: "2025-08-01",
+      daysUntilDue: 3,
+      isSharedLease: false,
+      actionUrl: "https://homehivesolutions.com",
+    },
+    build: (data) => ({
+      subject: `Rent Reminder: Due in ${data.daysUntilDue ?? 0} day(s)`,
+      heading: "Your rent is coming due",
+      paragraphs: [
+        `Your ${data.isSharedLease ? "remaining share of the rent" : "rent"} of ${formatAmount(data.amount)} is due on ${formatDate(data.dueDate)}.`,
+      ],
+      details: [
+        ["Property", data.propertyAddress],
+        ["Amount due", formatAmount(data.amount)],
+        ["Due date", formatDate(data.dueDate)],
+      ],
+      action: data.actionUrl && { label: "Pay rent", url: data.actionUrl },
+    }),
+  },
+  [EMAIL_TEMPLATES.RENT_OVERDUE]: {
+    requiredFields: ["amount", "dueDate"],
+    sampleData: {
+      recipientName: "Jane",
+      propertyAddress: "123 Main St, Springfield",
+      amount: 130000,
+      dueDate: "2025-08-01",
+      daysLate: 3,
+      isSharedLease: false,
+      actionUrl: "https://homehivesolutions.com",
+    },
+    build: (data) => ({
+      subject: `Rent Reminder: Overdue by ${data.daysLate ?? 0} day(s)`,
+      heading: "Your rent is overdue",
+      paragraphs: [
+        `Your ${data.isSharedLease ? "remaining share of the rent" : "rent"} of ${formatAmount(data.amount)} was due on ${formatDate(data.dueDate)}. Please pay as soon as possible.`,
+      ],
+      details: [
+        ["Property", data.propertyAddress],
+        ["Amount due", formatAmount(data.amount)],
+        ["Due date", formatDate(data.dueDate)],
+        ["Days late", data.daysLate],
+      ],
+      action: data.actionUrl && { label: "Pay rent", url: data.actionUrl },
+    }),
+  },
+  [EMAIL_TEMPLATES.PAYMENT_RECEIPT]: {
+    requiredFields: ["amount", "lineItems"],
+    sampleData: {
+      recipientName: "Jane",
+      propertyAddress: "123 Main St, Springfield",
+      amount: 127500,
+      rentMonth: "2025-08",
+      paymentStatus: "paid",
+      receiptNumber: "R-000042",
+      lineItems: [
+        { name: "Monthly Rent", amount: 125000 },
+        { name: "Card Convenience Fee", amount: 2500 },
+      ],
+    },
+    build: (data) => ({
+      subject: "Notification of payment attached.",
+      heading: "Payment received",
+      paragraphs: [
+        `We received your payment of ${formatAmount(data.amount)}${data.rentMonth ? ` for ${data.rentMonth}` : ""}.`,
+      ],
+      details: [
+        ["Receipt number", data.receiptNumber],
+        ["Property", data.propertyAddress],
+        ...[]
+          .concat(data.lineItems)
+          .map((lineItem) => [lineItem.name, formatAmount(lineItem.amount)]),
+        ["Total", formatAmount(data.amount)],
+        ["Current payment status", data.paymentStatus],
+      ],
+    }),
+  },
+  [EMAIL_TEMPLATES.PAYMENT_FAILED]: {
+    requiredFields: ["amount"],
+    sampleData: {
+      recipientName: "Jane",
+      propertyAddress: "123 Main St, Springfield",
+      amount: 125000,
+      rentMonth: "2025-08",
+      failedOn: "2025-08-01",
+      reason: "Your card has insufficient funds.",
+      actionUrl: "https://homehivesolutions.com",
+    },
+    build: (data) => ({
+      subject: "Payment Failed: Rent payment was not collected",
+      heading: "Your payment could not be collected",
+      paragraphs: [
+        `Your rent payment of ${formatAmount(data.amount)}${data.rentMonth ? ` for ${data.rentMonth}` : ""} failed${data.failedOn ? ` on ${formatDate(data.failedOn)}` : ""}.`,
+        "Please pay your rent manually or update your saved payment method.",
+      ],
+      details: [
+        ["Property", data.propertyAddress],
+        ["Amount", formatAmount(data.amount)],
+        ["Reason", data.reason || "Unknown"],
+      ],
+      action: data.actionUrl && { label: "Pay rent", url: data.actionUrl },
+    }),
+  },
+  [EMAIL_TEMPLATES.ONBOARDING]: {
+    requiredFields: [],
+    sampleData: {
+      recipientName: "Jane",
+      propertyAddress: "123 Main St, Springfield",
+      actionUrl: "https://homehivesolutions.com",
+    },
+    build: (data) => ({
+      subject: `Welcome to ${BRANDING.name}`,
+      heading: `Welcome to ${BRANDING.name}`,
+      paragraphs: [
+        data.propertyAddress
+          ? `You have been added as a tenant of ${data.propertyAddress}.`
+          : "Your account is ready.",
+        "You can pay rent, set up autopay and view your payment history from your account.",
+      ],
+      details: [],
+      action: data.actionUrl && { label: "Get started", url: data.actionUrl },
+    }),
+  },
+  [EMAIL_TEMPLATES.FRIENDLY_REMINDER]: {
+    requiredFields: ["amount", "dueDate", "daysLate"],
+    sampleData: {
+      recipientName: "Jane",
+      propertyAddress: "123 Main St, Springfield",
+      amount: 125000,
+      dueDate: "2025-08-01",
+      daysLate: 1,
+    },
+    build: (data) => ({
+      subject: `Rent Reminder: Overdue by ${data.daysLate} day(s)`,
+      heading: "A friendly reminder about your rent",
+      paragraphs: [
+        `This is a friendly reminder that your rent of ${formatAmount(data.amount)} was due on ${formatDate(data.dueDate)}.`,
+        "If you have already paid, please disregard this message.",
+      ],
+      details: [
+        ["Property", data.propertyAddress],
+        ["Amount due", formatAmount(data.amount)],
+        ["Due date", formatDate(data.dueDate)],
+      ],
+    }),
+  },
+  [EMAIL_TEMPLATES.LATE_NOTICE]: {
+    requiredFields: [
+      "amount",
+      "dueDate",
+      "daysLate",
+      "noticeDate",
+      "lineItems",
+    ],
+    sampleData: {
+      recipientName: "Jane",
+      propertyAddress: "123 Main St, Springfield",
+      amount: 130000,
+      dueDate: "2025-08-01",
+      daysLate: 5,
+      noticeDate: "2025-08-06",
+      lineItems: [
+        { name: "Monthly Rent", amount: 125000 },
+        { name: "Late Fee", amount: 5000 },
+      ],
+      amountPaid: 0,
+    },
+    build: (data) => ({
+      subject: `Late Notice: Rent overdue by ${data.daysLate} day(s)`,
+      heading: "Late notice",
+      paragraphs: [
+        `This is a formal notice that your rent${data.propertyAddress ? ` for ${data.propertyAddress}` : ""} was due on ${formatDate(data.dueDate)} and is now ${data.daysLate} day(s) late. Late fees have been applied according to your lease.`,
+        `Amount owed as of ${formatDate(data.noticeDate)} is listed below. Please pay the total due as soon as possible. Late fees continue to apply until the rent is paid.`,
+      ],
+      details: [
+        ["Property", data.propertyAddress],
+        ...[]
+          .concat(data.lineItems)
+          .map((lineItem) => [lineItem.name, formatAmount(lineItem.amount)]),
+        data.amountPaid > 0 && [
+          "Already paid",
+          `-${formatAmount(data.amountPaid)}`,
+        ],
+        ["Total due", formatAmount(data.amount)],
+      ].filter(Boolean),
+    }),
+  },
+  [EMAIL_TEMPLATES.OWNER_ALERT]: {
+    requiredFields: ["tenantEmail", "amount", "dueDate", "daysLate"],
+    sampleData: {
+      recipientName: "Sam",
+      propertyAddress: "123 Main St, Springfield",
+      tenantName: "Jane",
+      tenantEmail: "jane@example.com",
+      amount: 135000,
+      dueDate: "2025-08-01",
+      daysLate: 10,
+    },
+    build: (data) => ({
+      subject: `Owner Alert: Rent of ${data.tenantName || data.tenantEmail} is ${data.daysLate} day(s) overdue`,
+      heading: "Rent is overdue",
+      paragraphs: [
+        `The rent of ${data.tenantName || data.tenantEmail}${data.propertyAddress ? ` for ${data.propertyAddress}` : ""} was due on ${formatDate(data.dueDate)} and is now ${data.daysLate} day(s) overdue. ${formatAmount(data.amount)} is still owed, including late fees.`,
+        "Suggested next steps: contact the tenant to discuss the overdue rent, record the payment if the tenant paid outside of the app, and review the lease and local requirements before serving any formal notice.",
+      ],
+      details: [
+        ["Property", data.propertyAddress],
+        ["Tenant", data.tenantEmail],
+        ["Amount owed", formatAmount(data.amount)],
+        ["Due date", formatDate(data.dueDate)],
+      ],
+    }),
+  },
+  [EMAIL_TEMPLATES.OWNER_PAYMENT_FAILED]: {
+    requiredFields: ["tenantEmail", "amount"],
+    sampleData: {
+      recipientName: "Sam",
+      propertyAddress: "123 Main St, Springfield",
+      tenantName: "Jane",
+      tenantEmail: "jane@example.com",
+      amount: 125000,
+      rentMonth: "2025-08",
+      failedOn: "2025-08-01",
+      reason: "Your card has insufficient funds.",
+    },
+    build: (data) => ({
+      subject: "Autopay Failed: Tenant rent payment was not collected",
+      heading: "A rent payment could not be collected",
+      paragraphs: [
+        `The automatic rent payment of ${formatAmount(data.amount)} from ${data.tenantName || data.tenantEmail}${data.rentMonth ? ` for ${data.rentMonth}` : ""} failed${data.failedOn ? ` on ${formatDate(data.failedOn)}` : ""}.`,
+      ],
+      details: [
+        ["Property", data.propertyAddress],
+        ["Tenant", data.tenantEmail],
+        ["Amount", formatAmount(data.amount)],
+        ["Reason", data.reason || "Unknown"],
+      ],
+    }),
+  },
+  [EMAIL_TEMPLATES.DEPOSIT_STATEMENT]: {
+    requiredFields: ["depositAmount", "deductions", "refundedAmount"],
+    sampleData: {
+      recipientName: "Jane",
+      propertyAddress: "123 Main St, Springfield",
+      depositAmount: 150000,
+      deductions: [{ description: "Carpet cleaning", amount: 20000 }],
+      refundedAmount: 130000,
+    },
+    build: (data) => ({
+      subject: "Security Deposit Statement",
+      heading: "Your security deposit statement",
+      paragraphs: [
+        `Below is the itemized statement of your security deposit${data.propertyAddress ? ` for ${data.propertyAddress}` : ""}.`,
+        "Any returned amount is refunded to the original payment method.",
+      ],
+      details: [
+        ["Property", data.propertyAddress],
+        ["Security deposit", formatAmount(data.depositAmount)],
+        ...(data.deductions.length
+          ? data.deductions.map((deduction) => [
+              deduction.description,
+              `-${formatAmount(deduction.amount)}`,
+            ])
+          : [["Deductions", "None"]]),
+        [
+          "Total deductions",
+          formatAmount(data.depositAmount - data.refundedAmount),
+        ],
+        ["Amount returned", formatAmount(data.refundedAmount)],
+      ],
+    }),
+  },
+  [EMAIL_TEMPLATES.LEASE_RENEWAL]: {
+    requiredFields: ["endDate", "daysUntilEnd", "actionUrl"],
+    sampleData: {
+      recipientName: "Jane",
+      propertyAddress: "123 Main St, Springfield",
+      endDate: "2025-12-31",
+      daysUntilEnd: 60,
+      actionUrl: "https://homehivesolutions.com",
+    },
+    build: (data) => ({
+      subject: `Lease Renewal: Your lease ends in ${data.daysUntilEnd} day(s)`,
+      heading: "Your lease is ending soon",
+      paragraphs: [
+        `Your lease ends on ${formatDate(data.endDate)}. Please let your property owner know if you plan to renew your lease or move out.`,
+      ],
+      details: [
+        ["Property", data.propertyAddress],
+        ["Lease end date", formatDate(data.endDate)],
+      ],
+      action: { label: "Respond", url: data.actionUrl },
+    }),
+  },
+  [EMAIL_TEMPLATES.OWNER_LEASE_RENEWAL]: {
+    requiredFields: ["tenantEmail", "endDate", "daysUntilEnd"],
+    sampleData: {
+      recipientName: "Sam",
+      propertyAddress: "123 Main St, Springfield",
+      tenantName: "Jane",
+      tenantEmail: "jane@example.com",
+      endDate: "2025-12-31",
+      daysUntilEnd: 60,
+      willRenew: null,
+    },
+    build: (data) => ({
+      subject: `Lease Renewal: Lease of ${data.tenantName || data.tenantEmail} ends in ${data.daysUntilEnd} day(s)`,
+      heading: "A lease is ending soon",
+      paragraphs: [
+        `The lease of ${data.tenantName || data.tenantEmail}${data.propertyAddress ? ` for ${data.propertyAddress}` : ""} ends on ${formatDate(data.endDate)}.`,
+        typeof data.willRenew === "boolean"
+          ? `The tenant has responded that they will ${data.willRenew ? "renew" : "move out"}.`
+          : "The tenant has been asked if they plan to renew or move out.",
+      ],
+      details: [
+        ["Property", data.propertyAddress],
+        ["Tenant", data.tenantEmail],
+        ["Lease end date", formatDate(data.endDate)],
+      ],
+    }),
+  },
+  [EMAIL_TEMPLATES.LEASE_RENEWAL_RESPONSE]: {
+    requiredFields: ["tenantEmail", "endDate", "willRenew"],
+    sampleData: {
+      recipientName: "Sam",
+      propertyAddress: "123 Main St, Springfield",
+      tenantName: "Jane",
+      tenantEmail: "jane@example.com",
+      endDate: "2025-12-31",
+      willRenew: true,
+    },
+    build: (data) => ({
+      subject: `Lease Renewal: ${data.tenantName || data.tenantEmail} has responded`,
+      heading: "A tenant responded to the renewal notice",
+      paragraphs: [
+        `${data.tenantName || data.tenantEmail} has responded that they plan to ${data.willRenew ? "renew their lease" : "move out"} when their lease${data.propertyAddress ? ` for ${data.propertyAddress}` : ""} ends on ${formatDate(data.endDate)}.`,
+      ],
+      details: [
+        ["Property", data.propertyAddress],
+        ["Tenant", data.tenantEmail],
+        ["Lease end date", formatDate(data.endDate)],
+      ],
+    }),
+  },
+  [EMAIL_TEMPLATES.OWNER_DIGEST]: {
+    requiredFields: ["period", "upcomingDays", "properties", "payments"],
+    sampleData: {
+      recipientName: "Sam",
+      period: "Weekly",
+      upcomingDays: 7,
+      properties: [
+        {
+          address: "123 Main St, Springfield",
+          tenants: [
+            {
+              email: "jane@example.com",
+              upcoming: { amount: 125000, dueDate: "2025-08-01" },
+              overdueBalance: 0,
+            },
+          ],
+        },
+      ],
+      payments: [
+        {
+          tenantEmail: "john@example.com",
+          amount: 90000,
+          createdOn: "2025-07-28",
+          description: "Stripe payment",
+        },
+      ],
+      failedPayments: [],
+    },
+    build: (data) => {
+      const dues = data.properties.flatMap((property) =>
+        property.tenants.map((tenant) => [
+          `${property.address} - ${tenant.email}`,
+          [
+            tenant.upcoming &&
+              `${formatAmount(tenant.upcoming.amount)} due on ${formatDate(tenant.upcoming.dueDate)}`,
+            tenant.overdueBalance > 0 &&
+              `${formatAmount(tenant.overdueBalance)} overdue`,
+          ]
+            .filter(Boolean)
+            .join(", "),
+        ]),
+      );
+      const payments = data.payments.map((payment) => [
+        `Received from ${payment.tenantEmail}`,
+        `${formatAmount(payment.amount)} on ${formatDate(payment.createdOn)} (${payment.description})`,
+      ]);
+      const failedPayments = (data.failedPayments || []).map((payment) => [
+        `Failed from ${payment.tenantEmail}`,
+        `${formatAmount(payment.amount)} for ${payment.rentMonth} (${payment.reason || "Unknown"})`,
+      ]);
+
+      return {
+        subject: `${data.period} Rent Digest`,
+        heading: `${data.period} rent digest`,
+        paragraphs: [
+          `Here is your ${data.period.toLowerCase()} summary of rent across your properties, including rent due in the next ${data.upcomingDays} day(s) and overdue balances.`,
+          dues.length || payments.length || failedPayments.length
+            ? "Payments received and failed payments since your last digest are listed after the rent that is due."
+            : "Nothing is due and no payments were made since your last digest.",
+        ],
+        details: [...dues, ...payments, ...failedPayments],
+      };
+    },
+  },
+};
+
+/**
+ * escapeHtml ...
+ *
+ * function used to escape the values placed into the html of the email.
+ *
+ * @param {any} value - the value to escape
+ * @returns {string} - the escaped value
+ */
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * renderLayout ...
+ *
+ * function used to render the content blocks of a template within the
+ * shared branded layout. Details without a value are left out.
+ *
+ * @param {Object} content - the heading, paragraphs, details and action of the email
+ * @param {string} recipientName - the name used to greet the recipient
+ * @returns {Object} - the html and text versions of the email
+ */
+const renderLayout = (content, recipientName) => {
+  const greeting = `Hi ${recipientName || "there"},`;
+  const details = content.details.filter(
+    ([, value]) => value !== undefined && value !== null && value !== "",
+  );
+
+  const text = [
+    greeting,
+    ...content.paragraphs,
+    details.map(([label, value]) => `${label}: ${value}`).join("\n"),
+    content.action && `${content.action.label}: ${content.action.url}`,
+    `Thank you,\n${BRANDING.name}`,
+    BRANDING.footer,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:0;background:#f4f4f4;font-family:Arial,Helvetica,sans-serif;color:#333333;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+      <tr>
+        <td align="center">
+          <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;overflow:hidden;">
+            <tr>
+              <td style="background:${BRANDING.color};color:#ffffff;padding:20px 24px;font-size:20px;font-weight:bold;">${escapeHtml(BRANDING.name)}</td>
+            </tr>
+            <tr>
+              <td style="padding:24px;">
+                <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(content.heading)}</h1>
+                <p style="margin:0 0 12px;">${escapeHtml(greeting)}</p>
+                ${content.paragraphs.map((paragraph) => `<p style="margin:0 0 12px;">${escapeHtml(paragraph)}</p>`).join("\n                ")}
+                ${
+                  details.length
+                    ? `<table role="presentation" width="100%" cellpadding="6" cellspacing="0" style="margin:16px 0;border-top:1px solid #e5e5e5;">
+                  ${details.map(([label, value]) => `<tr><td style="border-bottom:1px solid #e5e5e5;color:#666666;">${escapeHtml(label)}</td><td align="right" style="border-bottom:1px solid #e5e5e5;">${escapeHtml(value)}</td></tr>`).join("\n                  ")}
+                </table>`
+                    : ""
+                }
+                ${
+                  content.action
+                    ? `<p style="margin:24px 0;"><a href="${escapeHtml(content.action.url)}" style="background:${BRANDING.color};color:#ffffff;padding:12px 20px;border-radius:4px;text-decoration:none;">${escapeHtml(content.action.label)}</a></p>`
+                    : ""
+                }
+                <p style="margin:24px 0 0;">Thank you,<br />${escapeHtml(BRANDING.name)}</p>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:16px 24px;font-size:12px;color:#999999;">${escapeHtml(BRANDING.footer)}</td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+  return { html, text };
+};
+
+/**
+ * validateTemplateData ...
+ *
+ * function used to validate the template name and the data passed in to
+ * render the template.
+ *
+ * @param {string} templateName - the name of the template
+ * @param {Object} data - the data of the template
+ * @returns {string} error - the validation error, null if valid
+ */
+export const validateTemplateData = (templateName, data) => {
+  const template = templates[templateName];
+  if (!template) {
+    return `'template' must be one of ${Object.values(EMAIL_TEMPLATES).join(", ")}`;
+  }
+  if (data !== undefined && (data === null || typeof data !== "object")) {
+    return "'data' must be an object";
+  }
+
+  const missingFields = template.requiredFields.filter(
+    (field) => data?.[field] === undefined || data?.[field] === null,
+  );
+  if (missingFields.length > 0) {
+    return `Missing required template data: ${missingFields.map((field) => `'${field}'`).join(", ")}`;
+  }
+  return null;
+};
+
+/**
+ * renderEmailTemplate ...
+ *
+ * function used to render the subject, plain text and html of the selected
+ * template. The data must be valid for the template.
+ *
+ * @param {string} templateName - the name of the template
+ * @param {Object} data - the data of the template
+ * @returns {Object} email - the subject, text and html of the email
+ */
+export const renderEmailTemplate = (templateName, data = {}) => {
+  const validationError = validateTemplateData(templateName, data);
+  if (validationError) throw new Error(validationError);
+
+  const { subject, ...content } = templates[templateName].build(data);
+  return { subject, ...renderLayout(content, data.recipientName) };
+};
+
+/**
+ * fetchTemplateSampleData ...
+ *
+ * function used to return the sample data of the template used for previews.
+ *
+ * @param {string} templateName - the name of the template
+ * @returns {Object} data - the sample data, null if the template does not exist
+ */
+export const fetchTemplateSampleData = (templateName) =>
+  templates[templateName]?.sampleData || null;
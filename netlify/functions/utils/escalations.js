@@ -0,0 +1,221 @@
+import dayjs from "dayjs";
+
+import { EMAIL_TEMPLATES } from "./emailTemplates";
+
+export const ESCALATION_STAGES = {
+  FRIENDLY_REMINDER: "friendly_reminder",
+  LATE_NOTICE: "late_notice",
+  OWNER_ALERT: "owner_alert",
+};
+
+// formal late notices are legally required and ignore notification preferences
+export const REQUIRED_ESCALATION_STAGES = [ESCALATION_STAGES.LATE_NOTICE];
+
+export const DEFAULT_ESCALATION_POLICY = {
+  enabled: true,
+  stages: [
+    { stage: ESCALATION_STAGES.FRIENDLY_REMINDER, afterDueDays: 1 },
+    { stage: ESCALATION_STAGES.LATE_NOTICE, afterDueDays: 5 },
+    { stage: ESCALATION_STAGES.OWNER_ALERT, afterDueDays: 10 },
+  ],
+};
+
+const MAX_ESCALATION_DAYS = 60;
+
+/**
+ * resolveEscalationPolicy ...
+ *
+ * function used to return the escalation policy of a lease. The policy of
+ * the lease overrides the policy of the property, and leases without either
+ * follow the default escalation policy.
+ *
+ * @param {Object} property - the property record
+ * @param {Object} tenant - the tenant record
+ * @returns {Object} policy - the enabled flag and the stages of the policy
+ */
+export const resolveEscalationPolicy = (property, tenant) => {
+  const policy =
+    tenant?.escalationPolicy ||
+    property?.escalationPolicy ||
+    DEFAULT_ESCALATION_POLICY;
+
+  return {
+    enabled: policy.enabled !== false,
+    stages: policy.stages || [],
+  };
+};
+
+/**
+ * validateEscalationPolicy ...
+ *
+ * function used to validate the escalation policy passed in by the owner.
+ * Each stage can only be used once and stages must be listed in the order
+ * they are reached.
+ *
+ * @param {Object} policy - the enabled flag and the stages of the policy
+ * @returns {string} error - the validation error, null if policy is valid
+ */
+export const validateEscalationPolicy = (policy) => {
+  if (!policy || typeof policy !== "object") {
+    return "Missing required field: 'escalationPolicy'";
+  }
+  if (typeof policy.enabled !== "boolean") {
+    return "'escalationPolicy.enabled' must be either true or false";
+  }
+  if (!Array.isArray(policy.stages)) {
+    return "'escalationPolicy.stages' must be a list of stages";
+  }
+
+  const stageNames = Object.values(ESCALATION_STAGES);
+  for (const [index, stage] of policy.stages.entries()) {
+    if (!stageNames.includes(stage?.stage)) {
+      return `'escalationPolicy.stages[${index}].stage' must be one of ${stageNames.join(", ")}`;
+    }
+    if (
+      !Number.isInteger(stage.afterDueDays) ||
+      stage.afterDueDays < 1 ||
+      stage.afterDueDays > MAX_ESCALATION_DAYS
+    ) {
+      return `'escalationPolicy.stages[${index}].afterDueDays' must be a whole number between 1 and ${MAX_ESCALATION_DAYS}`;
+    }
+
+    const previousStages = policy.stages.slice(0, index);
+    if (previousStages.some((previous) => previous.stage === stage.stage)) {
+      return `'escalationPolicy.stages[${index}].stage' is already used`;
+    }
+    if (
+      previousStages.some(
+        (previous) => previous.afterDueDays >= stage.afterDueDays,
+      )
+    ) {
+      return `'escalationPolicy.stages[${index}].afterDueDays' must be after the previous stages`;
+    }
+  }
+  return null;
+};
+
+/**
+ * findEscalationStage ...
+ *
+ * function used to find the next stage the overdue rent has reached. Stages
+ * are only sent once per rent month, so stages the tenant already went
+ * through are skipped. When several stages are reached at once, only the
+ * latest one is returned.
+ *
+ * @param {Object} policy - the escalation policy of the lease
+ * @param {number} daysLate - the number of days past the due date
+ * @param {Object} progress - the escalation progress stored with the tenant
+ * @param {string} rentMonth - the rent month that is overdue. Eg, 2025-08
+ * @returns {Object} stage - the stage, afterDueDays and index of the stage, null if none is due
+ */
+export const findEscalationStage = (policy, daysLate, progress, rentMonth) => {
+  if (!policy.enabled || daysLate < 1) return null;
+
+  const lastStageIndex =
+    progress?.rentMonth === rentMonth ? progress.stageIndex : -1;
+
+  let index = -1;
+  policy.stages.forEach((stage, stageIndex) => {
+    if (stage.afterDueDays <= daysLate) index = stageIndex;
+  });
+  if (index === -1 || index <= lastStageIndex) return null;
+
+  return { ...policy.stages[index], index };
+};
+
+/**
+ * buildEscalationNotice ...
+ *
+ * function used to build the notice of the escalation stage. The friendly
+ * reminder goes to the tenant, the late notice goes to the tenant with the
+ * owner copied and lists the late fees, and the owner alert only goes to the
+ * owner with suggested next steps. All amounts are in cents.
+ *
+ * @param {Object} stage - the escalation stage that is due
+ * @param {Object} notice - the tenant, owner, property, dueDate, daysLate, charges, amountPaid and amountDue of the notice
+ * @returns {Object} notice - the template, template data and recipients of the notice
+ */
+export const buildEscalationNotice = (stage, notice) => {
+  const { tenant, owner, property, daysLate } = notice;
+  const dueDate = dayjs(notice.dueDate).format("YYYY-MM-DD");
+  const propertyAddress = property.address || property.name || property.id;
+
+  if (stage.stage === ESCALATION_STAGES.FRIENDLY_REMINDER) {
+    return {
+      template: EMAIL_TEMPLATES.FRIENDLY_REMINDER,
+      templateData: {
+        recipientName: tenant.name,
+        propertyAddress,
+        amount: notice.amountDue,
+        dueDate,
+        daysLate,
+      },
+      recipients: [tenant.email],
+    };
+  }
+
+  if (stage.stage === ESCALATION_STAGES.LATE_NOTICE) {
+    return {
+      template: EMAIL_TEMPLATES.LATE_NOTICE,
+      templateData: {
+        recipientName: tenant.name,
+        propertyAddress,
+        amount: notice.amountDue,
+        dueDate,
+        daysLate,
+        noticeDate: notice.noticeDate,
+        lineItems: notice.charges.lineItems,
+        amountPaid: notice.amountPaid,
+      },
+      recipients: [tenant.email, owner?.email].filter(Boolean),
+    };
+  }
+
+  return {
+    template: EMAIL_TEMPLATES.OWNER_ALERT,
+    templateData: {
+      recipientName: owner?.name,
+      propertyAddress,
+      tenantName: tenant.name,
+      tenantEmail: tenant.email,
+      amount: notice.amountDue,
+      dueDate,
+      daysLate,
+    },
+    recipients: [owner?.email].filter(Boolean),
+  };
+};
+
+/**
+ * recordEscalationNotice ...
+ *
+ * used to store the dated notice of the escalation stage for record keeping
+ * and to move the tenant to the stage, so the stage is not sent again for
+ * the same rent month.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} tenantDoc - the tenant document
+ * @param {Object} notice - the escalation notice that was sent
+ * @returns {Object} notice - the stored notice
+ */
+export const recordEscalationNotice = async (db, tenantDoc, notice) => {
+  const noticeId = `${notice.tenantId}_${notice.rentMonth}_${notice.stage}`;
+  const draftNotice = {
+    id: noticeId,
+    ...notice,
+    createdOn: dayjs().toISOString(),
+  };
+
+  await db.collection("notices").doc(noticeId).set(draftNotice);
+  await tenantDoc.ref.update({
+    escalation: {
+      rentMonth: notice.rentMonth,
+      stage: notice.stage,
+      stageIndex: notice.stageIndex,
+      noticeId,
+      updatedOn: dayjs().toISOString(),
+    },
+  });
+
+  return draftNotice;
+};
@@ -0,0 +1,68 @@
+import admin from "firebase-admin";
+import fs from "fs";
+import path from "path";
+
+const isLocalDevTestEnv = process.env.DEV_ENV === "true";
+
+/**
+ * initializeFirebase ...
+ *
+ * utility function used to init the db based on the user
+ * feature flags. Uses service account in conjunction.
+ *
+ * @returns {Object} db - the firestore instance with admin privileges
+ */
+export const initializeFirebase = () => {
+  if (!admin.apps.length) {
+    if (isLocalDevTestEnv) {
+      // eslint-disable-next-line no-console
+      console.log("Running in DEV_ENV");
+      const serviceAccountPath = path.resolve("./dev/account.json");
+      const serviceAccount = JSON.parse(
+        fs.readFileSync(serviceAccountPath, "utf8"),
+      );
+
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+      });
+    } else {
+      admin.initializeApp({
+        credential: admin.credential.cert({
+          projectId: process.env["FIREBASE_ADMIN_PROJECT_ID"],
+          clientEmail: process.env["FIREBASE_ADMIN_CLIENT_EMAIL"],
+          privateKey: process.env.FIREBASE_ADMIN_PRIVATE_KEY.replace(
+            /\\n/gm,
+            "\n",
+          ).replace(/\\\\n/gm, "\n"),
+        }),
+      });
+    }
+  }
+
+  return admin.firestore();
+};
+
+/**
+ * verifyUserToken ...
+ *
+ * used to verify the firebase id token passed in as the bearer token
+ * of the authorization header. firebase must be initialized before use.
+ *
+ * @param {Object} event - the event payload passed from Netlify function
+ * @returns {Object} decodedToken - the decoded token of the caller, null if invalid
+ */
+export const verifyUserToken = async (event) => {
+  const authorization =
+    event.headers?.authorization || event.headers?.Authorization;
+  const [scheme, idToken] = authorization?.split(" ") || [];
+
+  if (scheme !== "Bearer" || !idToken) return null;
+
+  try {
+    return await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("unable to verify user token.", error.message);
+    return null;
+  }
+};
@@ -0,0 +1,135 @@
+import { formatRentMonth } from "./utils";
+
+/**
+ * fetchPropertyDoc ...
+ *
+ * used to return the property document that has not been deleted for
+ * the selected property id. Used when the property must be updated.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} propertyId - the unique id of the property
+ * @returns {Object} propertyDoc - the property document, null if not found
+ */
+export const fetchPropertyDoc = async (db, propertyId) => {
+  const propertySnapshot = await db
+    .collection("properties")
+    .where("isDeleted", "==", false)
+    .where("id", "==", propertyId)
+    .limit(1)
+    .get();
+
+  return propertySnapshot.empty ? null : propertySnapshot.docs[0];
+};
+
+/**
+ * fetchPropertyById ...
+ *
+ * used to return the property that has not been deleted for the
+ * selected property id.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} propertyId - the unique id of the property
+ * @returns {Object} propertyData - the property data, null if not found
+ */
+export const fetchPropertyById = async (db, propertyId) => {
+  const propertyDoc = await fetchPropertyDoc(db, propertyId);
+  return propertyDoc ? propertyDoc.data() : null;
+};
+
+/**
+ * fetchOwnerDetails ...
+ *
+ * used to return the user profile of the property owner. The profile
+ * holds the connected stripe account id of the owner.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} ownerId - the unique id of the property owner
+ * @returns {Object} ownerData - the user profile, null if not found
+ */
+export const fetchOwnerDetails = async (db, ownerId) => {
+  const ownerDoc = await db.collection("users").doc(ownerId).get();
+  return ownerDoc.exists ? ownerDoc.data() : null;
+};
+
+/**
+ * fetchTenantDoc ...
+ *
+ * used to return the tenant document for the selected tenant id. Used
+ * when the tenant must be updated.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} tenantId - the unique id of the tenant
+ * @returns {Object} tenantDoc - the tenant document, null if not found
+ */
+export const fetchTenantDoc = async (db, tenantId) => {
+  const tenantSnapshot = await db
+    .collection("tenants")
+    .where("id", "==", tenantId)
+    .limit(1)
+    .get();
+
+  return tenantSnapshot.empty ? null : tenantSnapshot.docs[0];
+};
+
+/**
+ * fetchTenantById ...
+ *
+ * used to return the tenant record for the selected tenant id.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} tenantId - the unique id of the tenant
+ * @returns {Object} tenantData - the tenant data, null if not found
+ */
+export const fetchTenantById = async (db, tenantId) => {
+  const tenantDoc = await fetchTenantDoc(db, tenantId);
+  return tenantDoc ? tenantDoc.data() : null;
+};
+
+/**
+ * fetchActiveLease ...
+ *
+ * used to return the tenant and property for a lease. re-enforce validation.
+ * Tenant must be active and must be a rentee within the selected property.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} tenantId - the unique id of the tenant
+ * @param {string} propertyId - the unique id of the property
+ * @returns {Object} lease - the tenant and property data, null if not an active lease
+ */
+export const fetchActiveLease = async (db, tenantId, propertyId) => {
+  const tenant = await fetchTenantById(db, tenantId);
+  if (!tenant?.isActive || tenant.propertyId !== propertyId) return null;
+
+  const property = await fetchPropertyById(db, propertyId);
+  if (!property?.rentees?.includes(tenant.email)) return null;
+
+  return { tenant, property };
+};
+
+/**
+ * fetchRentDetails ...
+ *
+ * used to return the rent records of the tenant for the selected rent month.
+ * Rent months are matched by month as they are stored in different formats.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} propertyId - the unique id of the property
+ * @param {string} tenantId - the unique id of the tenant
+ * @param {string} rentMonth - the rent month
+ * @returns {Array} rentData - the list of rent records for the month
+ */
+export const fetchRentDetails = async (db, propertyId, tenantId, rentMonth) => {
+  const rentSnapshot = await db
+    .collection("rents")
+    .where("propertyId", "==", propertyId)
+    .where("tenantId", "==", tenantId)
+    .get();
+
+  return rentSnapshot.docs
+    .map((doc) => doc.data())
+    .filter(
+      (rent) =>
+        rent.rentMonth &&
+        formatRentMonth(rent.rentMonth) === formatRentMonth(rentMonth),
+    );
+};
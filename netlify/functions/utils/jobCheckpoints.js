@@ -0,0 +1,91 @@
+import dayjs from "dayjs";
+
+/**
+ * fetchJobCheckpoint ...
+ *
+ * used to return the checkpoint of a scheduled job run.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} checkpointId - the id of the job run. Eg, send_automatic_reminders_2025-08-01
+ * @returns {Object} checkpoint - the checkpoint of the run, null if the run has not started
+ */
+export const fetchJobCheckpoint = async (db, checkpointId) => {
+  const checkpointDoc = await db
+    .collection("jobCheckpoints")
+    .doc(checkpointId)
+    .get();
+  return checkpointDoc.exists ? checkpointDoc.data() : null;
+};
+
+/**
+ * fetchJobCheckpointResults ...
+ *
+ * used to return the results of a job run with the selected status, in the
+ * order of their ids.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} checkpointId - the id of the job run
+ * @param {string} status - the status of the results. Eg, failed
+ * @param {number} limit - the number of results to return
+ * @param {string} startAfter - the id of the last result of the previous page
+ * @returns {Array} results - the id, status and reason of each item
+ */
+export const fetchJobCheckpointResults = async (
+  db,
+  checkpointId,
+  status,
+  limit,
+  startAfter,
+) => {
+  let query = db
+    .collection("jobCheckpoints")
+    .doc(checkpointId)
+    .collection("results")
+    .where("status", "==", status)
+    .orderBy("id")
+    .limit(limit);
+
+  if (startAfter) query = query.startAfter(startAfter);
+
+  const resultSnapshot = await query.get();
+  return resultSnapshot.docs.map((doc) => doc.data());
+};
+
+/**
+ * saveJobCheckpoint ...
+ *
+ * used to save the progress of a scheduled job run along with the result of
+ * each item processed in the last batch, so a run that times out can pick
+ * up where it stopped.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} checkpointId - the id of the job run
+ * @param {Object} checkpoint - the jobName, runDate, cursor, totals and complete flag of the run
+ * @param {Array} results - the id, status and reason of each item in the batch
+ * @returns {Object} checkpoint - the saved checkpoint
+ */
+export const saveJobCheckpoint = async (
+  db,
+  checkpointId,
+  checkpoint,
+  results,
+) => {
+  const checkpointRef = db.collection("jobCheckpoints").doc(checkpointId);
+  const draftCheckpoint = {
+    id: checkpointId,
+    ...checkpoint,
+    updatedOn: dayjs().toISOString(),
+  };
+
+  const batch = db.batch();
+  batch.set(checkpointRef, draftCheckpoint, { merge: true });
+  results.forEach((result) =>
+    batch.set(checkpointRef.collection("results").doc(result.id), {
+      ...result,
+      updatedOn: draftCheckpoint.updatedOn,
+    }),
+  );
+  await batch.commit();
+
+  return draftCheckpoint;
+};
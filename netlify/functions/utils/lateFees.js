@@ -0,0 +1,180 @@
+import dayjs from "dayjs";
+
+import { toCents } from "./utils";
+
+export const MAX_LATE_FEE_TYPES = {
+  FLAT: "flat",
+  PERCENTAGE: "percentage",
+};
+
+/**
+ * resolveLateFeeRules ...
+ *
+ * function used to build the late fee rules of a lease in cents. Rules are
+ * configured by the owner per property in dollars. Leases without property
+ * rules fall back to the late fees stored with the tenant.
+ *
+ * @param {Object} property - the property record
+ * @param {Object} tenant - the tenant record
+ * @returns {Object} rules - the late fee rules with amounts in cents
+ */
+export const resolveLateFeeRules = (property, tenant) => {
+  const rules = property?.lateFeeRules;
+
+  if (!rules) {
+    return {
+      gracePeriodDays: 0,
+      initialLateFee: toCents(tenant?.initial_late_fee),
+      dailyLateFee: toCents(tenant?.daily_late_fee),
+      maxLateFee: null,
+    };
+  }
+
+  return {
+    gracePeriodDays: Number(rules.gracePeriodDays || 0),
+    initialLateFee: toCents(rules.initialLateFee),
+    dailyLateFee: toCents(rules.dailyLateFee),
+    maxLateFee: rules.maxLateFee
+      ? {
+          type: rules.maxLateFee.type,
+          value:
+            rules.maxLateFee.type === MAX_LATE_FEE_TYPES.PERCENTAGE
+              ? Number(rules.maxLateFee.value)
+              : toCents(rules.maxLateFee.value),
+        }
+      : null,
+  };
+};
+
+/**
+ * isAmount ...
+ *
+ * function used to determine if the value is a finite number. Types are
+ * checked before ranges so strings are never compared as numbers.
+ *
+ * @param {any} value - the value passed in by the owner
+ * @returns {boolean} - true if the value is a finite number
+ */
+const isAmount = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * validateLateFeeRules ...
+ *
+ * function used to validate the late fee rules passed in by the owner.
+ *
+ * @param {Object} rules - the late fee rules with amounts in dollars
+ * @returns {string} error - the validation error, null if rules are valid
+ */
+export const validateLateFeeRules = (rules) => {
+  if (!rules || typeof rules !== "object") {
+    return "Missing required field: 'lateFeeRules'";
+  }
+
+  const { gracePeriodDays, initialLateFee, dailyLateFee, maxLateFee } = rules;
+
+  if (!Number.isInteger(gracePeriodDays)) {
+    return "'gracePeriodDays' must be a whole number of days";
+  }
+  if (gracePeriodDays < 0 || gracePeriodDays > 31) {
+    return "'gracePeriodDays' must be between 0 and 31";
+  }
+  if (!isAmount(initialLateFee)) {
+    return "'initialLateFee' must be a number";
+  }
+  if (initialLateFee < 0) {
+    return "'initialLateFee' must be zero or more";
+  }
+  if (!isAmount(dailyLateFee)) {
+    return "'dailyLateFee' must be a number";
+  }
+  if (dailyLateFee < 0) {
+    return "'dailyLateFee' must be zero or more";
+  }
+  if (maxLateFee) {
+    if (!Object.values(MAX_LATE_FEE_TYPES).includes(maxLateFee.type)) {
+      return "'maxLateFee.type' must be either 'flat' or 'percentage'";
+    }
+    if (!isAmount(maxLateFee.value)) {
+      return "'maxLateFee.value' must be a number";
+    }
+    if (maxLateFee.value < 0) {
+      return "'maxLateFee.value' must be zero or more";
+    }
+    if (
+      maxLateFee.type === MAX_LATE_FEE_TYPES.PERCENTAGE &&
+      maxLateFee.value > 100
+    ) {
+      return "'maxLateFee.value' cannot exceed 100 percent";
+    }
+  }
+  return null;
+};
+
+/**
+ * computeLateFee ...
+ *
+ * function used to compute the late fee owed on a selected date. The initial
+ * fee is charged on the first day after the grace period ends and the daily
+ * fee accrues for every day after that. The total is limited by the maximum
+ * late fee of the lease, if any.
+ *
+ * @param {Object} rules - the late fee rules with amounts in cents
+ * @param {number} rentAmount - the monthly rent in cents, used for percentage caps
+ * @param {Object} dueDate - the dayjs due date of the rent
+ * @param {Object} asOf - the dayjs date the late fee is computed for
+ * @returns {Object} lateFee - the itemized late fee in cents
+ */
+export const computeLateFee = (rules, rentAmount, dueDate, asOf = dayjs()) => {
+  const daysPastDue = Math.max(
+    asOf.startOf("day").diff(dueDate.startOf("day"), "day"),
+    0,
+  );
+  const daysLate = Math.max(daysPastDue - rules.gracePeriodDays, 0);
+
+  if (daysLate === 0) {
+    return {
+      daysLate,
+      initialLateFee: 0,
+      dailyLateFee: 0,
+      totalLateFee: 0,
+      isCapped: false,
+    };
+  }
+
+  let initialLateFee = rules.initialLateFee;
+  let dailyLateFee = rules.dailyLateFee * (daysLate - 1);
+
+  const maxLateFee = computeMaxLateFee(rules.maxLateFee, rentAmount);
+  const isCapped =
+    maxLateFee !== null && initialLateFee + dailyLateFee > maxLateFee;
+
+  if (isCapped) {
+    initialLateFee = Math.min(initialLateFee, maxLateFee);
+    dailyLateFee = maxLateFee - initialLateFee;
+  }
+
+  return {
+    daysLate,
+    initialLateFee,
+    dailyLateFee,
+    totalLateFee: initialLateFee + dailyLateFee,
+    isCapped,
+  };
+};
+
+/**
+ * computeMaxLateFee ...
+ *
+ * function used to compute the maximum late fee in cents.
+ *
+ * @param {Object} maxLateFee - the flat or percentage cap of the lease
+ * @param {number} rentAmount - the monthly rent in cents
+ * @returns {number} - the maximum late fee in cents, null if there is no cap
+ */
+const computeMaxLateFee = (maxLateFee, rentAmount) => {
+  if (!maxLateFee) return null;
+  if (maxLateFee.type === MAX_LATE_FEE_TYPES.PERCENTAGE) {
+    return Math.round((rentAmount * maxLateFee.value) / 100);
+  }
+  return maxLateFee.value;
+};
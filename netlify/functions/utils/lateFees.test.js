@@ -0,0 +1,207 @@
+import dayjs from "dayjs";
+
+import {
+  MAX_LATE_FEE_TYPES,
+  computeLateFee,
+  resolveLateFeeRules,
+  validateLateFeeRules,
+} from "./lateFees";
+
+const dueDate = dayjs("2025-03-01");
+const rules = {
+  gracePeriodDays: 3,
+  initialLateFee: 5000,
+  dailyLateFee: 1000,
+  maxLateFee: null,
+};
+
+describe("resolveLateFeeRules", () => {
+  test("converts the property rules to cents", () => {
+    const property = {
+      lateFeeRules: {
+        gracePeriodDays: "5",
+        initialLateFee: 50,
+        dailyLateFee: 10.5,
+        maxLateFee: { type: MAX_LATE_FEE_TYPES.FLAT, value: 200 },
+      },
+    };
+
+    expect(resolveLateFeeRules(property, {})).toEqual({
+      gracePeriodDays: 5,
+      initialLateFee: 5000,
+      dailyLateFee: 1050,
+      maxLateFee: { type: MAX_LATE_FEE_TYPES.FLAT, value: 20000 },
+    });
+  });
+
+  test("keeps percentage caps as a percent", () => {
+    const property = {
+      lateFeeRules: {
+        maxLateFee: { type: MAX_LATE_FEE_TYPES.PERCENTAGE, value: "10" },
+      },
+    };
+
+    expect(resolveLateFeeRules(property, {}).maxLateFee).toEqual({
+      type: MAX_LATE_FEE_TYPES.PERCENTAGE,
+      value: 10,
+    });
+  });
+
+  test("falls back to the late fees of the tenant", () => {
+    const tenant = { initial_late_fee: 25, daily_late_fee: 5 };
+
+    expect(resolveLateFeeRules({}, tenant)).toEqual({
+      gracePeriodDays: 0,
+      initialLateFee: 2500,
+      dailyLateFee: 500,
+      maxLateFee: null,
+    });
+  });
+});
+
+describe("validateLateFeeRules", () => {
+  test("accepts valid rules", () => {
+    expect(
+      validateLateFeeRules({
+        gracePeriodDays: 5,
+        initialLateFee: 50,
+        dailyLateFee: 10,
+        maxLateFee: { type: MAX_LATE_FEE_TYPES.PERCENTAGE, value: 10 },
+      }),
+    ).toBeNull();
+  });
+
+  test("accepts rules without late fees", () => {
+    expect(
+      validateLateFeeRules({
+        gracePeriodDays: 0,
+        initialLateFee: 0,
+        dailyLateFee: 0,
+      }),
+    ).toBeNull();
+  });
+
+  test.each([
+    [null, "Missing required field: 'lateFeeRules'"],
+    [
+      { gracePeriodDays: "5", initialLateFee: 0, dailyLateFee: 0 },
+      "'gracePeriodDays' must be a whole number of days",
+    ],
+    [
+      { gracePeriodDays: 2.5, initialLateFee: 0, dailyLateFee: 0 },
+      "'gracePeriodDays' must be a whole number of days",
+    ],
+    [
+      { gracePeriodDays: 32, initialLateFee: 0, dailyLateFee: 0 },
+      "'gracePeriodDays' must be between 0 and 31",
+    ],
+    [
+      { gracePeriodDays: 0, initialLateFee: "50", dailyLateFee: 0 },
+      "'initialLateFee' must be a number",
+    ],
+    [
+      { gracePeriodDays: 0, initialLateFee: -1, dailyLateFee: 0 },
+      "'initialLateFee' must be zero or more",
+    ],
+    [
+      { gracePeriodDays: 0, initialLateFee: 0, dailyLateFee: "ten" },
+      "'dailyLateFee' must be a number",
+    ],
+    [
+      { gracePeriodDays: 0, initialLateFee: 0, dailyLateFee: -5 },
+      "'dailyLateFee' must be zero or more",
+    ],
+    [
+      {
+        gracePeriodDays: 0,
+        initialLateFee: 0,
+        dailyLateFee: 0,
+        maxLateFee: { type: MAX_LATE_FEE_TYPES.FLAT, value: -1 },
+      },
+      "'maxLateFee.value' must be zero or more",
+    ],
+    [
+      {
+        gracePeriodDays: 0,
+        initialLateFee: 0,
+        dailyLateFee: 0,
+        maxLateFee: { type: "weekly", value: 10 },
+      },
+      "'maxLateFee.type' must be either 'flat' or 'percentage'",
+    ],
+    [
+      {
+        gracePeriodDays: 0,
+        initialLateFee: 0,
+        dailyLateFee: 0,
+        maxLateFee: { type: MAX_LATE_FEE_TYPES.PERCENTAGE, value: 101 },
+      },
+      "'maxLateFee.value' cannot exceed 100 percent",
+    ],
+  ])("rejects %j", (lateFeeRules, error) => {
+    expect(validateLateFeeRules(lateFeeRules)).toBe(error);
+  });
+});
+
+describe("computeLateFee", () => {
+  test("charges nothing within the grace period", () => {
+    const lateFee = computeLateFee(rules, 150000, dueDate, dayjs("2025-03-04"));
+
+    expect(lateFee).toEqual({
+      daysLate: 0,
+      initialLateFee: 0,
+      dailyLateFee: 0,
+      totalLateFee: 0,
+      isCapped: false,
+    });
+  });
+
+  test("charges the initial fee on the first day after the grace period", () => {
+    const lateFee = computeLateFee(rules, 150000, dueDate, dayjs("2025-03-05"));
+
+    expect(lateFee.daysLate).toBe(1);
+    expect(lateFee.initialLateFee).toBe(5000);
+    expect(lateFee.dailyLateFee).toBe(0);
+    expect(lateFee.totalLateFee).toBe(5000);
+  });
+
+  test("accrues the daily fee for every day after the first", () => {
+    const lateFee = computeLateFee(rules, 150000, dueDate, dayjs("2025-03-10"));
+
+    expect(lateFee.daysLate).toBe(6);
+    expect(lateFee.dailyLateFee).toBe(5000);
+    expect(lateFee.totalLateFee).toBe(10000);
+    expect(lateFee.isCapped).toBe(false);
+  });
+
+  test("limits the total to a flat cap", () => {
+    const lateFee = computeLateFee(
+      { ...rules, maxLateFee: { type: MAX_LATE_FEE_TYPES.FLAT, value: 7500 } },
+      150000,
+      dueDate,
+      dayjs("2025-03-20"),
+    );
+
+    expect(lateFee.initialLateFee).toBe(5000);
+    expect(lateFee.dailyLateFee).toBe(2500);
+    expect(lateFee.totalLateFee).toBe(7500);
+    expect(lateFee.isCapped).toBe(true);
+  });
+
+  test("limits the total to a percentage of the rent", () => {
+    const lateFee = computeLateFee(
+      {
+        ...rules,
+        maxLateFee: { type: MAX_LATE_FEE_TYPES.PERCENTAGE, value: 2 },
+      },
+      150000,
+      dueDate,
+      dayjs("2025-03-20"),
+    );
+
+    expect(lateFee.initialLateFee).toBe(3000);
+    expect(lateFee.dailyLateFee).toBe(0);
+    expect(lateFee.totalLateFee).toBe(3000);
+    expect(lateFee.isCapped).toBe(true);
+  });
+});
@@ -0,0 +1,126 @@
+import dayjs from "dayjs";
+
+import { EMAIL_TEMPLATES } from "./emailTemplates";
+
+export const RENEWAL_DECISIONS = {
+  RENEW: "renew",
+  MOVE_OUT: "move_out",
+};
+
+export const RENEWAL_LINK_PURPOSE = "lease_renewal";
+
+const DEFAULT_RENEWAL_NOTICE_DAYS = [90, 60, 30];
+
+/**
+ * resolveRenewalNoticeDays ...
+ *
+ * function used to return the number of days before the lease end date that
+ * renewal notices are sent. Uses the notice days of the property, otherwise
+ * LEASE_RENEWAL_NOTICE_DAYS or 90, 60 and 30 days.
+ *
+ * @param {Object} property - the property record
+ * @returns {Array} - the list of notice days
+ */
+export const resolveRenewalNoticeDays = (property) => {
+  if (Array.isArray(property?.renewalNoticeDays)) {
+    return property.renewalNoticeDays.map(Number);
+  }
+  if (process.env.LEASE_RENEWAL_NOTICE_DAYS) {
+    return process.env.LEASE_RENEWAL_NOTICE_DAYS.split(",").map((days) =>
+      Number(days.trim()),
+    );
+  }
+  return DEFAULT_RENEWAL_NOTICE_DAYS;
+};
+
+/**
+ * buildRenewalNotices ...
+ *
+ * function used to build the renewal notice emails of the tenant and the
+ * owner. Only the tenant receives the link to respond.
+ *
+ * @param {Object} tenant - the tenant record
+ * @param {Object} owner - the user profile of the property owner
+ * @param {Object} property - the property record
+ * @param {Object} endDate - the dayjs end date of the lease
+ * @param {number} daysUntilEnd - the number of days until the lease ends
+ * @param {string} responseLink - the signed link the tenant responds with
+ * @returns {Array} emails - the to, template and template data of each email
+ */
+export const buildRenewalNotices = (
+  tenant,
+  owner,
+  property,
+  endDate,
+  daysUntilEnd,
+  responseLink,
+) => {
+  const propertyAddress = property.address || property.name;
+  const formattedEndDate = dayjs(endDate).format("YYYY-MM-DD");
+
+  const emails = [
+    {
+      to: tenant.email,
+      template: EMAIL_TEMPLATES.LEASE_RENEWAL,
+      data: {
+        recipientName: tenant.name,
+        propertyAddress,
+        endDate: formattedEndDate,
+        daysUntilEnd,
+        actionUrl: responseLink,
+      },
+    },
+  ];
+
+  if (owner?.email) {
+    emails.push({
+      to: owner.email,
+      template: EMAIL_TEMPLATES.OWNER_LEASE_RENEWAL,
+      data: {
+        recipientName: owner.name,
+        propertyAddress,
+        tenantName: tenant.name,
+        tenantEmail: tenant.email,
+        endDate: formattedEndDate,
+        daysUntilEnd,
+        willRenew: tenant.renewal?.decision
+          ? tenant.renewal.decision === RENEWAL_DECISIONS.RENEW
+          : null,
+      },
+    });
+  }
+
+  return emails;
+};
+
+/**
+ * buildRenewalResponseNotice ...
+ *
+ * function used to build the email that lets the owner know how the tenant
+ * responded to the renewal notice.
+ *
+ * @param {Object} tenant - the tenant record
+ * @param {Object} owner - the user profile of the property owner
+ * @param {Object} property - the property record
+ * @param {string} endDate - the end date of the lease
+ * @param {string} decision - the renewal decision of the tenant
+ * @returns {Object} email - the to, template and template data of the email
+ */
+export const buildRenewalResponseNotice = (
+  tenant,
+  owner,
+  property,
+  endDate,
+  decision,
+) => ({
+  to: owner.email,
+  template: EMAIL_TEMPLATES.LEASE_RENEWAL_RESPONSE,
+  data: {
+    recipientName: owner.name,
+    propertyAddress: property.address || property.name,
+    tenantName: tenant.name,
+    tenantEmail: tenant.email,
+    endDate,
+    willRenew: decision === RENEWAL_DECISIONS.RENEW,
+  },
+});
@@ -0,0 +1,157 @@
+import dayjs from "dayjs";
+
+import timezone from "dayjs/plugin/timezone";
+import utc from "dayjs/plugin/utc";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+export const LEASE_STATUSES = {
+  NOT_STARTED: "not_started",
+  ACTIVE: "active",
+  ENDED: "ended",
+};
+
+const DATE_ONLY_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * resolveTimeZone ...
+ *
+ * function used to return the time zone the lease dates are kept in. Uses the
+ * time zone of the property, otherwise DEFAULT_TIME_ZONE or UTC. Unknown time
+ * zones fall back to UTC.
+ *
+ * @param {Object} property - the property record
+ * @returns {string} - the IANA time zone. Eg, America/Chicago
+ */
+export const resolveTimeZone = (property) => {
+  const timeZone = property?.timeZone || process.env.DEFAULT_TIME_ZONE || "UTC";
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone });
+    return timeZone;
+  } catch {
+    // eslint-disable-next-line no-console
+    console.error(`unknown time zone ${timeZone}. defaulting to UTC.`);
+    return "UTC";
+  }
+};
+
+/**
+ * toLeaseDay ...
+ *
+ * function used to convert a stored date into the start of that day in the
+ * time zone of the property. Date only values are kept as the same calendar
+ * day. Eg, 2025-01-31.
+ *
+ * @param {string|Object} date - the stored date
+ * @param {string} timeZone - the time zone of the property
+ * @returns {Object} - the dayjs start of the day in the time zone
+ */
+export const toLeaseDay = (date, timeZone) => {
+  if (typeof date === "string" && DATE_ONLY_FORMAT.test(date)) {
+    return dayjs.tz(date, timeZone).startOf("day");
+  }
+  return dayjs(date).tz(timeZone).startOf("day");
+};
+
+/**
+ * computeDueDate ...
+ *
+ * function used to compute the due date of the selected rent month. Rent is
+ * due on the same day of the month as the lease start date, clamped to the
+ * last day of shorter months.
+ *
+ * @param {string} startDate - the start date of the lease
+ * @param {string} rentMonth - the rent month
+ * @param {string} timeZone - the time zone of the property
+ * @returns {Object} dueDate - the dayjs due date
+ */
+export const computeDueDate = (startDate, rentMonth, timeZone = "UTC") => {
+  // dates already in the time zone of the property keep their month
+  const monthKey = dayjs.isDayjs(rentMonth)
+    ? rentMonth.format("YYYY-MM")
+    : dayjs(rentMonth).format("YYYY-MM");
+  const month = dayjs.tz(`${monthKey}-01`, timeZone);
+  const dueDay = Math.min(
+    toLeaseDay(startDate, timeZone).date(),
+    month.daysInMonth(),
+  );
+  return month.date(dueDay);
+};
+
+/**
+ * computeLeaseSchedule ...
+ *
+ * function used to work out where the lease stands on the selected date in
+ * the time zone of the property. The current due date is the last due date
+ * on or before today and the next due date is the first one after today.
+ * Due dates before the lease starts or after the lease ends are left out.
+ *
+ * @param {Object} tenant - the tenant record with start_date and optional end_date
+ * @param {Object} property - the property record
+ * @param {Object} asOf - the dayjs date the schedule is computed for
+ * @returns {Object} schedule - the status, today, current and next due dates of the lease
+ */
+export const computeLeaseSchedule = (tenant, property, asOf = dayjs()) => {
+  const timeZone = resolveTimeZone(property);
+  const today = dayjs(asOf).tz(timeZone).startOf("day");
+  const startDate = toLeaseDay(tenant.start_date, timeZone);
+  const endDate = tenant.end_date
+    ? toLeaseDay(tenant.end_date, timeZone)
+    : null;
+
+  const isWithinLease = (dueDate) =>
+    !dueDate.isBefore(startDate) && (!endDate || !dueDate.isAfter(endDate));
+
+  let status = LEASE_STATUSES.ACTIVE;
+  if (today.isBefore(startDate)) status = LEASE_STATUSES.NOT_STARTED;
+  if (endDate && today.isAfter(endDate)) status = LEASE_STATUSES.ENDED;
+
+  let currentDueDate = computeDueDate(tenant.start_date, today, timeZone);
+  if (currentDueDate.isAfter(today)) {
+    currentDueDate = computeDueDate(
+      tenant.start_date,
+      today.subtract(1, "month"),
+      timeZone,
+    );
+  }
+  const nextDueDate = computeDueDate(
+    tenant.start_date,
+    currentDueDate.add(1, "month"),
+    timeZone,
+  );
+
+  return {
+    timeZone,
+    status,
+    today,
+    startDate,
+    endDate,
+    currentDueDate: isWithinLease(currentDueDate) ? currentDueDate : null,
+    nextDueDate: isWithinLease(nextDueDate) ? nextDueDate : null,
+  };
+};
+
+/**
+ * isRentMonthInLease ...
+ *
+ * function used to determine if rent is owed for the selected rent month,
+ * ie the due date of the month falls within the lease.
+ *
+ * @param {Object} tenant - the tenant record with start_date and optional end_date
+ * @param {Object} property - the property record
+ * @param {string} rentMonth - the rent month
+ * @returns {boolean} - true if rent is owed for the rent month
+ */
+export const isRentMonthInLease = (tenant, property, rentMonth) => {
+  const timeZone = resolveTimeZone(property);
+  const dueDate = computeDueDate(tenant.start_date, rentMonth, timeZone);
+  const startDate = toLeaseDay(tenant.start_date, timeZone);
+  const endDate = tenant.end_date
+    ? toLeaseDay(tenant.end_date, timeZone)
+    : null;
+
+  return (
+    !dueDate.isBefore(startDate) && (!endDate || !dueDate.isAfter(endDate))
+  );
+};
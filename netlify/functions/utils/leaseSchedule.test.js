@@ -0,0 +1,130 @@
+import dayjs from "dayjs";
+
+import {
+  LEASE_STATUSES,
+  computeDueDate,
+  computeLeaseSchedule,
+  isRentMonthInLease,
+  resolveTimeZone,
+} from "./leaseSchedule";
+import { jest } from "@jest/globals";
+
+describe("resolveTimeZone", () => {
+  test("uses the time zone of the property", () => {
+    expect(resolveTimeZone({ timeZone: "America/Chicago" })).toBe(
+      "America/Chicago",
+    );
+  });
+
+  test("falls back to UTC for unknown time zones", () => {
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+
+    expect(resolveTimeZone({ timeZone: "Mars/Olympus" })).toBe("UTC");
+    consoleError.mockRestore();
+  });
+});
+
+describe("computeDueDate", () => {
+  test("is due on the day of the month the lease started", () => {
+    expect(computeDueDate("2025-01-15", "2025-04").format("YYYY-MM-DD")).toBe(
+      "2025-04-15",
+    );
+  });
+
+  test("is clamped to the last day of shorter months", () => {
+    expect(computeDueDate("2025-01-31", "2025-02").format("YYYY-MM-DD")).toBe(
+      "2025-02-28",
+    );
+    expect(computeDueDate("2024-01-31", "2024-02").format("YYYY-MM-DD")).toBe(
+      "2024-02-29",
+    );
+  });
+
+  test("keeps date only start dates on the same day in the time zone", () => {
+    const dueDate = computeDueDate(
+      "2025-01-01",
+      "2025-03",
+      "America/Los_Angeles",
+    );
+
+    expect(dueDate.format("YYYY-MM-DD")).toBe("2025-03-01");
+    expect(dueDate.toISOString()).toBe("2025-03-01T08:00:00.000Z");
+  });
+});
+
+describe("computeLeaseSchedule", () => {
+  const property = { timeZone: "UTC" };
+
+  test("returns the current and next due dates of an active lease", () => {
+    const schedule = computeLeaseSchedule(
+      { start_date: "2025-01-10" },
+      property,
+      dayjs("2025-03-05T12:00:00Z"),
+    );
+
+    expect(schedule.status).toBe(LEASE_STATUSES.ACTIVE);
+    expect(schedule.currentDueDate.format("YYYY-MM-DD")).toBe("2025-02-10");
+    expect(schedule.nextDueDate.format("YYYY-MM-DD")).toBe("2025-03-10");
+  });
+
+  test("counts today as the current due date", () => {
+    const schedule = computeLeaseSchedule(
+      { start_date: "2025-01-10" },
+      property,
+      dayjs("2025-03-10T12:00:00Z"),
+    );
+
+    expect(schedule.currentDueDate.format("YYYY-MM-DD")).toBe("2025-03-10");
+    expect(schedule.nextDueDate.format("YYYY-MM-DD")).toBe("2025-04-10");
+  });
+
+  test("leaves out due dates before the lease starts", () => {
+    const schedule = computeLeaseSchedule(
+      { start_date: "2025-03-20" },
+      property,
+      dayjs("2025-03-05T12:00:00Z"),
+    );
+
+    expect(schedule.status).toBe(LEASE_STATUSES.NOT_STARTED);
+    expect(schedule.currentDueDate).toBeNull();
+    expect(schedule.nextDueDate.format("YYYY-MM-DD")).toBe("2025-03-20");
+  });
+
+  test("leaves out due dates after the lease ends", () => {
+    const schedule = computeLeaseSchedule(
+      { start_date: "2024-04-10", end_date: "2025-04-05" },
+      property,
+      dayjs("2025-04-20T12:00:00Z"),
+    );
+
+    expect(schedule.status).toBe(LEASE_STATUSES.ENDED);
+    expect(schedule.currentDueDate).toBeNull();
+    expect(schedule.nextDueDate).toBeNull();
+  });
+
+  test("uses the date in the time zone of the property", () => {
+    const schedule = computeLeaseSchedule(
+      { start_date: "2025-01-10" },
+      { timeZone: "America/New_York" },
+      dayjs("2025-03-10T03:00:00Z"),
+    );
+
+    expect(schedule.today.format("YYYY-MM-DD")).toBe("2025-03-09");
+    expect(schedule.currentDueDate.format("YYYY-MM-DD")).toBe("2025-02-10");
+  });
+});
+
+describe("isRentMonthInLease", () => {
+  const tenant = { start_date: "2025-01-15", end_date: "2025-06-30" };
+
+  test.each([
+    ["2024-12", false],
+    ["2025-01", true],
+    ["2025-06", true],
+    ["2025-07", false],
+  ])("%s is in the lease: %s", (rentMonth, expected) => {
+    expect(isRentMonthInLease(tenant, {}, rentMonth)).toBe(expected);
+  });
+});
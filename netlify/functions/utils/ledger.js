@@ -0,0 +1,307 @@
+import { v4 as uuidv4 } from "uuid";
+
+import dayjs from "dayjs";
+
+import { formatRentMonth } from "./utils";
+
+export const LEDGER_ENTRY_TYPES = {
+  CHARGE: "charge",
+  CREDIT: "credit",
+};
+
+export const LEDGER_CATEGORIES = {
+  RENT: "rent",
+  ADDITIONAL_CHARGES: "additional_charges",
+  LATE_FEE: "late_fee",
+  DEPOSIT: "deposit",
+  DEPOSIT_DEDUCTION: "deposit_deduction",
+  DEPOSIT_RELEASE: "deposit_release",
+  STRIPE_PAYMENT: "stripe_payment",
+  MANUAL_PAYMENT: "manual_payment",
+  REFUND: "refund",
+};
+
+// refunds are credits that reverse a prior payment, so they raise the balance
+const balanceEffects = {
+  [LEDGER_CATEGORIES.RENT]: 1,
+  [LEDGER_CATEGORIES.ADDITIONAL_CHARGES]: 1,
+  [LEDGER_CATEGORIES.LATE_FEE]: 1,
+  [LEDGER_CATEGORIES.DEPOSIT]: 1,
+  [LEDGER_CATEGORIES.DEPOSIT_DEDUCTION]: 1,
+  [LEDGER_CATEGORIES.DEPOSIT_RELEASE]: -1,
+  [LEDGER_CATEGORIES.STRIPE_PAYMENT]: -1,
+  [LEDGER_CATEGORIES.MANUAL_PAYMENT]: -1,
+  [LEDGER_CATEGORIES.REFUND]: 1,
+};
+
+/**
+ * fetchLedgerEntryType ...
+ *
+ * function used to return whether the category is a charge or a credit.
+ *
+ * @param {string} category - the ledger category
+ * @returns {string} - the ledger entry type
+ */
+export const fetchLedgerEntryType = (category) =>
+  [
+    LEDGER_CATEGORIES.STRIPE_PAYMENT,
+    LEDGER_CATEGORIES.MANUAL_PAYMENT,
+    LEDGER_CATEGORIES.REFUND,
+    LEDGER_CATEGORIES.DEPOSIT_RELEASE,
+  ].includes(category)
+    ? LEDGER_ENTRY_TYPES.CREDIT
+    : LEDGER_ENTRY_TYPES.CHARGE;
+
+/**
+ * buildLedgerId ...
+ *
+ * function used to build the id of the running balance for a lease.
+ *
+ * @param {string} tenantId - the unique id of the tenant
+ * @param {string} propertyId - the unique id of the property
+ * @returns {string} - the ledger id
+ */
+export const buildLedgerId = (tenantId, propertyId) =>
+  `${tenantId}_${propertyId}`;
+
+/**
+ * postLedgerEntry ...
+ *
+ * used to record a charge or credit against the lease and update the running
+ * balance in a single transaction. Posting is idempotent, an entry that has
+ * already been posted with the same id is returned as is.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} entry - the tenantId, propertyId, propertyOwnerId, category, amount in cents and details
+ * @param {string} entryId - the unique id of the entry, generated if not passed in
+ * @returns {Object} ledgerEntry - the posted ledger entry
+ */
+export const postLedgerEntry = async (db, entry, entryId = uuidv4()) => {
+  const amount = Math.round(Number(entry.amount));
+
+  if (!balanceEffects[entry.category] || !(amount > 0)) {
+    throw new Error("unable to post ledger entry. invalid category or amount.");
+  }
+
+  const entryRef = db.collection("ledgerEntries").doc(entryId);
+  const balanceRef = db
+    .collection("ledgerBalances")
+    .doc(buildLedgerId(entry.tenantId, entry.propertyId));
+
+  return db.runTransaction(async (transaction) => {
+    const [entryDoc, balanceDoc] = await Promise.all([
+      transaction.get(entryRef),
+      transaction.get(balanceRef),
+    ]);
+
+    if (entryDoc.exists) return entryDoc.data();
+
+    const currentBalance = balanceDoc.exists ? balanceDoc.data().balance : 0;
+    const balance = currentBalance + balanceEffects[entry.category] * amount;
+
+    const ledgerEntry = {
+      id: entryId,
+      tenantId: entry.tenantId,
+      propertyId: entry.propertyId,
+      propertyOwnerId: entry.propertyOwnerId,
+      type: fetchLedgerEntryType(entry.category),
+      category: entry.category,
+      amount,
+      description: entry.description || "",
+      rentMonth: entry.rentMonth ? formatRentMonth(entry.rentMonth) : null,
+      reference: entry.reference || null,
+      balanceAfter: balance,
+      createdBy: entry.createdBy || null,
+      createdOn: dayjs().toISOString(),
+    };
+
+    transaction.set(entryRef, ledgerEntry);
+    transaction.set(
+      balanceRef,
+      {
+        tenantId: entry.tenantId,
+        propertyId: entry.propertyId,
+        propertyOwnerId: entry.propertyOwnerId,
+        balance,
+        updatedOn: ledgerEntry.createdOn,
+      },
+      { merge: true },
+    );
+
+    return ledgerEntry;
+  });
+};
+
+/**
+ * postMonthlyCharges ...
+ *
+ * used to post the rent, additional charges and late fees of the rent month
+ * to the ledger. Rent and additional charges are posted once per month. Late
+ * fees keep accruing, so only the amount not yet posted is added.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} lease - the tenantId, propertyId and propertyOwnerId of the lease
+ * @param {string} rentMonth - the rent month
+ * @param {Object} charges - the charges computed for the rent month
+ */
+export const postMonthlyCharges = async (db, lease, rentMonth, charges) => {
+  const monthKey = formatRentMonth(rentMonth);
+  const entryPrefix = `${buildLedgerId(lease.tenantId, lease.propertyId)}_${monthKey}`;
+  const draftEntry = { ...lease, rentMonth, createdBy: "system" };
+
+  if (charges.rentAmount > 0) {
+    await postLedgerEntry(
+      db,
+      {
+        ...draftEntry,
+        category: LEDGER_CATEGORIES.RENT,
+        amount: charges.rentAmount,
+        description: "Monthly Rent",
+      },
+      `${entryPrefix}_rent`,
+    );
+  }
+
+  if (charges.additionalCharges > 0) {
+    await postLedgerEntry(
+      db,
+      {
+        ...draftEntry,
+        category: LEDGER_CATEGORIES.ADDITIONAL_CHARGES,
+        amount: charges.additionalCharges,
+        description: "Additional Charges",
+      },
+      `${entryPrefix}_additional_charges`,
+    );
+  }
+
+  const postedLateFee = await fetchPostedLateFee(db, lease, monthKey);
+  if (charges.totalLateFee > postedLateFee) {
+    // keyed by the accrued total so retries do not post the same fee twice
+    await postLedgerEntry(
+      db,
+      {
+        ...draftEntry,
+        category: LEDGER_CATEGORIES.LATE_FEE,
+        amount: charges.totalLateFee - postedLateFee,
+        description: `Late fee (${charges.daysLate} day(s) late)`,
+      },
+      `${entryPrefix}_late_fee_${charges.totalLateFee}`,
+    );
+  }
+};
+
+/**
+ * fetchUnpostedCharges ...
+ *
+ * used to return the charges of the rent month that postMonthlyCharges has
+ * not posted to the ledger yet, without posting them. Used by read only
+ * reports to include rent that is due but not yet charged.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} lease - the tenantId and propertyId of the lease
+ * @param {string} rentMonth - the rent month
+ * @param {Object} charges - the charges computed for the rent month
+ * @returns {number} amount - the unposted charges in cents
+ */
+export const fetchUnpostedCharges = async (db, lease, rentMonth, charges) => {
+  const monthKey = formatRentMonth(rentMonth);
+  const entryPrefix = `${buildLedgerId(lease.tenantId, lease.propertyId)}_${monthKey}`;
+
+  const [rentEntry, additionalChargesEntry, postedLateFee] = await Promise.all([
+    db.collection("ledgerEntries").doc(`${entryPrefix}_rent`).get(),
+    db
+      .collection("ledgerEntries")
+      .doc(`${entryPrefix}_additional_charges`)
+      .get(),
+    fetchPostedLateFee(db, lease, monthKey),
+  ]);
+
+  return (
+    (rentEntry.exists ? 0 : Math.max(charges.rentAmount, 0)) +
+    (additionalChargesEntry.exists
+      ? 0
+      : Math.max(charges.additionalCharges, 0)) +
+    Math.max(charges.totalLateFee - postedLateFee, 0)
+  );
+};
+
+/**
+ * fetchPostedLateFee ...
+ *
+ * used to return the late fees already posted for the rent month.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} lease - the tenantId and propertyId of the lease
+ * @param {string} monthKey - the formatted rent month
+ * @returns {number} amount - the posted late fees in cents
+ */
+const fetchPostedLateFee = async (db, lease, monthKey) => {
+  const lateFeeSnapshot = await db
+    .collection("ledgerEntries")
+    .where("tenantId", "==", lease.tenantId)
+    .where("propertyId", "==", lease.propertyId)
+    .where("rentMonth", "==", monthKey)
+    .where("category", "==", LEDGER_CATEGORIES.LATE_FEE)
+    .get();
+
+  return lateFeeSnapshot.docs.reduce((sum, doc) => sum + doc.data().amount, 0);
+};
+
+/**
+ * fetchLedgerBalance ...
+ *
+ * used to return the running balance of the lease in cents. A positive
+ * balance is owed by the tenant, a negative balance is a credit.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} tenantId - the unique id of the tenant
+ * @param {string} propertyId - the unique id of the property
+ * @returns {number} balance - the running balance in cents
+ */
+export const fetchLedgerBalance = async (db, tenantId, propertyId) => {
+  const balanceDoc = await db
+    .collection("ledgerBalances")
+    .doc(buildLedgerId(tenantId, propertyId))
+    .get();
+
+  return balanceDoc.exists ? balanceDoc.data().balance : 0;
+};
+
+/**
+ * fetchLedgerEntries ...
+ *
+ * used to return the ledger entries of the lease, newest first.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} tenantId - the unique id of the tenant
+ * @param {string} propertyId - the unique id of the property
+ * @param {number} limit - the number of entries to return
+ * @param {string} startAfter - the id of the last entry of the previous page
+ * @returns {Array} ledgerEntries - the list of ledger entries
+ */
+export const fetchLedgerEntries = async (
+  db,
+  tenantId,
+  propertyId,
+  limit,
+  startAfter,
+) => {
+  let query = db
+    .collection("ledgerEntries")
+    .where("tenantId", "==", tenantId)
+    .where("propertyId", "==", propertyId)
+    .orderBy("createdOn", "desc")
+    .limit(limit);
+
+  if (startAfter) {
+    const cursorDoc = await db
+      .collection("ledgerEntries")
+      .doc(startAfter)
+      .get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const entrySnapshot = await query.get();
+  return entrySnapshot.docs.map((doc) => doc.data());
+};
@@ -0,0 +1,79 @@
+import { createFakeFirestore } from "./__mocks__/fakeFirestore";
+import {
+  LEDGER_CATEGORIES,
+  LEDGER_ENTRY_TYPES,
+  buildLedgerId,
+  fetchLedgerBalance,
+  postLedgerEntry,
+} from "./ledger";
+
+const lease = {
+  tenantId: "tenant-1",
+  propertyId: "property-1",
+  propertyOwnerId: "owner-1",
+};
+
+describe("postLedgerEntry", () => {
+  test("updates the running balance with charges and credits", async () => {
+    const db = createFakeFirestore();
+
+    await postLedgerEntry(
+      db,
+      { ...lease, category: LEDGER_CATEGORIES.RENT, amount: 150000 },
+      "rent",
+    );
+    const payment = await postLedgerEntry(
+      db,
+      { ...lease, category: LEDGER_CATEGORIES.STRIPE_PAYMENT, amount: 50000 },
+      "payment",
+    );
+
+    expect(payment.type).toBe(LEDGER_ENTRY_TYPES.CREDIT);
+    expect(payment.balanceAfter).toBe(100000);
+    expect(await fetchLedgerBalance(db, "tenant-1", "property-1")).toBe(100000);
+  });
+
+  test("posts an entry with the same id only once", async () => {
+    const db = createFakeFirestore();
+    const entry = {
+      ...lease,
+      category: LEDGER_CATEGORIES.RENT,
+      amount: 150000,
+    };
+
+    const first = await postLedgerEntry(db, entry, "rent");
+    const retried = await postLedgerEntry(db, entry, "rent");
+
+    expect(retried).toEqual(first);
+    expect(Object.keys(db.collections.ledgerEntries)).toEqual(["rent"]);
+    expect(await fetchLedgerBalance(db, "tenant-1", "property-1")).toBe(150000);
+  });
+
+  test("keeps the balance of each lease separate", async () => {
+    const db = createFakeFirestore();
+
+    await postLedgerEntry(
+      db,
+      { ...lease, category: LEDGER_CATEGORIES.RENT, amount: 150000 },
+      "rent",
+    );
+
+    expect(
+      db.collections.ledgerBalances[buildLedgerId("tenant-1", "property-1")]
+        .balance,
+    ).toBe(150000);
+    expect(await fetchLedgerBalance(db, "tenant-2", "property-1")).toBe(0);
+  });
+
+  test.each([
+    [{ category: "rent_discount", amount: 100 }],
+    [{ category: LEDGER_CATEGORIES.RENT, amount: 0 }],
+    [{ category: LEDGER_CATEGORIES.RENT, amount: "abc" }],
+  ])("rejects %j", async (entry) => {
+    const db = createFakeFirestore();
+
+    await expect(postLedgerEntry(db, { ...lease, ...entry })).rejects.toThrow(
+      "unable to post ledger entry. invalid category or amount.",
+    );
+  });
+});
@@ -0,0 +1,215 @@
+import dayjs from "dayjs";
+
+import { buildSignedLink } from "./signedLinks";
+
+export const NOTIFICATION_TYPES = {
+  RENT_REMINDERS: "rent_reminders",
+  PAYMENT_NOTIFICATIONS: "payment_notifications",
+};
+
+// email is the only channel that is delivered today
+export const NOTIFICATION_CHANNELS = {
+  EMAIL: "email",
+};
+
+export const UNSUBSCRIBE_LINK_PURPOSE = "unsubscribe";
+
+const UNSUBSCRIBE_LINK_DAYS = 365;
+
+/**
+ * resolveNotificationPreferences ...
+ *
+ * function used to return the channels of each notification type. Types
+ * the user has not configured are sent on every channel.
+ *
+ * @param {Object} preferences - the saved notification preferences, if any
+ * @returns {Object} notifications - the channels of each notification type
+ */
+export const resolveNotificationPreferences = (preferences) =>
+  Object.fromEntries(
+    Object.values(NOTIFICATION_TYPES).map((type) => [
+      type,
+      preferences?.notifications?.[type] ||
+        Object.values(NOTIFICATION_CHANNELS),
+    ]),
+  );
+
+/**
+ * validateNotificationPreferences ...
+ *
+ * function used to validate the notification preferences passed in by the
+ * user. Each type lists the channels it is sent on, an empty list opts out.
+ *
+ * @param {Object} notifications - the channels of each notification type
+ * @returns {string} error - the validation error, null if valid
+ */
+export const validateNotificationPreferences = (notifications) => {
+  if (
+    !notifications ||
+    typeof notifications !== "object" ||
+    Array.isArray(notifications)
+  ) {
+    return "Missing required field: 'notifications'";
+  }
+
+  const types = Object.values(NOTIFICATION_TYPES);
+  const channels = Object.values(NOTIFICATION_CHANNELS);
+  for (const [type, selectedChannels] of Object.entries(notifications)) {
+    if (!types.includes(type)) {
+      return `'notifications.${type}' is not one of ${types.join(", ")}`;
+    }
+    if (
+      !Array.isArray(selectedChannels) ||
+      !selectedChannels.every((channel) => channels.includes(channel))
+    ) {
+      return `'notifications.${type}' must be a list of channels from ${channels.join(", ")}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * fetchNotificationPreferences ...
+ *
+ * used to return the notification preferences of the user. Preferences are
+ * keyed by email so they apply to tenants and owners alike.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} email - the email address of the user
+ * @returns {Object} notifications - the channels of each notification type
+ */
+export const fetchNotificationPreferences = async (db, email) => {
+  const preferencesDoc = await db
+    .collection("notificationPreferences")
+    .doc(email.toLowerCase())
+    .get();
+
+  return resolveNotificationPreferences(
+    preferencesDoc.exists ? preferencesDoc.data() : null,
+  );
+};
+
+/**
+ * saveNotificationPreferences ...
+ *
+ * used to save the channels of the selected notification types. Types that
+ * are not passed in keep their saved channels.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} email - the email address of the user
+ * @param {Object} notifications - the channels of each notification type to update
+ * @param {string} updatedBy - the user or link updating the preferences
+ * @returns {Object} notifications - the updated channels of each notification type
+ */
+export const saveNotificationPreferences = async (
+  db,
+  email,
+  notifications,
+  updatedBy,
+) => {
+  const preferencesRef = db
+    .collection("notificationPreferences")
+    .doc(email.toLowerCase());
+
+  return db.runTransaction(async (transaction) => {
+    const preferencesDoc = await transaction.get(preferencesRef);
+    const saved = preferencesDoc.exists ? preferencesDoc.data() : null;
+    const updated = {
+      ...resolveNotificationPreferences(saved),
+      ...notifications,
+    };
+
+    transaction.set(preferencesRef, {
+      email: email.toLowerCase(),
+      notifications: updated,
+      createdOn: saved?.createdOn || dayjs().toISOString(),
+      updatedOn: dayjs().toISOString(),
+      updatedBy,
+    });
+    return updated;
+  });
+};
+
+/**
+ * filterRecipientsByPreferences ...
+ *
+ * used to return the recipients that want the notification type by email.
+ * Legally required notices do not have a notification type and are always
+ * sent to every recipient.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Array} recipients - the email addresses of the recipients
+ * @param {string} notificationType - the notification type, null if legally required
+ * @returns {Array} recipients - the recipients that have not opted out
+ */
+export const filterRecipientsByPreferences = async (
+  db,
+  recipients,
+  notificationType,
+) => {
+  if (!notificationType) return recipients;
+
+  const preferences = await Promise.all(
+    recipients.map((email) => fetchNotificationPreferences(db, email)),
+  );
+  return recipients.filter((_, index) =>
+    preferences[index][notificationType].includes(NOTIFICATION_CHANNELS.EMAIL),
+  );
+};
+
+/**
+ * addUnsubscribeLink ...
+ *
+ * used to add the signed unsubscribe link to the footer of the email and the
+ * List-Unsubscribe headers, so email clients can offer one click unsubscribe.
+ * Links are only added to emails with a single recipient as the link belongs
+ * to that recipient. Legally required notices link to every notification type.
+ *
+ * @param {Object} email - the normalized email, see normalizeEmailMessage
+ * @param {string} notificationType - the notification type, null if legally required
+ * @returns {Object} email - the email with the unsubscribe link, if configured
+ */
+export const addUnsubscribeLink = (email, notificationType) => {
+  if (
+    email.to.length !== 1 ||
+    !process.env.NOTIFICATION_PREFERENCES_URL ||
+    !process.env.LINK_SIGNING_SECRET
+  ) {
+    return email;
+  }
+
+  const payload = {
+    purpose: UNSUBSCRIBE_LINK_PURPOSE,
+    email: email.to[0].email.toLowerCase(),
+    notificationType: notificationType || null,
+  };
+  const preferencesUrl = buildSignedLink(
+    process.env.NOTIFICATION_PREFERENCES_URL,
+    payload,
+    UNSUBSCRIBE_LINK_DAYS,
+  );
+  const oneClickUrl = buildSignedLink(
+    `${process.env.SITE_URL}/.netlify/functions/0035_update_notification_preferences`,
+    payload,
+    UNSUBSCRIBE_LINK_DAYS,
+  );
+  const footer = notificationType
+    ? "To stop receiving these emails, unsubscribe"
+    : "To manage the emails you receive, update your notification preferences";
+
+  return {
+    ...email,
+    text: email.text && `${email.text}\n\n${footer}: ${preferencesUrl}`,
+    html:
+      email.html &&
+      email.html.replace(
+        /(<\/body>)?\s*(<\/html>)?\s*$/i,
+        `<p style="text-align:center;font-size:12px;color:#999999;font-family:Arial,Helvetica,sans-serif;"><a href="${preferencesUrl}" style="color:#999999;">${footer}</a></p>\n$1$2`,
+      ),
+    headers: {
+      ...email.headers,
+      "List-Unsubscribe": `<${oneClickUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  };
+};
@@ -0,0 +1,128 @@
+import dayjs from "dayjs";
+
+import { EMAIL_TEMPLATES } from "./emailTemplates";
+
+export const DIGEST_FREQUENCIES = {
+  DAILY: "daily",
+  WEEKLY: "weekly",
+};
+
+export const DEFAULT_DIGEST_SETTINGS = {
+  enabled: true,
+  frequency: DIGEST_FREQUENCIES.WEEKLY,
+  upcomingDays: 7,
+};
+
+const MAX_UPCOMING_DAYS = 31;
+
+/**
+ * resolveDigestSettings ...
+ *
+ * function used to return the digest settings of the owner. Owners without
+ * settings receive the weekly digest.
+ *
+ * @param {Object} owner - the user profile of the property owner
+ * @returns {Object} settings - the enabled, frequency, upcomingDays and lastSentOn settings
+ */
+export const resolveDigestSettings = (owner) => ({
+  ...DEFAULT_DIGEST_SETTINGS,
+  ...owner?.digestSettings,
+});
+
+/**
+ * validateDigestSettings ...
+ *
+ * function used to validate the digest settings passed in by the owner.
+ *
+ * @param {Object} settings - the enabled, frequency and upcomingDays settings
+ * @returns {string} error - the validation error, null if settings are valid
+ */
+export const validateDigestSettings = (settings) => {
+  if (!settings || typeof settings !== "object") {
+    return "Missing required field: 'digestSettings'";
+  }
+  if (typeof settings.enabled !== "boolean") {
+    return "'digestSettings.enabled' must be either true or false";
+  }
+  if (!Object.values(DIGEST_FREQUENCIES).includes(settings.frequency)) {
+    return "'digestSettings.frequency' must be either 'daily' or 'weekly'";
+  }
+
+  const upcomingDays = Number(settings.upcomingDays);
+  if (
+    !Number.isInteger(upcomingDays) ||
+    upcomingDays < 1 ||
+    upcomingDays > MAX_UPCOMING_DAYS
+  ) {
+    return `'digestSettings.upcomingDays' must be a whole number between 1 and ${MAX_UPCOMING_DAYS}`;
+  }
+  return null;
+};
+
+/**
+ * isDigestDue ...
+ *
+ * function used to determine if the digest of the owner should be sent on
+ * the selected date. Weekly digests go out seven days after the last one.
+ *
+ * @param {Object} settings - the digest settings of the owner
+ * @param {Object} today - the dayjs date of the run
+ * @returns {boolean} - true if the digest should be sent
+ */
+export const isDigestDue = (settings, today) => {
+  if (!settings.enabled) return false;
+  if (!settings.lastSentOn) return true;
+
+  const daysSinceLastDigest = today
+    .startOf("day")
+    .diff(dayjs(settings.lastSentOn).startOf("day"), "day");
+
+  return settings.frequency === DIGEST_FREQUENCIES.DAILY
+    ? daysSinceLastDigest >= 1
+    : daysSinceLastDigest >= 7;
+};
+
+/**
+ * buildOwnerDigest ...
+ *
+ * function used to build the digest email of the owner. Lists the tenants
+ * of each property with rent coming due and overdue balances, followed by
+ * the payments received and the payments that failed since the last digest.
+ *
+ * @param {Object} owner - the user profile of the property owner
+ * @param {Object} digest - the properties, payments and failedPayments of the digest
+ * @param {Object} settings - the digest settings of the owner
+ * @returns {Object} email - the template and template data of the digest
+ */
+export const buildOwnerDigest = (owner, digest, settings) => ({
+  template: EMAIL_TEMPLATES.OWNER_DIGEST,
+  data: {
+    recipientName: owner.name,
+    period:
+      settings.frequency === DIGEST_FREQUENCIES.DAILY ? "Daily" : "Weekly",
+    upcomingDays: settings.upcomingDays,
+    properties: digest.properties.map((property) => ({
+      address: property.address,
+      tenants: property.tenants.map((tenant) => ({
+        email: tenant.email,
+        upcoming: tenant.upcoming && {
+          amount: tenant.upcoming.amount,
+          dueDate: dayjs(tenant.upcoming.dueDate).format("YYYY-MM-DD"),
+        },
+        overdueBalance: tenant.overdueBalance,
+      })),
+    })),
+    payments: digest.payments.map((payment) => ({
+      tenantEmail: payment.tenantEmail,
+      amount: payment.amount,
+      createdOn: payment.createdOn,
+      description: payment.description,
+    })),
+    failedPayments: digest.failedPayments.map((payment) => ({
+      tenantEmail: payment.tenantEmail,
+      amount: payment.amount,
+      rentMonth: payment.rentMonth,
+      reason: payment.reason || null,
+    })),
+  },
+});
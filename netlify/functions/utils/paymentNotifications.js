@@ -0,0 +1,128 @@
+import { PAYMENT_TYPES } from "./deposits";
+import { normalizeEmailMessage } from "./emailMessages";
+import { OUTBOX_STATUSES, queueAndSendEmail } from "./emailOutbox";
+import { renderEmailTemplate } from "./emailTemplates";
+import { fetchPropertyById, fetchTenantById } from "./firestore";
+import {
+  NOTIFICATION_TYPES,
+  addUnsubscribeLink,
+  filterRecipientsByPreferences,
+} from "./notificationPreferences";
+import { createPaymentReceipt } from "./receipts";
+
+/**
+ * fetchLeaseDetails ...
+ *
+ * used to return the tenant and property of the payment, used to address
+ * the payment emails and receipts.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} data - the rent details of the payment
+ * @returns {Object} lease - the tenant and property of the payment, if found
+ */
+export const fetchLeaseDetails = async (db, data) => {
+  const [tenant, property] = await Promise.all([
+    fetchTenantById(db, data.tenantId),
+    fetchPropertyById(db, data.propertyId),
+  ]);
+  return { tenant, property };
+};
+
+/**
+ * createReceipt ...
+ *
+ * used to create the pdf receipt of the collected payment. Errors are logged
+ * and not thrown so the payment notification is still sent.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} data - the rent details of the payment
+ * @param {Object} lease - the tenant and property of the payment
+ * @param {Array} lineItems - the name and amount of each line item in cents
+ * @returns {Object} - the receipt and the pdf of the receipt, null if it failed
+ */
+export const createReceipt = async (db, data, lease, lineItems) => {
+  try {
+    return await createPaymentReceipt(db, data, lease, lineItems);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("unable to create payment receipt.", error);
+    return null;
+  }
+};
+
+/**
+ * sendPaymentNotification ...
+ *
+ * used to email the payment notification to the tenant, with the pdf receipt
+ * attached if there is one, unless the tenant opted out of payment
+ * notifications. Emails are queued in the outbox so failed notifications are
+ * retried, once per template and payment intent as stripe can deliver the
+ * same event more than once.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} data - the rent details of the payment
+ * @param {Object} lease - the tenant and property of the payment
+ * @param {string} template - the payment email template, see EMAIL_TEMPLATES
+ * @param {Object} details - the template data specific to the template
+ * @param {Object} options - the receipt and the pdf of the receipt, if any, and the source of the email
+ */
+export const sendPaymentNotification = async (
+  db,
+  data,
+  lease,
+  template,
+  details,
+  { receipt = null, source = "stripe_webhook" } = {},
+) => {
+  const tenantEmail = data.tenantEmail || data.customer_email;
+  if (!tenantEmail) return;
+
+  const [recipient] = await filterRecipientsByPreferences(
+    db,
+    [tenantEmail],
+    NOTIFICATION_TYPES.PAYMENT_NOTIFICATIONS,
+  );
+  if (!recipient) return;
+
+  const templateData = {
+    recipientName: lease.tenant?.name || null,
+    propertyAddress: lease.property?.address || lease.property?.name || null,
+    amount: Number(data.amount || 0),
+    rentMonth:
+      data.paymentType === PAYMENT_TYPES.DEPOSIT ? null : data.rentMonth,
+    ...details,
+  };
+  const email = addUnsubscribeLink(
+    normalizeEmailMessage({
+      to: recipient,
+      ...renderEmailTemplate(template, templateData),
+      ...(receipt && {
+        attachments: [
+          {
+            filename: `receipt-${receipt.receipt.receiptNumber}.pdf`,
+            content: receipt.pdf.toString("base64"),
+            contentType: "application/pdf",
+          },
+        ],
+      }),
+    }),
+    NOTIFICATION_TYPES.PAYMENT_NOTIFICATIONS,
+  );
+
+  const outboxEmail = await queueAndSendEmail(
+    db,
+    { ...email, template, data: templateData },
+    {
+      source,
+      reference: data.stripePaymentIntentID,
+      idempotencyKey: `${template}_${data.stripePaymentIntentID}`,
+    },
+  );
+
+  if (outboxEmail.status !== OUTBOX_STATUSES.SENT) {
+    // eslint-disable-next-line no-console
+    console.error(
+      `unable to send payment notification. queued ${outboxEmail.id} for retry.`,
+    );
+  }
+};
@@ -0,0 +1,329 @@
+import dayjs from "dayjs";
+
+import { BRANDING } from "./emailTemplates";
+import { formatRentMonth } from "./utils";
+import admin from "firebase-admin";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+
+const RECEIPT_NUMBER_PREFIX = "R-";
+const RECEIPT_CONTENT_TYPE = "application/pdf";
+
+const PAYMENT_METHOD_LABELS = {
+  card: "Card",
+  us_bank_account: "Bank account (ACH)",
+  link: "Link",
+};
+
+const formatAmount = (amount) => `$${(Number(amount || 0) / 100).toFixed(2)}`;
+
+/**
+ * formatReceiptNumber ...
+ *
+ * function used to format the sequence of the receipt into the receipt
+ * number shown to users. Eg, R-000042
+ *
+ * @param {number} sequence - the sequence of the receipt for the owner
+ * @returns {string} - the receipt number
+ */
+export const formatReceiptNumber = (sequence) =>
+  `${RECEIPT_NUMBER_PREFIX}${String(sequence).padStart(6, "0")}`;
+
+/**
+ * buildReceiptStoragePath ...
+ *
+ * function used to build the path of the receipt pdf in the storage bucket.
+ *
+ * @param {Object} receipt - the receipt
+ * @returns {string} - the path of the receipt pdf
+ */
+const buildReceiptStoragePath = (receipt) =>
+  `receipts/${receipt.propertyOwnerId}/${receipt.id}.pdf`;
+
+/**
+ * fetchReceiptBucket ...
+ *
+ * function used to return the storage bucket the receipts are saved in.
+ * firebase must be initialized before use.
+ *
+ * @returns {Object} bucket - the storage bucket
+ */
+const fetchReceiptBucket = () => {
+  if (!process.env.FIREBASE_STORAGE_BUCKET) {
+    throw new Error(
+      "unable to store receipt. missing FIREBASE_STORAGE_BUCKET.",
+    );
+  }
+  return admin.storage().bucket(process.env.FIREBASE_STORAGE_BUCKET);
+};
+
+/**
+ * createReceipt ...
+ *
+ * used to create the receipt of the payment with the next receipt number of
+ * the property owner. Receipt numbers are sequential per owner and assigned
+ * within a transaction, so concurrent payments never share a number. The
+ * existing receipt is returned when the payment already has one, as stripe
+ * can deliver the same event more than once.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} draftReceipt - the receipt details, id must be the payment intent id
+ * @returns {Object} receipt - the receipt with its receipt number
+ */
+export const createReceipt = async (db, draftReceipt) => {
+  const receiptRef = db.collection("receipts").doc(draftReceipt.id);
+  const counterRef = db
+    .collection("receiptCounters")
+    .doc(draftReceipt.propertyOwnerId);
+
+  return db.runTransaction(async (transaction) => {
+    const [receiptDoc, counterDoc] = await Promise.all([
+      transaction.get(receiptRef),
+      transaction.get(counterRef),
+    ]);
+    if (receiptDoc.exists) return receiptDoc.data();
+
+    const sequence = (counterDoc.exists ? counterDoc.data().sequence : 0) + 1;
+    const receipt = {
+      ...draftReceipt,
+      sequence,
+      receiptNumber: formatReceiptNumber(sequence),
+      storagePath: null,
+      createdOn: dayjs().toISOString(),
+    };
+
+    transaction.set(counterRef, {
+      sequence,
+      updatedOn: receipt.createdOn,
+    });
+    transaction.set(receiptRef, receipt);
+    return receipt;
+  });
+};
+
+/**
+ * toPdfText ...
+ *
+ * function used to replace the characters the standard pdf fonts cannot
+ * encode, so names and addresses never fail the receipt.
+ *
+ * @param {any} value - the value to write into the pdf
+ * @returns {string} - the printable text
+ */
+const toPdfText = (value) =>
+  String(value ?? "").replace(/[^\x20-\x7E\xA0-\xFF]/g, "?");
+
+/**
+ * buildReceiptPdf ...
+ *
+ * function used to render the receipt as a single page pdf with the property,
+ * tenant, rent month, line items, payment method and payment date.
+ *
+ * @param {Object} receipt - the receipt
+ * @returns {Buffer} - the pdf of the receipt
+ */
+export const buildReceiptPdf = async (receipt) => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(`Receipt ${receipt.receiptNumber}`);
+  pdfDoc.setCreator(BRANDING.name);
+
+  const page = pdfDoc.addPage([612, 792]);
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const margin = 56;
+  const rightEdge = page.getWidth() - margin;
+  const mutedColor = rgb(0.4, 0.4, 0.4);
+  let y = page.getHeight() - margin;
+
+  const drawText = (text, x, options = {}) =>
+    page.drawText(toPdfText(text), {
+      x,
+      y,
+      size: 11,
+      font,
+      ...options,
+    });
+  const drawRightText = (text, options = {}) => {
+    const size = options.size || 11;
+    const width = (options.font || font).widthOfTextAtSize(
+      toPdfText(text),
+      size,
+    );
+    drawText(text, rightEdge - width, options);
+  };
+  const drawRule = () =>
+    page.drawLine({
+      start: { x: margin, y: y + 12 },
+      end: { x: rightEdge, y: y + 12 },
+      thickness: 0.5,
+      color: mutedColor,
+    });
+
+  drawText(BRANDING.name, margin, { size: 18, font: boldFont });
+  drawRightText("PAYMENT RECEIPT", { size: 14, font: boldFont });
+  y -= 22;
+  drawRightText(`Receipt number ${receipt.receiptNumber}`, {
+    color: mutedColor,
+  });
+  y -= 40;
+
+  const details = [
+    ["Property", receipt.propertyAddress],
+    ["Tenant", receipt.tenantName || receipt.tenantEmail],
+    ["Tenant email", receipt.tenantName ? receipt.tenantEmail : null],
+    [
+      "Rent month",
+      receipt.rentMonth && dayjs(receipt.rentMonth).format("MMMM YYYY"),
+    ],
+    ["Payment method", receipt.paymentMethod],
+    ["Payment date", dayjs(receipt.paidOn).format("MMMM D, YYYY")],
+  ].filter(([, value]) => value);
+
+  for (const [label, value] of details) {
+    drawText(label, margin, { color: mutedColor });
+    drawText(value, margin + 120);
+    y -= 18;
+  }
+  y -= 24;
+
+  drawText("Description", margin, { font: boldFont });
+  drawRightText("Amount", { font: boldFont });
+  y -= 20;
+  drawRule();
+
+  for (const lineItem of receipt.lineItems) {
+    drawText(lineItem.name, margin);
+    drawRightText(formatAmount(lineItem.amount));
+    y -= 20;
+  }
+  drawRule();
+
+  drawText("Total paid", margin, { font: boldFont });
+  drawRightText(formatAmount(receipt.amount), { font: boldFont });
+  y -= 48;
+
+  drawText(
+    "Keep this receipt for your records. It can be downloaded again from your account.",
+    margin,
+    { size: 9, color: mutedColor },
+  );
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+/**
+ * saveReceiptPdf ...
+ *
+ * used to save the pdf of the receipt to the storage bucket and record where
+ * it is stored on the receipt.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} receipt - the receipt
+ * @param {Buffer} pdf - the pdf of the receipt
+ * @returns {Object} receipt - the receipt with the storage path of the pdf
+ */
+export const saveReceiptPdf = async (db, receipt, pdf) => {
+  const storagePath = buildReceiptStoragePath(receipt);
+  await fetchReceiptBucket()
+    .file(storagePath)
+    .save(pdf, { contentType: RECEIPT_CONTENT_TYPE, resumable: false });
+
+  await db
+    .collection("receipts")
+    .doc(receipt.id)
+    .set({ storagePath, updatedOn: dayjs().toISOString() }, { merge: true });
+  return { ...receipt, storagePath };
+};
+
+/**
+ * createPaymentReceipt ...
+ *
+ * used to create the receipt of a collected payment, render the pdf and save
+ * it so it can be downloaded later. The pdf of an existing receipt is only
+ * rendered again, not saved, so the stored receipt never changes.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} payment - the payment details from the webhook handler
+ * @param {Object} lease - the tenant and property of the payment
+ * @param {Array} lineItems - the name and amount of each line item in cents
+ * @returns {Object} - the receipt and the pdf of the receipt
+ */
+export const createPaymentReceipt = async (db, payment, lease, lineItems) => {
+  const receipt = await createReceipt(db, {
+    id: payment.stripePaymentIntentID,
+    propertyOwnerId: payment.propertyOwnerId,
+    propertyId: payment.propertyId,
+    tenantId: payment.tenantId,
+    tenantEmail: payment.tenantEmail || lease.tenant?.email || null,
+    tenantName: lease.tenant?.name || null,
+    propertyAddress: lease.property?.address || lease.property?.name || null,
+    rentMonth: payment.rentMonth ? formatRentMonth(payment.rentMonth) : null,
+    paymentType: payment.paymentType || null,
+    paymentMethod:
+      PAYMENT_METHOD_LABELS[payment.paymentMethodType] ||
+      payment.paymentMethodType ||
+      null,
+    lineItems,
+    amount: Number(payment.amount || 0),
+    paidOn: payment.updatedOn || dayjs().toISOString(),
+  });
+
+  const pdf = await buildReceiptPdf(receipt);
+  if (receipt.storagePath) return { receipt, pdf };
+
+  return { receipt: await saveReceiptPdf(db, receipt, pdf), pdf };
+};
+
+/**
+ * fetchReceiptDownloadUrl ...
+ *
+ * used to return a short lived url to download the pdf of the receipt.
+ *
+ * @param {Object} receipt - the receipt
+ * @param {number} expiresInMinutes - the number of minutes the url is valid for
+ * @returns {string} url - the signed download url
+ */
+export const fetchReceiptDownloadUrl = async (receipt, expiresInMinutes) => {
+  const [url] = await fetchReceiptBucket()
+    .file(receipt.storagePath)
+    .getSignedUrl({
+      action: "read",
+      expires: dayjs().add(expiresInMinutes, "minute").toDate(),
+      responseDisposition: `attachment; filename="receipt-${receipt.receiptNumber}.pdf"`,
+    });
+  return url;
+};
+
+/**
+ * fetchReceipts ...
+ *
+ * used to return the receipts of the lease, newest first.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} tenantId - the unique id of the tenant
+ * @param {string} propertyId - the unique id of the property
+ * @param {number} limit - the number of receipts to return
+ * @param {string} startAfter - the id of the last receipt of the previous page
+ * @returns {Array} receipts - the list of receipts
+ */
+export const fetchReceipts = async (
+  db,
+  tenantId,
+  propertyId,
+  limit,
+  startAfter,
+) => {
+  let query = db
+    .collection("receipts")
+    .where("tenantId", "==", tenantId)
+    .where("propertyId", "==", propertyId)
+    .orderBy("createdOn", "desc")
+    .limit(limit);
+
+  if (startAfter) {
+    const cursorDoc = await db.collection("receipts").doc(startAfter).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const receiptSnapshot = await query.get();
+  return receiptSnapshot.docs.map((doc) => doc.data());
+};
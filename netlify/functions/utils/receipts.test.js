@@ -0,0 +1,52 @@
+import { createFakeFirestore } from "./__mocks__/fakeFirestore";
+import { createReceipt, formatReceiptNumber } from "./receipts";
+
+const draftReceipt = (id, propertyOwnerId = "owner-1") => ({
+  id,
+  propertyOwnerId,
+  tenantId: "tenant-1",
+  propertyId: "property-1",
+  amount: 150000,
+});
+
+describe("formatReceiptNumber", () => {
+  test.each([
+    [1, "R-000001"],
+    [42, "R-000042"],
+    [1234567, "R-1234567"],
+  ])("formats %d as %s", (sequence, receiptNumber) => {
+    expect(formatReceiptNumber(sequence)).toBe(receiptNumber);
+  });
+});
+
+describe("createReceipt", () => {
+  test("numbers the receipts of an owner in sequence", async () => {
+    const db = createFakeFirestore();
+
+    const first = await createReceipt(db, draftReceipt("pi_1"));
+    const second = await createReceipt(db, draftReceipt("pi_2"));
+
+    expect(first.receiptNumber).toBe("R-000001");
+    expect(second.receiptNumber).toBe("R-000002");
+    expect(db.collections.receiptCounters["owner-1"].sequence).toBe(2);
+  });
+
+  test("keeps a separate sequence for each owner", async () => {
+    const db = createFakeFirestore();
+
+    await createReceipt(db, draftReceipt("pi_1", "owner-1"));
+    const receipt = await createReceipt(db, draftReceipt("pi_2", "owner-2"));
+
+    expect(receipt.receiptNumber).toBe("R-000001");
+  });
+
+  test("returns the existing receipt of a payment", async () => {
+    const db = createFakeFirestore();
+
+    const first = await createReceipt(db, draftReceipt("pi_1"));
+    const retried = await createReceipt(db, draftReceipt("pi_1"));
+
+    expect(retried).toEqual(first);
+    expect(db.collections.receiptCounters["owner-1"].sequence).toBe(1);
+  });
+});
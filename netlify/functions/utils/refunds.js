@@ -0,0 +1,203 @@
+import dayjs from "dayjs";
+
+import { LEDGER_CATEGORIES, postLedgerEntry } from "./ledger";
+
+const unsuccessfulRefundStatuses = ["failed", "canceled"];
+
+/**
+ * splitRefundAmount ...
+ *
+ * function used to split the refund into the rent and the card convenience
+ * fee it gives back. Rent is refunded first and the convenience fee only once
+ * the rent of the payment has been refunded in full.
+ *
+ * @param {Object} rent - the rent record of the refunded payment
+ * @param {Object} refund - the stripe refund object
+ * @returns {Object} - the rentAmount and feeAmount of the refund in cents
+ */
+const splitRefundAmount = (rent, refund) => {
+  const convenienceFee = Number(rent.convenienceFee || 0);
+  const refundedRentAmount = Object.values(rent.refunds || {})
+    .filter(
+      (draft) =>
+        draft.id !== refund.id &&
+        !unsuccessfulRefundStatuses.includes(draft.status),
+    )
+    .reduce((sum, draft) => sum + Number(draft.rentAmount ?? draft.amount), 0);
+
+  const refundableRentAmount = Math.max(
+    Number(rent.amount || 0) - convenienceFee - refundedRentAmount,
+    0,
+  );
+  const rentAmount = Math.min(refund.amount, refundableRentAmount);
+  return { rentAmount, feeAmount: refund.amount - rentAmount };
+};
+
+/**
+ * computeRefundedApplicationFee ...
+ *
+ * function used to return the platform fee given back with the refund.
+ * Stripe refunds the application fee in proportion to the refunded amount.
+ *
+ * @param {Object} rent - the rent record of the refunded payment
+ * @param {Object} refund - the stripe refund object
+ * @returns {number} applicationFeeAmount - the refunded application fee in cents
+ */
+const computeRefundedApplicationFee = (rent, refund) => {
+  const applicationFeeAmount = Number(rent.applicationFeeAmount || 0);
+  if (applicationFeeAmount <= 0 || !Number(rent.amount)) return 0;
+
+  return Math.min(
+    Math.round((applicationFeeAmount * refund.amount) / Number(rent.amount)),
+    applicationFeeAmount,
+  );
+};
+
+/**
+ * recordRefund ...
+ *
+ * used to record the stripe refund against the rent record of the payment.
+ * Refunds are keyed by the stripe refund id so the endpoint and the webhook
+ * can both record the same refund. The refunded amount only counts refunds
+ * that have not failed. The split between rent and convenience fee and the
+ * refunded application fee are kept from the first time the refund is
+ * recorded.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} stripePaymentIntentID - the payment intent that was refunded
+ * @param {Object} refund - the stripe refund object
+ * @param {string} updatedBy - the user or system updating the refund
+ * @returns {Object} rent - the updated rent record, null if not found
+ */
+export const recordRefund = async (
+  db,
+  stripePaymentIntentID,
+  refund,
+  updatedBy,
+) => {
+  const rentRef = db.collection("rents").doc(stripePaymentIntentID);
+
+  return db.runTransaction(async (transaction) => {
+    const rentDoc = await transaction.get(rentRef);
+    if (!rentDoc.exists) return null;
+
+    const rent = rentDoc.data();
+    const updatedOn = dayjs().toISOString();
+    const refunds = {
+      ...rent.refunds,
+      [refund.id]: {
+        createdOn: updatedOn,
+        createdBy: updatedBy,
+        ...splitRefundAmount(rent, refund),
+        applicationFeeAmount: computeRefundedApplicationFee(rent, refund),
+        ...rent.refunds?.[refund.id],
+        id: refund.id,
+        amount: refund.amount,
+        status: refund.status,
+        reason: refund.reason || null,
+        updatedOn,
+        updatedBy,
+      },
+    };
+
+    const successfulRefunds = Object.values(refunds).filter(
+      (draft) => !unsuccessfulRefundStatuses.includes(draft.status),
+    );
+    const refundedAmount = successfulRefunds.reduce(
+      (sum, draft) => sum + draft.amount,
+      0,
+    );
+    const refundedApplicationFees = Math.min(
+      successfulRefunds.reduce(
+        (sum, draft) => sum + Number(draft.applicationFeeAmount || 0),
+        0,
+      ),
+      Number(rent.applicationFeeAmount || 0),
+    );
+
+    let refundStatus = null;
+    if (refundedAmount > 0) {
+      refundStatus =
+        refundedAmount >= Number(rent.amount)
+          ? "refunded"
+          : "partially_refunded";
+    }
+
+    transaction.set(
+      rentRef,
+      {
+        refunds,
+        refundedAmount,
+        refundedApplicationFees,
+        refundStatus,
+        updatedOn,
+      },
+      { merge: true },
+    );
+
+    return {
+      ...rent,
+      refunds,
+      refundedAmount,
+      refundedApplicationFees,
+      refundStatus,
+    };
+  });
+};
+
+/**
+ * postRefundToLedger ...
+ *
+ * used to post the rent part of the refund to the tenant ledger. The card
+ * convenience fee was never credited to the ledger, so refunding it does not
+ * change the balance. A refund that fails after it has been posted is
+ * reversed so the balance stays consistent.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} rent - the rent record of the refunded payment, see recordRefund
+ * @param {Object} refund - the stripe refund object
+ */
+export const postRefundToLedger = async (db, rent, refund) => {
+  const rentAmount = rent.refunds?.[refund.id]?.rentAmount ?? refund.amount;
+  if (rentAmount <= 0) return;
+
+  const draftEntry = {
+    tenantId: rent.tenantId,
+    propertyId: rent.propertyId,
+    propertyOwnerId: rent.propertyOwnerId,
+    amount: rentAmount,
+    rentMonth: rent.rentMonth,
+    reference: refund.id,
+    createdBy: "system",
+  };
+
+  if (!unsuccessfulRefundStatuses.includes(refund.status)) {
+    await postLedgerEntry(
+      db,
+      {
+        ...draftEntry,
+        category: LEDGER_CATEGORIES.REFUND,
+        description: "Stripe refund",
+      },
+      `refund_${refund.id}`,
+    );
+    return;
+  }
+
+  const refundEntry = await db
+    .collection("ledgerEntries")
+    .doc(`refund_${refund.id}`)
+    .get();
+
+  if (refundEntry.exists) {
+    await postLedgerEntry(
+      db,
+      {
+        ...draftEntry,
+        category: LEDGER_CATEGORIES.STRIPE_PAYMENT,
+        description: `Refund ${refund.status}`,
+      },
+      `refund_reversal_${refund.id}`,
+    );
+  }
+};
@@ -0,0 +1,184 @@
+import dayjs from "dayjs";
+
+export const REMINDER_LOG_STATUSES = {
+  SENDING: "sending",
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+// a claimed reminder can be claimed again if the run stops before recording it
+const SEND_LEASE_MINUTES = 10;
+
+/**
+ * buildReminderLogId ...
+ *
+ * function used to build the id of the reminder log. A reminder is only sent
+ * once per tenant, rent month, kind and offset, so retried jobs can find the
+ * reminders that already went out.
+ *
+ * @param {string} tenantId - the unique id of the tenant
+ * @param {string} rentMonth - the rent month of the reminder. Eg, 2025-08
+ * @param {string} kind - the kind of reminder, either upcoming or overdue
+ * @param {number} offset - the number of days before or after the due date
+ * @returns {string} - the id of the reminder log
+ */
+export const buildReminderLogId = (tenantId, rentMonth, kind, offset) =>
+  `${tenantId}_${rentMonth}_${kind}_${offset}`;
+
+/**
+ * fetchReminderLog ...
+ *
+ * used to return the reminder log for the selected id.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} logId - the id of the reminder log
+ * @returns {Object} reminderLog - the reminder log, null if the reminder was never sent
+ */
+export const fetchReminderLog = async (db, logId) => {
+  const logDoc = await db.collection("reminderLogs").doc(logId).get();
+  return logDoc.exists ? logDoc.data() : null;
+};
+
+/**
+ * filterUnsentRecipients ...
+ *
+ * function used to return the recipients that have not received the
+ * reminder yet. Recipients that failed are retried.
+ *
+ * @param {Object} reminderLog - the reminder log of previous attempts, if any
+ * @param {Array} recipients - the email addresses of the recipients
+ * @returns {Array} recipients - the recipients without a sent delivery
+ */
+export const filterUnsentRecipients = (reminderLog, recipients) =>
+  recipients.filter(
+    (to) =>
+      !reminderLog?.deliveries?.some(
+        (delivery) =>
+          delivery.to === to && delivery.status === REMINDER_LOG_STATUSES.SENT,
+      ),
+  );
+
+/**
+ * claimReminderLog ...
+ *
+ * used to claim the reminder log before the reminder is sent, so two runs
+ * never send the same reminder. The claim expires after SEND_LEASE_MINUTES
+ * and is released once the outcome is recorded.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} logId - the id of the reminder log
+ * @param {Array} recipients - the email addresses of the recipients
+ * @returns {Object} claim - the reminderLog of previous attempts and the recipients to send to, null if it cannot be claimed
+ */
+export const claimReminderLog = async (db, logId, recipients) => {
+  const logRef = db.collection("reminderLogs").doc(logId);
+
+  return db.runTransaction(async (transaction) => {
+    const logDoc = await transaction.get(logRef);
+    const reminderLog = logDoc.exists ? logDoc.data() : null;
+
+    if (dayjs(reminderLog?.claimedUntil).isAfter(dayjs())) return null;
+
+    const unsentRecipients = filterUnsentRecipients(reminderLog, recipients);
+    if (unsentRecipients.length === 0) return null;
+
+    const claimedUntil = dayjs()
+      .add(SEND_LEASE_MINUTES, "minute")
+      .toISOString();
+    if (reminderLog) {
+      transaction.update(logRef, { claimedUntil });
+    } else {
+      transaction.set(logRef, {
+        id: logId,
+        status: REMINDER_LOG_STATUSES.SENDING,
+        deliveries: [],
+        attempts: 0,
+        claimedUntil,
+        createdOn: dayjs().toISOString(),
+      });
+    }
+    return { reminderLog, recipients: unsentRecipients };
+  });
+};
+
+/**
+ * recordReminderLog ...
+ *
+ * used to record the outcome of sending a reminder. Each recipient keeps the
+ * response of the email provider and the reminder is only marked as sent
+ * when every recipient received it. Recording the outcome releases the claim
+ * of the reminder log.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} logId - the id of the reminder log
+ * @param {Object} reminder - the tenantId, propertyId, rentMonth, kind, offset, subject and amount of the reminder
+ * @param {Array} deliveries - the to, status and providerResponse of each recipient
+ * @param {Object} existingLog - the reminder log of previous attempts, if any
+ * @returns {Object} reminderLog - the updated reminder log
+ */
+export const recordReminderLog = async (
+  db,
+  logId,
+  reminder,
+  deliveries,
+  existingLog,
+) => {
+  const mergedDeliveries = [
+    ...(existingLog?.deliveries || []).filter(
+      (delivery) => !deliveries.some(({ to }) => to === delivery.to),
+    ),
+    ...deliveries,
+  ];
+
+  const reminderLog = {
+    id: logId,
+    ...reminder,
+    deliveries: mergedDeliveries,
+    status: mergedDeliveries.every(
+      (delivery) => delivery.status === REMINDER_LOG_STATUSES.SENT,
+    )
+      ? REMINDER_LOG_STATUSES.SENT
+      : REMINDER_LOG_STATUSES.FAILED,
+    attempts: (existingLog?.attempts || 0) + 1,
+    createdOn: existingLog?.createdOn || dayjs().toISOString(),
+    updatedOn: dayjs().toISOString(),
+  };
+
+  await db.collection("reminderLogs").doc(logId).set(reminderLog);
+  return reminderLog;
+};
+
+/**
+ * fetchReminderLogs ...
+ *
+ * used to return the reminders sent to the tenant of the lease, newest first.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} tenantId - the unique id of the tenant
+ * @param {string} propertyId - the unique id of the property
+ * @param {number} limit - the number of reminder logs to return
+ * @param {string} startAfter - the id of the last reminder log of the previous page
+ * @returns {Array} reminderLogs - the list of reminder logs
+ */
+export const fetchReminderLogs = async (
+  db,
+  tenantId,
+  propertyId,
+  limit,
+  startAfter,
+) => {
+  let query = db
+    .collection("reminderLogs")
+    .where("tenantId", "==", tenantId)
+    .where("propertyId", "==", propertyId)
+    .orderBy("createdOn", "desc")
+    .limit(limit);
+
+  if (startAfter) {
+    const cursorDoc = await db.collection("reminderLogs").doc(startAfter).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const logSnapshot = await query.get();
+  return logSnapshot.docs.map((doc) => doc.data());
+};
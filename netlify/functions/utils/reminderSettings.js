@@ -0,0 +1,119 @@
+export const REMINDER_KINDS = {
+  UPCOMING: "upcoming",
+  OVERDUE: "overdue",
+  ESCALATION: "escalation",
+};
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: true,
+  beforeDueDays: [7, 3, 1, 0],
+  afterDueDays: [1, 3, 7],
+  copyOwner: { beforeDueDays: [], afterDueDays: [] },
+};
+
+const MAX_REMINDER_OFFSET_DAYS = 60;
+
+/**
+ * resolveReminderSettings ...
+ *
+ * function used to return the reminder settings of a lease. Settings of the
+ * lease override the settings of the property, and leases without either
+ * fall back to the default reminder settings.
+ *
+ * @param {Object} property - the property record
+ * @param {Object} tenant - the tenant record
+ * @returns {Object} settings - the reminder settings of the lease
+ */
+export const resolveReminderSettings = (property, tenant) => {
+  const settings =
+    tenant?.reminderSettings ||
+    property?.reminderSettings ||
+    DEFAULT_REMINDER_SETTINGS;
+
+  return {
+    enabled: settings.enabled !== false,
+    beforeDueDays: settings.beforeDueDays || [],
+    afterDueDays: settings.afterDueDays || [],
+    copyOwner: {
+      beforeDueDays: settings.copyOwner?.beforeDueDays || [],
+      afterDueDays: settings.copyOwner?.afterDueDays || [],
+    },
+  };
+};
+
+/**
+ * validateReminderSettings ...
+ *
+ * function used to validate the reminder settings passed in by the owner.
+ * Offsets are whole days before or after the due date, and the owner can
+ * only be copied on reminders that are sent.
+ *
+ * @param {Object} settings - the enabled, beforeDueDays, afterDueDays and copyOwner settings
+ * @returns {string} error - the validation error, null if settings are valid
+ */
+export const validateReminderSettings = (settings) => {
+  if (!settings || typeof settings !== "object") {
+    return "Missing required field: 'reminderSettings'";
+  }
+  if (typeof settings.enabled !== "boolean") {
+    return "'reminderSettings.enabled' must be either true or false";
+  }
+
+  for (const field of ["beforeDueDays", "afterDueDays"]) {
+    const offsets = settings[field] || [];
+    if (!Array.isArray(offsets) || !offsets.every(isValidOffset)) {
+      return `'reminderSettings.${field}' must be a list of whole days between 0 and ${MAX_REMINDER_OFFSET_DAYS}`;
+    }
+
+    const copyOwnerOffsets = settings.copyOwner?.[field] || [];
+    if (
+      !Array.isArray(copyOwnerOffsets) ||
+      !copyOwnerOffsets.every((offset) => offsets.includes(offset))
+    ) {
+      return `'reminderSettings.copyOwner.${field}' must only list days from '${field}'`;
+    }
+  }
+  return null;
+};
+
+/**
+ * findReminder ...
+ *
+ * function used to find the reminder that is due for the number of days
+ * left until the rent is due. Negative days are past the due date.
+ *
+ * @param {Object} settings - the reminder settings of the lease
+ * @param {number} diffDays - the number of days until the due date
+ * @returns {Object} reminder - the kind of reminder and if the owner is copied, null if none is due
+ */
+export const findReminder = (settings, diffDays) => {
+  if (!settings.enabled) return null;
+
+  if (diffDays >= 0 && settings.beforeDueDays.includes(diffDays)) {
+    return {
+      kind: REMINDER_KINDS.UPCOMING,
+      offset: diffDays,
+      copyOwner: settings.copyOwner.beforeDueDays.includes(diffDays),
+    };
+  }
+
+  if (diffDays < 0 && settings.afterDueDays.includes(-diffDays)) {
+    return {
+      kind: REMINDER_KINDS.OVERDUE,
+      offset: -diffDays,
+      copyOwner: settings.copyOwner.afterDueDays.includes(-diffDays),
+    };
+  }
+  return null;
+};
+
+/**
+ * isValidOffset ...
+ *
+ * function used to validate a single reminder offset in days.
+ *
+ * @param {number} offset - the number of days before or after the due date
+ * @returns {boolean} - true if the offset is valid
+ */
+const isValidOffset = (offset) =>
+  Number.isInteger(offset) && offset >= 0 && offset <= MAX_REMINDER_OFFSET_DAYS;
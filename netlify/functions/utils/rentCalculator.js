@@ -0,0 +1,66 @@
+import dayjs from "dayjs";
+
+import { computeLateFee, resolveLateFeeRules } from "./lateFees";
+import { computeDueDate, resolveTimeZone } from "./leaseSchedule";
+import { computeShareAmounts } from "./rentShares";
+import { toCents } from "./utils";
+
+/**
+ * computeRentCharges ...
+ *
+ * function used to compute the charges owed by the tenant for the selected
+ * rent month from the lease terms stored with the tenant and the late fee
+ * rules of the property. Roommates on a shared lease are charged their
+ * share of the rent. Dates are in the time zone of the property. All amounts
+ * are returned in cents.
+ *
+ * @param {Object} tenant - the tenant record
+ * @param {Object} property - the property record
+ * @param {string} rentMonth - the rent month
+ * @param {Object} asOf - the dayjs date the charges are computed for
+ * @returns {Object} charges - the itemized charges with the total amount
+ */
+export const computeRentCharges = (
+  tenant,
+  property,
+  rentMonth,
+  asOf = dayjs(),
+) => {
+  const timeZone = resolveTimeZone(property);
+  const dueDate = computeDueDate(tenant.start_date, rentMonth, timeZone);
+
+  // roommates on a shared lease only owe their own share of the rent
+  const shareAmount = computeShareAmounts(property?.sharedLease)[tenant.id];
+  const isSharedLease = shareAmount !== undefined;
+  const rentAmount = isSharedLease ? shareAmount : toCents(tenant.rent);
+  const additionalCharges = toCents(tenant.additional_rent);
+  const lateFee = computeLateFee(
+    resolveLateFeeRules(property, tenant),
+    rentAmount,
+    dueDate,
+    dayjs(asOf).tz(timeZone),
+  );
+
+  const lineItems = [
+    {
+      name: isSharedLease ? "Monthly Rent (your share)" : "Monthly Rent",
+      amount: rentAmount,
+    },
+    { name: "Additional Charges", amount: additionalCharges },
+    { name: "Initial late fee", amount: lateFee.initialLateFee },
+    { name: "Daily late fee", amount: lateFee.dailyLateFee },
+  ].filter((lineItem) => lineItem.amount > 0);
+
+  return {
+    dueDate,
+    daysLate: lateFee.daysLate,
+    isSharedLease,
+    rentAmount,
+    additionalCharges,
+    initialLateFee: lateFee.initialLateFee,
+    dailyLateFee: lateFee.dailyLateFee,
+    totalLateFee: lateFee.totalLateFee,
+    lineItems,
+    total: lineItems.reduce((sum, lineItem) => sum + lineItem.amount, 0),
+  };
+};
@@ -0,0 +1,96 @@
+import dayjs from "dayjs";
+
+import { computeRentCharges } from "./rentCalculator";
+import { SHARE_TYPES } from "./rentShares";
+
+const tenant = {
+  id: "tenant-1",
+  start_date: "2025-01-05",
+  rent: 1500,
+  additional_rent: 75.5,
+  initial_late_fee: 50,
+  daily_late_fee: 10,
+};
+
+describe("computeRentCharges", () => {
+  test("charges the rent and additional charges in cents before the due date", () => {
+    const charges = computeRentCharges(
+      tenant,
+      { timeZone: "UTC" },
+      "2025-03",
+      dayjs("2025-03-01T12:00:00Z"),
+    );
+
+    expect(charges.dueDate.format("YYYY-MM-DD")).toBe("2025-03-05");
+    expect(charges.rentAmount).toBe(150000);
+    expect(charges.additionalCharges).toBe(7550);
+    expect(charges.totalLateFee).toBe(0);
+    expect(charges.lineItems).toEqual([
+      { name: "Monthly Rent", amount: 150000 },
+      { name: "Additional Charges", amount: 7550 },
+    ]);
+    expect(charges.total).toBe(157550);
+  });
+
+  test("adds the late fees once the rent is late", () => {
+    const charges = computeRentCharges(
+      tenant,
+      { timeZone: "UTC" },
+      "2025-03",
+      dayjs("2025-03-08T12:00:00Z"),
+    );
+
+    expect(charges.daysLate).toBe(3);
+    expect(charges.initialLateFee).toBe(5000);
+    expect(charges.dailyLateFee).toBe(2000);
+    expect(charges.total).toBe(157550 + 7000);
+  });
+
+  test("uses the late fee rules of the property over the tenant", () => {
+    const property = {
+      timeZone: "UTC",
+      lateFeeRules: {
+        gracePeriodDays: 5,
+        initialLateFee: 100,
+        dailyLateFee: 0,
+      },
+    };
+
+    const charges = computeRentCharges(
+      tenant,
+      property,
+      "2025-03",
+      dayjs("2025-03-08T12:00:00Z"),
+    );
+
+    expect(charges.daysLate).toBe(0);
+    expect(charges.totalLateFee).toBe(0);
+  });
+
+  test("charges roommates their share of a shared lease", () => {
+    const property = {
+      timeZone: "UTC",
+      sharedLease: {
+        totalRent: 2000,
+        shares: {
+          "tenant-1": { type: SHARE_TYPES.PERCENTAGE, value: 60 },
+          "tenant-2": { type: SHARE_TYPES.PERCENTAGE, value: 40 },
+        },
+      },
+    };
+
+    const charges = computeRentCharges(
+      tenant,
+      property,
+      "2025-03",
+      dayjs("2025-03-01T12:00:00Z"),
+    );
+
+    expect(charges.isSharedLease).toBe(true);
+    expect(charges.rentAmount).toBe(120000);
+    expect(charges.lineItems[0]).toEqual({
+      name: "Monthly Rent (your share)",
+      amount: 120000,
+    });
+  });
+});
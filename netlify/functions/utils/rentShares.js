@@ -0,0 +1,175 @@
+import dayjs from "dayjs";
+
+import { fetchPropertyById } from "./firestore";
+import { formatRentMonth, toCents } from "./utils";
+
+export const SHARE_TYPES = {
+  FIXED: "fixed",
+  PERCENTAGE: "percentage",
+};
+
+export const RENT_MONTH_STATUSES = {
+  PARTIALLY_PAID: "partially_paid",
+  PAID: "paid",
+};
+
+/**
+ * computeShareAmounts ...
+ *
+ * function used to split the total rent of a shared lease between the
+ * roommates. Fixed shares are in dollars and percentage shares are a percent
+ * of the total rent. Cents lost to rounding go to the first percentage share.
+ *
+ * @param {Object} sharedLease - the total rent and shares of the property
+ * @returns {Object} shareAmounts - the share of each tenant in cents
+ */
+export const computeShareAmounts = (sharedLease) => {
+  const totalRent = toCents(sharedLease?.totalRent);
+  const shares = Object.entries(sharedLease?.shares || {});
+
+  const shareAmounts = {};
+  for (const [tenantId, share] of shares) {
+    shareAmounts[tenantId] =
+      share.type === SHARE_TYPES.PERCENTAGE
+        ? Math.floor((totalRent * Number(share.value)) / 100)
+        : toCents(share.value);
+  }
+
+  const allocated = Object.values(shareAmounts).reduce((a, b) => a + b, 0);
+  const firstPercentageShare = shares.find(
+    ([, share]) => share.type === SHARE_TYPES.PERCENTAGE,
+  );
+  if (firstPercentageShare && allocated < totalRent) {
+    shareAmounts[firstPercentageShare[0]] += totalRent - allocated;
+  }
+
+  return shareAmounts;
+};
+
+/**
+ * validateRentShares ...
+ *
+ * function used to validate the shares passed in by the owner. The shares
+ * must add up to the total rent of the lease.
+ *
+ * @param {number} totalRent - the total monthly rent in dollars
+ * @param {Array} shares - the list of tenantId, type and value of each share
+ * @returns {string} error - the validation error, null if shares are valid
+ */
+export const validateRentShares = (totalRent, shares) => {
+  if (!(Number(totalRent) > 0)) {
+    return "'totalRent' must be a positive amount";
+  }
+  if (!Array.isArray(shares) || shares.length < 2) {
+    return "'shares' must list at least two roommates";
+  }
+
+  const tenantIds = new Set();
+  let fixedTotal = 0;
+  let percentageTotal = 0;
+
+  for (const [index, share] of shares.entries()) {
+    if (!share?.tenantId || tenantIds.has(share.tenantId)) {
+      return `'shares[${index}].tenantId' is missing or repeated`;
+    }
+    if (!Object.values(SHARE_TYPES).includes(share.type)) {
+      return `'shares[${index}].type' must be either 'fixed' or 'percentage'`;
+    }
+    if (!(Number(share.value) > 0)) {
+      return `'shares[${index}].value' must be a positive amount`;
+    }
+
+    tenantIds.add(share.tenantId);
+    if (share.type === SHARE_TYPES.PERCENTAGE) {
+      percentageTotal += Number(share.value);
+    } else {
+      fixedTotal += toCents(share.value);
+    }
+  }
+
+  const totalRentInCents = toCents(totalRent);
+  const allocated = Math.round(
+    fixedTotal + (totalRentInCents * percentageTotal) / 100,
+  );
+  if (allocated !== totalRentInCents) {
+    return "'shares' must add up to the total rent";
+  }
+  return null;
+};
+
+/**
+ * fetchRentMonth ...
+ *
+ * used to return the collection status of the shared rent for the month.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {string} propertyId - the unique id of the property
+ * @param {string} rentMonth - the rent month
+ * @returns {Object} rentMonthData - the shares collected, null if nothing is collected yet
+ */
+export const fetchRentMonth = async (db, propertyId, rentMonth) => {
+  const rentMonthDoc = await db
+    .collection("rentMonths")
+    .doc(`${propertyId}_${formatRentMonth(rentMonth)}`)
+    .get();
+
+  return rentMonthDoc.exists ? rentMonthDoc.data() : null;
+};
+
+/**
+ * recordSharePayment ...
+ *
+ * used to record a rent payment against the share of the roommate. Payments
+ * are keyed by their reference so retried webhooks are not counted twice.
+ * The rent month is only marked as paid when every share is collected.
+ *
+ * @param {Object} db - the firestore instance
+ * @param {Object} rent - the tenantId, propertyId, rentMonth, amount and stripePaymentIntentID of the payment
+ * @returns {Object} rentMonthData - the updated rent month, null if the lease is not shared
+ */
+export const recordSharePayment = async (db, rent) => {
+  const property = await fetchPropertyById(db, rent.propertyId);
+  const shareAmounts = computeShareAmounts(property?.sharedLease);
+
+  if (!rent.rentMonth || !(rent.tenantId in shareAmounts)) return null;
+
+  const rentMonth = formatRentMonth(rent.rentMonth);
+  const rentMonthRef = db
+    .collection("rentMonths")
+    .doc(`${rent.propertyId}_${rentMonth}`);
+
+  return db.runTransaction(async (transaction) => {
+    const rentMonthDoc = await transaction.get(rentMonthRef);
+    const existingShares = rentMonthDoc.exists
+      ? rentMonthDoc.data().shares
+      : {};
+
+    const shares = {};
+    for (const [tenantId, amountDue] of Object.entries(shareAmounts)) {
+      const payments = { ...existingShares[tenantId]?.payments };
+      if (tenantId === rent.tenantId) {
+        payments[rent.stripePaymentIntentID] = Number(rent.amount);
+      }
+      shares[tenantId] = {
+        amountDue,
+        amountPaid: Object.values(payments).reduce((a, b) => a + b, 0),
+        payments,
+      };
+    }
+
+    const rentMonthData = {
+      propertyId: rent.propertyId,
+      rentMonth,
+      shares,
+      status: Object.values(shares).every(
+        (share) => share.amountPaid >= share.amountDue,
+      )
+        ? RENT_MONTH_STATUSES.PAID
+        : RENT_MONTH_STATUSES.PARTIALLY_PAID,
+      updatedOn: dayjs().toISOString(),
+    };
+
+    transaction.set(rentMonthRef, rentMonthData);
+    return rentMonthData;
+  });
+};
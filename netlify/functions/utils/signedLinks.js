@@ -0,0 +1,93 @@
+import dayjs from "dayjs";
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+/**
+ * signPayload ...
+ *
+ * function used to sign the encoded payload with LINK_SIGNING_SECRET.
+ *
+ * @param {string} encodedPayload - the base64url encoded payload
+ * @returns {string} - the base64url encoded signature
+ */
+const signPayload = (encodedPayload) => {
+  if (!process.env.LINK_SIGNING_SECRET) {
+    throw new Error("unable to sign link. missing LINK_SIGNING_SECRET.");
+  }
+  return createHmac("sha256", process.env.LINK_SIGNING_SECRET)
+    .update(encodedPayload)
+    .digest("base64url");
+};
+
+/**
+ * createSignedToken ...
+ *
+ * function used to create a token that can be emailed to users who are not
+ * signed in. The payload is readable but cannot be changed without breaking
+ * the signature.
+ *
+ * @param {Object} payload - the data of the token, must include the purpose
+ * @param {number} expiresInDays - the number of days the token is valid for
+ * @returns {string} - the signed token
+ */
+export const createSignedToken = (payload, expiresInDays) => {
+  const encodedPayload = Buffer.from(
+    JSON.stringify({
+      ...payload,
+      expiresOn: dayjs().add(expiresInDays, "day").toISOString(),
+    }),
+  ).toString("base64url");
+
+  return `${encodedPayload}.${signPayload(encodedPayload)}`;
+};
+
+/**
+ * verifySignedToken ...
+ *
+ * function used to verify the signature and expiry of the token and that it
+ * was created for the expected purpose.
+ *
+ * @param {string} token - the signed token
+ * @param {string} purpose - the expected purpose of the token
+ * @returns {Object} payload - the data of the token, null if invalid or expired
+ */
+export const verifySignedToken = (token, purpose) => {
+  const [encodedPayload, signature] = token?.split(".") || [];
+  if (!encodedPayload || !signature) return null;
+
+  const expected = Buffer.from(signPayload(encodedPayload));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(
+      Buffer.from(encodedPayload, "base64url").toString("utf8"),
+    );
+    if (payload.purpose !== purpose) return null;
+    if (dayjs().isAfter(dayjs(payload.expiresOn))) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * buildSignedLink ...
+ *
+ * function used to append the signed token to the selected url.
+ *
+ * @param {string} baseUrl - the url of the page that handles the link
+ * @param {Object} payload - the data of the token, must include the purpose
+ * @param {number} expiresInDays - the number of days the link is valid for
+ * @returns {string} - the signed link
+ */
+export const buildSignedLink = (baseUrl, payload, expiresInDays) => {
+  const url = new URL(baseUrl);
+  url.searchParams.set("token", createSignedToken(payload, expiresInDays));
+  return url.toString();
+};
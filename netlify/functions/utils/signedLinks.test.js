@@ -0,0 +1,91 @@
+import dayjs from "dayjs";
+
+import {
+  buildSignedLink,
+  createSignedToken,
+  verifySignedToken,
+} from "./signedLinks";
+
+const payload = { purpose: "unsubscribe", email: "tenant@example.com" };
+
+describe("signedLinks", () => {
+  const linkSigningSecret = process.env.LINK_SIGNING_SECRET;
+
+  beforeEach(() => {
+    process.env.LINK_SIGNING_SECRET = "test-secret";
+  });
+
+  afterEach(() => {
+    if (linkSigningSecret === undefined) {
+      delete process.env.LINK_SIGNING_SECRET;
+    } else {
+      process.env.LINK_SIGNING_SECRET = linkSigningSecret;
+    }
+  });
+
+  test("verifies a token created for the same purpose", () => {
+    const token = createSignedToken(payload, 7);
+
+    expect(verifySignedToken(token, "unsubscribe")).toMatchObject(payload);
+  });
+
+  test("rejects a token created for another purpose", () => {
+    const token = createSignedToken(payload, 7);
+
+    expect(verifySignedToken(token, "lease_renewal")).toBeNull();
+  });
+
+  test("rejects a token with a changed payload", () => {
+    const [, signature] = createSignedToken(payload, 7).split(".");
+    const changedPayload = Buffer.from(
+      JSON.stringify({
+        ...payload,
+        email: "owner@example.com",
+        expiresOn: dayjs().add(7, "day").toISOString(),
+      }),
+    ).toString("base64url");
+
+    expect(
+      verifySignedToken(`${changedPayload}.${signature}`, "unsubscribe"),
+    ).toBeNull();
+  });
+
+  test("rejects a token signed with another secret", () => {
+    const token = createSignedToken(payload, 7);
+    process.env.LINK_SIGNING_SECRET = "rotated-secret";
+
+    expect(verifySignedToken(token, "unsubscribe")).toBeNull();
+  });
+
+  test("rejects an expired token", () => {
+    const token = createSignedToken(payload, -1);
+
+    expect(verifySignedToken(token, "unsubscribe")).toBeNull();
+  });
+
+  test.each([[undefined], [""], ["not-a-token"]])(
+    "rejects the malformed token %j",
+    (token) => {
+      expect(verifySignedToken(token, "unsubscribe")).toBeNull();
+    },
+  );
+
+  test("requires the signing secret", () => {
+    delete process.env.LINK_SIGNING_SECRET;
+
+    expect(() => createSignedToken(payload, 7)).toThrow(
+      "unable to sign link. missing LINK_SIGNING_SECRET.",
+    );
+  });
+
+  test("appends the token to the link", () => {
+    const link = new URL(
+      buildSignedLink("https://example.com/preferences?tab=email", payload, 7),
+    );
+
+    expect(link.searchParams.get("tab")).toBe("email");
+    expect(
+      verifySignedToken(link.searchParams.get("token"), "unsubscribe"),
+    ).toMatchObject(payload);
+  });
+});
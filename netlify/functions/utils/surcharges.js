@@ -0,0 +1,83 @@
+import { toCents } from "./utils";
+
+export const SURCHARGE_TYPES = {
+  FLAT: "flat",
+  PERCENTAGE: "percentage",
+};
+
+// bank payments are always free for the tenant
+export const SURCHARGE_PAYMENT_METHOD_TYPE = "card";
+
+// card networks do not allow surcharges above 3 percent of the payment
+export const MAX_SURCHARGE_PERCENTAGE = 3;
+
+/**
+ * validateCardSurcharge ...
+ *
+ * function used to validate the card surcharge settings passed in by the
+ * owner. Flat surcharges are in dollars and percentage surcharges are a
+ * percent of the amount being paid.
+ *
+ * @param {Object} cardSurcharge - the enabled, type and value of the surcharge
+ * @returns {string} error - the validation error, null if settings are valid
+ */
+export const validateCardSurcharge = (cardSurcharge) => {
+  if (!cardSurcharge || typeof cardSurcharge !== "object") {
+    return "Missing required field: 'cardSurcharge'";
+  }
+
+  const { enabled, type, value } = cardSurcharge;
+
+  if (typeof enabled !== "boolean") {
+    return "'cardSurcharge.enabled' must be either true or false";
+  }
+  if (!enabled) return null;
+
+  if (!Object.values(SURCHARGE_TYPES).includes(type)) {
+    return "'cardSurcharge.type' must be either 'flat' or 'percentage'";
+  }
+  if (!(Number(value) > 0)) {
+    return "'cardSurcharge.value' must be a positive amount";
+  }
+  if (
+    type === SURCHARGE_TYPES.PERCENTAGE &&
+    Number(value) > MAX_SURCHARGE_PERCENTAGE
+  ) {
+    return `'cardSurcharge.value' cannot exceed ${MAX_SURCHARGE_PERCENTAGE} percent`;
+  }
+  return null;
+};
+
+/**
+ * computeCardSurcharge ...
+ *
+ * function used to compute the convenience fee added to the payment when the
+ * tenant pays by card. Other payment methods are never surcharged and
+ * percentages saved before the cap was enforced are capped.
+ *
+ * @param {Object} cardSurcharge - the surcharge settings of the owner
+ * @param {number} amount - the amount being paid in cents
+ * @param {string} paymentMethodType - the payment method selected by the tenant
+ * @returns {number} - the convenience fee in cents
+ */
+export const computeCardSurcharge = (
+  cardSurcharge,
+  amount,
+  paymentMethodType,
+) => {
+  if (
+    !cardSurcharge?.enabled ||
+    paymentMethodType !== SURCHARGE_PAYMENT_METHOD_TYPE
+  ) {
+    return 0;
+  }
+
+  if (cardSurcharge.type === SURCHARGE_TYPES.PERCENTAGE) {
+    const percentage = Math.min(
+      Number(cardSurcharge.value),
+      MAX_SURCHARGE_PERCENTAGE,
+    );
+    return Math.round((amount * percentage) / 100);
+  }
+  return toCents(cardSurcharge.value);
+};
@@ -1,7 +1,4 @@
-// default allowed uris for header access
-const allowOriginUris = process?.env?.ALLOW_SITE_URIS?.split(",").map((uri) =>
-  uri.trim(),
-);
+import dayjs from "dayjs";
 
 /**
  * populateCorsHeaders ...
@@ -14,6 +11,123 @@ export const populateCorsHeaders = () => {
   return {
     "Access-Control-Allow-Origin": "*",
     "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
   };
 };
+
+/**
+ * describePaymentMethod ...
+ *
+ * function used to build a readable description of the stripe payment
+ * method used by the tenant. Eg, VISA CREDIT CARD.
+ *
+ * @param {Object} paymentMethod - the stripe payment method object
+ * @returns {string} - the readable payment method description
+ */
+export const describePaymentMethod = (paymentMethod) => {
+  if (paymentMethod.type === "card") {
+    return `${paymentMethod.card.brand.toUpperCase()} ${paymentMethod.card.funding.toUpperCase()} CARD`;
+  } else if (paymentMethod.type === "us_bank_account") {
+    return `US BANK ACCOUNT (${paymentMethod.us_bank_account.bank_name || "Unknown Bank"})`;
+  }
+  return paymentMethod.type.toUpperCase();
+};
+
+/**
+ * toCents ...
+ *
+ * function used to convert dollar amounts stored with the lease into
+ * the smallest currency unit expected by stripe.
+ *
+ * @param {number|string} amount - the amount in dollars
+ * @returns {number} - the amount in cents
+ */
+export const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+
+/**
+ * sendEmail ...
+ *
+ * function used to send an email notification through the send
+ * email netlify function. Pass in the `template` and its `data` instead
+ * of the subject and text to send one of the email templates, and the
+ * `notificationType` of the email to link the matching unsubscribe option.
+ * Pass in an `idempotencyKey` when the caller can be retried, the email is
+ * only sent once for each key.
+ *
+ * @param {Object} email - the to, subject, text and html, or template and data of the email, and its idempotency key
+ * @returns {Object} response - the response of the send email function
+ */
+export const sendEmail = async ({
+  to,
+  subject,
+  text,
+  html,
+  template,
+  data,
+  notificationType,
+  idempotencyKey,
+}) => {
+  const response = await fetch(
+    `${process.env.SITE_URL}/.netlify/functions/0001_send_email_fn?key=${process.env.ADMIN_KEY}`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        to,
+        subject,
+        text,
+        html,
+        template,
+        data,
+        notificationType,
+        idempotencyKey,
+      }),
+    },
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to send email: ${response.statusText}`);
+  }
+  return response;
+};
+
+/**
+ * formatRentMonth ...
+ *
+ * function used to format the rent month into the key used to group
+ * charges and payments of the same month. Eg, 2025-08.
+ *
+ * @param {string|Object} rentMonth - the rent month or any date within it
+ * @returns {string} - the formatted rent month
+ */
+export const formatRentMonth = (rentMonth) =>
+  dayjs(rentMonth).format("YYYY-MM");
+
+/**
+ * mapWithConcurrency ...
+ *
+ * function used to run the async fn over each item with no more than the
+ * selected number of items in flight at once. Results are returned in the
+ * order of the items.
+ *
+ * @param {Array} items - the items to process
+ * @param {number} concurrency - the max number of items processed at once
+ * @param {Function} fn - the async fn called with each item and its index
+ * @returns {Array} results - the result of the fn for each item
+ */
+export const mapWithConcurrency = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker),
+  );
+  return results;
+};